@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+
+/**
+ * GitLab AI Reviewer command-line entry point
+ * Run `gitlab-ai-reviewer --help` for the commands.
+ */
+
+require('dotenv').config();
+const { Cli } = require('../src/cli');
+
+Cli.main(process.argv.slice(2));
@@ -0,0 +1,506 @@
+/**
+ * Command Line Interface
+ * Parses `gitlab-ai-reviewer <command> [options]`, applies the flags over the environment
+ * settings and runs the command. Everything that reads the configuration is loaded only
+ * once the flags are applied.
+ */
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { UsageError, ConfigError } = require('./utils/errors');
+const { version } = require('../package.json');
+
+const BIN = 'gitlab-ai-reviewer';
+
+// A failed quality gate exits with QUALITY_GATE_EXIT_CODE (2 by default) instead
+const EXIT_CODES = {
+  SUCCESS: 0,
+  ERROR: 1,
+  USAGE: 64,
+  CONFIG: 78,
+};
+
+// Variable holding the model of each provider, set by --model
+const MODEL_VARIABLES = {
+  openai: 'AI_MODEL',
+  openrouter: 'OPENROUTER_MODEL',
+  deepseek: 'DEEPSEEK_MODEL',
+  anthropic: 'ANTHROPIC_MODEL',
+  google: 'GOOGLE_AI_MODEL',
+  azure: 'AZURE_OPENAI_DEPLOYMENT',
+  ollama: 'OLLAMA_MODEL',
+  'openai-compatible': 'OPENAI_COMPATIBLE_MODEL',
+};
+
+// Options of every command; `env` is the variable a flag overrides
+const COMMON_OPTIONS = {
+  provider: { type: 'string', value: '<name>', env: 'AI_PROVIDER', description: 'AI provider, e.g. openai, anthropic or ollama' },
+  model: { type: 'string', value: '<model>', description: 'Model of the AI provider' },
+  'log-level': { type: 'string', value: '<level>', env: 'LOG_LEVEL', description: 'error, warn, info or debug' },
+  help: { type: 'boolean', short: 'h', description: 'Show this help' },
+};
+
+const GATE_OPTIONS = {
+  'fail-on': { type: 'string', value: '<severity>', env: 'QUALITY_GATE_FAIL_ON_SEVERITY', description: 'Fail on findings of this severity or higher' },
+  'max-high-issues': { type: 'string', value: '<n>', env: 'QUALITY_GATE_MAX_HIGH_ISSUES', description: 'Fail on more HIGH findings than this' },
+};
+
+const COMMANDS = {
+  serve: {
+    handler: 'serve',
+    description: 'Run the webhook server',
+    options: {
+      port: { type: 'string', value: '<port>', env: 'PORT', description: 'Port to listen on' },
+    },
+  },
+  review: {
+    handler: 'review',
+    description: 'Review a merge request and post the result',
+    options: {
+      project: { type: 'string', value: '<id>', description: 'Project ID or path (default: CI_PROJECT_ID or GITLAB_PROJECT_ID)' },
+      mr: { type: 'string', value: '<iid>', description: 'Merge request IID (default: CI_MERGE_REQUEST_IID)' },
+      'dry-run': { type: 'boolean', description: 'Print the review comment instead of posting it' },
+      force: { type: 'boolean', description: 'Review every file again, even when the head was already reviewed' },
+      'gitlab-url': { type: 'string', value: '<url>', env: 'GITLAB_URL', description: 'GitLab instance URL' },
+      'code-quality-report': { type: 'string', value: '<file>', env: 'CODE_QUALITY_REPORT', description: 'Write a Code Quality report' },
+      'sarif-report': { type: 'string', value: '<file>', env: 'SARIF_REPORT', description: 'Write a SARIF report' },
+      ...GATE_OPTIONS,
+    },
+  },
+  'review-local': {
+    handler: 'reviewLocal',
+    description: 'Review a local git repository without GitLab',
+    options: {
+      base: { type: 'string', value: '<ref>', description: 'Compare the current branch against this ref (default: origin/HEAD or main)' },
+      staged: { type: 'boolean', description: 'Review only the staged changes' },
+      format: { type: 'string', value: '<format>', description: 'markdown (default) or json' },
+      repo: { type: 'string', value: '<path>', description: 'Repository to review (default: current directory)' },
+      ...GATE_OPTIONS,
+    },
+  },
+  'config check': {
+    handler: 'configCheck',
+    description: 'Check the configuration and show the effective settings',
+    options: {
+      local: { type: 'boolean', description: 'Check only what review-local needs, without GitLab' },
+      'repo-config': { type: 'string', value: '<file>', description: 'Repository config file to validate (default: REPO_CONFIG_FILE)' },
+    },
+  },
+  'provider test': {
+    handler: 'providerTest',
+    description: 'Send a sample review to the AI provider',
+    options: {},
+  },
+};
+
+// Reviewed by `provider test`
+const SAMPLE_DIFF = `@@ -1,7 +1,7 @@
+ function calculateTotal(items) {
+-  var total = 0;
++  let total = 0;
+   for (var i = 0; i < items.length; i++) {
+     total += items[i].price;
+   }
+   return total;
+ }`;
+
+class Cli {
+  /**
+   * Run a command and exit with its code. The webhook server keeps the process running.
+   */
+  static async main(argv) {
+    try {
+      const exitCode = await this.run(argv);
+      if (exitCode !== null) {
+        process.exit(exitCode);
+      }
+    } catch (error) {
+      process.stderr.write(`${BIN}: ${error.stack || error.message}\n`);
+      process.exit(EXIT_CODES.ERROR);
+    }
+  }
+
+  /**
+   * Run a command. Returns its exit code, or null when it keeps running.
+   *
+   * @param {string[]} argv - Arguments after the executable, e.g. ['review', '--mr', '12']
+   */
+  static async run(argv, env = process.env) {
+    let parsed;
+    try {
+      parsed = this.parse(argv);
+    } catch (error) {
+      if (!(error instanceof UsageError)) throw error;
+      await this.print(`${BIN}: ${error.message}\nRun "${BIN} --help" for usage.`, process.stderr);
+      return EXIT_CODES.USAGE;
+    }
+
+    if (parsed.version) {
+      await this.print(version);
+      return EXIT_CODES.SUCCESS;
+    }
+
+    if (parsed.help) {
+      await this.print(this.getHelp(parsed.name));
+      return EXIT_CODES.SUCCESS;
+    }
+
+    this.applyOptions(parsed.options, parsed.values, env);
+
+    try {
+      return await this[parsed.command.handler](parsed.values, env);
+    } catch (error) {
+      if (error instanceof UsageError) {
+        await this.print(`${BIN}: ${error.message}\nRun "${BIN} ${parsed.name} --help" for usage.`, process.stderr);
+        return EXIT_CODES.USAGE;
+      }
+
+      const { logger } = require('./utils/logger');
+      if (error instanceof ConfigError) {
+        logger.error(`Invalid configuration: ${error.message}`);
+        return EXIT_CODES.CONFIG;
+      }
+
+      logger.error(`${parsed.name} failed:`, error);
+      return EXIT_CODES.ERROR;
+    }
+  }
+
+  /**
+   * Find the command and read its flags.
+   * Returns { name, command, options, values, help } or { version: true }.
+   */
+  static parse(argv) {
+    const [first, second] = argv;
+
+    if (first === '--version') {
+      return { version: true };
+    }
+
+    if (!first || first === 'help' || first === '--help' || first === '-h') {
+      return { help: true, name: null };
+    }
+
+    const name = COMMANDS[`${first} ${second}`] ? `${first} ${second}` : first;
+    const command = COMMANDS[name];
+    if (!command) {
+      const subcommands = Object.keys(COMMANDS).filter(key => key.startsWith(`${first} `));
+      throw new UsageError(subcommands.length > 0
+        ? `"${first}" needs a subcommand: ${subcommands.join(', ')}`
+        : `Unknown command "${first}"`);
+    }
+
+    const options = { ...command.options, ...COMMON_OPTIONS };
+    let values;
+    try {
+      ({ values } = parseArgs({
+        args: argv.slice(name.split(' ').length),
+        options: Object.fromEntries(Object.entries(options).map(([flag, option]) =>
+          [flag, option.short ? { type: option.type, short: option.short } : { type: option.type }])),
+      }));
+    } catch (error) {
+      if (!error.code?.startsWith('ERR_PARSE_ARGS')) throw error;
+      throw new UsageError(error.message);
+    }
+
+    return { name, command, options, values, help: Boolean(values.help) };
+  }
+
+  /**
+   * Set the environment variable behind each flag given, so it wins over .env and the
+   * environment. --model sets the model variable of the selected provider.
+   */
+  static applyOptions(options, values, env = process.env) {
+    for (const [flag, option] of Object.entries(options)) {
+      if (option.env && values[flag] !== undefined) {
+        env[option.env] = String(values[flag]);
+      }
+    }
+
+    if (values.model) {
+      // The provider's default is config's, which must not be loaded before the flags apply
+      const provider = env.AI_PROVIDER || 'openrouter';
+      env[MODEL_VARIABLES[provider] || MODEL_VARIABLES.openai] = values.model;
+    }
+  }
+
+  /**
+   * Map the arguments of `node src/index.js [cli|review-local|auto]` and RUN_MODE to a command.
+   * Unknown modes started the server before the CLI existed, so they still do, with a warning.
+   */
+  static fromLegacyArgs(argv, env = process.env) {
+    const [mode = env.RUN_MODE || 'auto', ...rest] = argv;
+
+    if (mode === 'cli' || (mode === 'auto' && env.CI_MERGE_REQUEST_IID)) {
+      return ['review', ...rest];
+    }
+
+    if (mode === 'auto' || mode === 'server') {
+      return ['serve', ...rest];
+    }
+
+    const known = Object.keys(COMMANDS).some(name => name.split(' ')[0] === mode);
+    if (!known && mode !== 'help' && !mode.startsWith('-')) {
+      this.print(`${BIN}: unknown mode "${mode}" starts the webhook server; this is deprecated and will ` +
+        'become a usage error, use "serve" instead', process.stderr);
+      return ['serve'];
+    }
+
+    return [mode, ...rest];
+  }
+
+  /**
+   * Start the webhook server
+   */
+  static serve() {
+    const { startServer } = require('./server');
+    startServer();
+    return null;
+  }
+
+  /**
+   * Review a merge request, write the configured reports and judge the quality gate
+   */
+  static async review(values, env) {
+    const projectId = values.project || env.CI_PROJECT_ID || env.GITLAB_PROJECT_ID;
+    const mergeRequestIid = values.mr || env.CI_MERGE_REQUEST_IID;
+    if (!projectId || !mergeRequestIid) {
+      throw new UsageError('review needs --project and --mr, or CI_PROJECT_ID and CI_MERGE_REQUEST_IID');
+    }
+
+    const dryRun = Boolean(values['dry-run']);
+    const { logger, logToStderr } = require('./utils/logger');
+    if (dryRun) {
+      // stdout is reserved for the comment
+      logToStderr();
+    }
+
+    const GitLabReviewer = require('./reviewer');
+    const ReviewReport = require('./utils/review-report');
+    const config = require('./config/config');
+
+    // Before the reviewer connects to GitLab and the AI provider, so bad settings exit with 78
+    config.validateConfig();
+
+    logger.info(`Starting AI review for MR ${mergeRequestIid} in project ${projectId}`);
+    const reviewer = new GitLabReviewer();
+    const result = await reviewer.reviewMergeRequest(projectId, mergeRequestIid, {
+      force: Boolean(values.force),
+      dryRun,
+    });
+    logger.info('AI review completed successfully');
+
+    // Findings for GitLab's Code Quality widget and SARIF consumers
+    const findings = ReviewReport.collectFindings(result?.reviews || [], result?.crossFile?.issues);
+    const reports = ReviewReport.write(findings, config.reports);
+    if (reports.length > 0) {
+      logger.info(`Wrote ${findings.length} finding(s) to ${reports.join(', ')}`);
+    }
+
+    if (dryRun) {
+      if (result?.comment) {
+        await this.print(result.comment);
+      } else {
+        logger.info('Nothing would be posted, the head was already reviewed; use --force to review it again');
+      }
+    }
+
+    return this.getGateExitCode(result?.gate);
+  }
+
+  /**
+   * Review a local git repository and print the result
+   */
+  static async reviewLocal(values) {
+    const format = values.format || 'markdown';
+    if (!['markdown', 'json'].includes(format)) {
+      throw new UsageError(`Unknown format "${format}", use markdown or json`);
+    }
+
+    // stdout is reserved for the review, so it can be piped or parsed
+    const { logToStderr } = require('./utils/logger');
+    logToStderr();
+
+    const LocalReviewer = require('./local-reviewer');
+    const reviewer = new LocalReviewer(values.repo || process.cwd());
+    const result = await reviewer.review({ base: values.base, staged: Boolean(values.staged) });
+
+    const output = format === 'json'
+      ? JSON.stringify(reviewer.toJson(result), null, 2)
+      : await reviewer.renderMarkdown(result);
+    await this.print(output);
+
+    return this.getGateExitCode(result.gate);
+  }
+
+  /**
+   * Validate the environment settings and a repository config file, and show what is in effect
+   */
+  static configCheck(values) {
+    const config = require('./config/config');
+    const RepoConfig = require('./config/repo-config');
+    const lines = [];
+    let valid = true;
+
+    try {
+      config.validateConfig({ gitlab: !values.local });
+      lines.push('✅ Environment settings are valid');
+    } catch (error) {
+      if (!(error instanceof ConfigError)) throw error;
+      lines.push(`❌ ${error.message}`);
+      valid = false;
+    }
+
+    const providerConfig = config.ai[config.ai.provider] || {};
+    const fallbacks = config.ai.fallbackProviders.length > 0
+      ? ` (falls back to ${config.ai.fallbackProviders.join(', ')})`
+      : '';
+    const gate = config.qualityGate;
+    const rules = [
+      gate.failOnSeverity && `${gate.failOnSeverity} or higher`,
+      Number.isInteger(gate.maxHighIssues) && `more than ${gate.maxHighIssues} HIGH`,
+      ...gate.failOnTypes,
+    ].filter(Boolean);
+    const reports = [config.reports.codeQuality, config.reports.sarif].filter(Boolean);
+
+    lines.push(
+      `AI provider: ${config.ai.provider}${fallbacks}`,
+      `Model: ${providerConfig.deployment || providerConfig.model || 'unknown'}`,
+    );
+    if (!values.local) {
+      lines.push(`GitLab: ${config.gitlab.url} (token ${config.gitlab.token ? 'set' : 'missing'})`);
+    }
+    lines.push(
+      `Queue: ${config.queue.backend}`,
+      `Quality gate: ${rules.length > 0 ? `fails on ${rules.join(', ')}` : 'off'}`,
+      `Reports: ${reports.length > 0 ? reports.join(', ') : 'none'}`,
+    );
+
+    const repoConfigFile = values['repo-config'] || config.review.repoConfigFile;
+    if (repoConfigFile && fs.existsSync(repoConfigFile)) {
+      const { errors } = RepoConfig.parse(fs.readFileSync(repoConfigFile, 'utf-8'));
+      if (errors.length > 0) {
+        lines.push(`❌ ${repoConfigFile} is invalid:`, ...errors.map(error => `  - ${error}`));
+        valid = false;
+      } else {
+        lines.push(`✅ ${repoConfigFile} is valid`);
+      }
+    } else if (values['repo-config']) {
+      lines.push(`❌ ${repoConfigFile} not found`);
+      valid = false;
+    }
+
+    return this.print(lines.join('\n')).then(() => (valid ? EXIT_CODES.SUCCESS : EXIT_CODES.CONFIG));
+  }
+
+  /**
+   * Review a small sample diff to check the provider's key, model and network access
+   */
+  static async providerTest() {
+    const config = require('./config/config');
+    config.validateConfig({ gitlab: false });
+
+    const AIService = require('./services/ai-service');
+    const Pricing = require('./utils/pricing');
+    const aiService = new AIService();
+    const { model } = aiService.getModelConfig();
+    await this.print(`🔍 Sending a sample review to ${config.ai.provider} (${model})...`);
+
+    const started = Date.now();
+    let review;
+    try {
+      review = await aiService.reviewCode('test.js', 'javascript', SAMPLE_DIFF, {
+        description: 'Provider test of GitLab AI Reviewer',
+      });
+    } catch (error) {
+      const hint = this.getProviderHint(error);
+      await this.print(`❌ ${config.ai.provider} failed: ${error.message}${hint ? `\n${hint}` : ''}`, process.stderr);
+      return EXIT_CODES.ERROR;
+    }
+
+    const lines = [
+      `✅ ${review.provider} (${review.model}) answered in ${Date.now() - started}ms`,
+      `Usage: ${Pricing.format(review.usage)}`,
+      `Summary: ${review.summary}`,
+      `Issues: ${review.issues.length}`,
+      ...review.issues.map(issue =>
+        `  - ${issue.severity} ${issue.type}${issue.line ? ` (line ${issue.line})` : ''}: ${issue.description}`),
+    ];
+    await this.print(lines.join('\n'));
+    return EXIT_CODES.SUCCESS;
+  }
+
+  /**
+   * A likely cause of a failed provider request
+   */
+  static getProviderHint(error) {
+    const status = error.status || error.response?.status;
+    if (status === 401 || status === 403) return 'Check the API key of the provider.';
+    if (status === 404) return 'Check that the model is available to this key.';
+    if (status === 429) return 'The rate limit or quota is used up, try again later.';
+    if (['ENOTFOUND', 'ECONNREFUSED', 'ETIMEDOUT'].includes(error.code || error.cause?.code)) {
+      return 'The provider could not be reached, check the base URL and network access.';
+    }
+    return null;
+  }
+
+  /**
+   * Exit code of a quality gate result; null means no rule was configured
+   */
+  static getGateExitCode(gate) {
+    if (!gate || gate.passed) return EXIT_CODES.SUCCESS;
+
+    const { logger } = require('./utils/logger');
+    const config = require('./config/config');
+    logger.error(`Quality gate failed: ${gate.failures.join(', ')}`);
+    return config.qualityGate.exitCode;
+  }
+
+  /**
+   * Usage of the tool, or of one command
+   */
+  static getHelp(name = null) {
+    if (!name) {
+      return [
+        `Usage: ${BIN} <command> [options]`,
+        '',
+        'Commands:',
+        ...this.formatRows(Object.entries(COMMANDS).map(([key, command]) => [key, command.description])),
+        '',
+        'Options:',
+        ...this.formatRows([['-h, --help', 'Show this help'], ['--version', 'Show the version']]),
+        '',
+        `Flags override the environment variables named in "${BIN} <command> --help".`,
+        `Exit codes: 0 success, 1 error, 2 failed quality gate (QUALITY_GATE_EXIT_CODE), ${EXIT_CODES.USAGE} invalid arguments, ${EXIT_CODES.CONFIG} invalid configuration.`,
+      ].join('\n');
+    }
+
+    const command = COMMANDS[name];
+    const options = { ...command.options, ...COMMON_OPTIONS };
+    return [
+      `Usage: ${BIN} ${name} [options]`,
+      '',
+      command.description,
+      '',
+      'Options:',
+      ...this.formatRows(Object.entries(options).map(([flag, option]) => [
+        `${option.short ? `-${option.short}, ` : ''}--${flag}${option.value ? ` ${option.value}` : ''}`,
+        option.env ? `${option.description} (${option.env})` : option.description,
+      ])),
+    ].join('\n');
+  }
+
+  static formatRows(rows) {
+    const width = Math.max(...rows.map(([left]) => left.length));
+    return rows.map(([left, right]) => `  ${left.padEnd(width)}  ${right}`);
+  }
+
+  /**
+   * Write a line and wait until it is flushed, so exiting afterwards loses nothing of a piped output
+   */
+  static print(text, stream = process.stdout) {
+    return new Promise(resolve => stream.write(`${text}\n`, resolve));
+  }
+}
+
+module.exports = { Cli, EXIT_CODES };
@@ -0,0 +1,75 @@
+/**
+ * Finding Actions
+ * Access checks and dismissals shared by slash commands and thread follow-ups
+ */
+
+const config = require('../config/config');
+const FindingMarker = require('../utils/finding-marker');
+const ReviewState = require('../utils/review-state');
+
+const REPLY_PREFIX = '🤖 **AI Reviewer:** ';
+
+class FindingActions {
+  /**
+   * Format a bot reply posted in a merge request thread
+   */
+  static formatReply(message) {
+    return `${REPLY_PREFIX}${message}`;
+  }
+
+  /**
+   * Check whether a note was written by the bot, so it never answers itself
+   */
+  static isBotNote(body) {
+    return Boolean(body) && (
+      body.startsWith(REPLY_PREFIX) ||
+      FindingMarker.extract(body).length > 0 ||
+      ReviewState.parse(body) !== null
+    );
+  }
+
+  /**
+   * Check that a user has the configured minimum access level on the project
+   */
+  static async isAuthorized(gitlabAPI, projectId, userId) {
+    if (!userId) return false;
+
+    const member = await gitlabAPI.getProjectMember(projectId, userId);
+    return Boolean(member) && member.access_level >= config.commands.minAccessLevel;
+  }
+
+  /**
+   * Record a finding as ignored in the summary note's review state and resolve its
+   * discussion. Returns false when the merge request has no review yet.
+   */
+  static async dismiss(gitlabAPI, projectId, mergeRequestIid, findingId) {
+    const summary = await gitlabAPI.findReviewStateComment(projectId, mergeRequestIid);
+    const state = ReviewState.parse(summary?.body);
+    if (!state) {
+      return false;
+    }
+
+    const ignored = state.ignored || [];
+    if (!ignored.includes(findingId)) {
+      await gitlabAPI.updateMergeRequestComment(
+        projectId,
+        mergeRequestIid,
+        summary.id,
+        ReviewState.replace(summary.body, { ...state, ignored: [...ignored, findingId] }),
+      );
+    }
+
+    const discussions = await gitlabAPI.getMergeRequestDiscussions(projectId, mergeRequestIid);
+    const discussion = (discussions || []).find(candidate =>
+      (candidate.notes || []).some(note => FindingMarker.extract(note.body).includes(findingId)),
+    );
+
+    if (discussion && !discussion.notes.every(note => note.resolved)) {
+      await gitlabAPI.resolveDiscussion(projectId, mergeRequestIid, discussion.id);
+    }
+
+    return true;
+  }
+}
+
+module.exports = FindingActions;
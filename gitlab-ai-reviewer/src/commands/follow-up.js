@@ -0,0 +1,139 @@
+/**
+ * Follow-up Replies
+ * Answers developers who reply under a bot finding, and dismisses findings they justify
+ */
+
+const { logger } = require('../utils/logger');
+const DiffParser = require('../utils/diff-parser');
+const FindingMarker = require('../utils/finding-marker');
+const FindingActions = require('./finding-actions');
+const SlashCommandHandler = require('./slash-commands');
+
+const HIDDEN_MARKER_PATTERN = /<!--[\s\S]*?-->/g;
+
+class FollowUpHandler {
+  /**
+   * @param {GitLabAPI} gitlabAPI - GitLab client used to read and answer the thread
+   * @param {AIService} aiService - AI client used to write the answer
+   */
+  constructor(gitlabAPI, aiService) {
+    this.gitlabAPI = gitlabAPI;
+    this.aiService = aiService;
+  }
+
+  /**
+   * Check whether a Note Hook event is a human reply in a diff thread.
+   * Whether the thread belongs to a bot finding is only known once it is fetched.
+   */
+  static isCandidate(event) {
+    const note = event.object_attributes || {};
+
+    return note.noteable_type === 'MergeRequest' &&
+      note.type === 'DiffNote' &&
+      Boolean(event.merge_request) &&
+      Boolean(note.discussion_id) &&
+      !FindingActions.isBotNote(note.note) &&
+      SlashCommandHandler.parse(note.note) === null;
+  }
+
+  /**
+   * Build the queue job for a candidate reply
+   */
+  static toJob(event) {
+    const note = event.object_attributes;
+
+    return {
+      type: 'follow-up',
+      projectId: event.project.id,
+      mergeRequestIid: event.merge_request.iid,
+      variant: `note-${note.id}`,
+      options: {
+        discussionId: note.discussion_id,
+        noteId: note.id,
+      },
+    };
+  }
+
+  /**
+   * Answer a reply in a finding thread. Returns true when an answer was posted.
+   */
+  async respond(projectId, mergeRequestIid, { discussionId, noteId }, signal) {
+    const discussion = await this.gitlabAPI.getMergeRequestDiscussion(projectId, mergeRequestIid, discussionId);
+    const [findingNote, ...replies] = discussion.notes || [];
+    const findingId = FindingMarker.extract(findingNote?.body)[0];
+
+    if (!findingId) {
+      logger.debug(`Discussion ${discussionId} is not an AI Reviewer finding, ignoring reply`);
+      return false;
+    }
+
+    // Only answer the newest reply; earlier queued replies are covered by that answer
+    const latest = replies[replies.length - 1];
+    if (!latest || latest.id !== noteId || FindingActions.isBotNote(latest.body)) {
+      logger.debug(`Note ${noteId} is no longer the latest reply in discussion ${discussionId}`);
+      return false;
+    }
+
+    if (!await FindingActions.isAuthorized(this.gitlabAPI, projectId, latest.author?.id)) {
+      logger.info(`Ignoring reply from ${latest.author?.username} without access to discuss findings`);
+      return false;
+    }
+
+    const filename = findingNote.position?.new_path;
+    const hunk = await this.getHunk(projectId, mergeRequestIid, filename, findingNote.position?.new_line);
+
+    const answer = await this.aiService.answerFollowUp({
+      filename,
+      finding: this.stripMarkers(findingNote.body),
+      hunk,
+      thread: replies.map(note => ({
+        author: FindingActions.isBotNote(note.body) ? 'AI Reviewer' : note.author?.username,
+        body: this.stripMarkers(note.body),
+      })),
+    }, { signal });
+
+    let message = answer.reply;
+
+    if (answer.accepted) {
+      await FindingActions.dismiss(this.gitlabAPI, projectId, mergeRequestIid, findingId);
+      message += `\n\n✅ Resolving this thread. Finding \`${findingId}\` will be left out of future reviews.`;
+      logger.info(`Finding ${findingId} dismissed after reply from ${latest.author?.username}`);
+    }
+
+    await this.gitlabAPI.replyToDiscussion(
+      projectId,
+      mergeRequestIid,
+      discussionId,
+      FindingActions.formatReply(message),
+    );
+
+    return true;
+  }
+
+  /**
+   * Get the diff hunk a finding points at, or null when the file is no longer changed
+   */
+  async getHunk(projectId, mergeRequestIid, filename, lineNumber) {
+    if (!filename) return null;
+
+    const changes = await this.gitlabAPI.getMergeRequestChanges(projectId, mergeRequestIid);
+    const change = (changes.changes || []).find(candidate => candidate.new_path === filename);
+    if (!change?.diff) return null;
+
+    return lineNumber ? DiffParser.extractHunk(change.diff, lineNumber) : change.diff;
+  }
+
+  /**
+   * Remove hidden markers and the reply prefix before sending a note to the AI
+   */
+  stripMarkers(body) {
+    if (!body) return '';
+
+    return body
+      .replace(HIDDEN_MARKER_PATTERN, '')
+      .replace(FindingActions.formatReply(''), '')
+      .trim();
+  }
+}
+
+module.exports = FollowUpHandler;
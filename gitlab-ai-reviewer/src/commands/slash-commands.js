@@ -0,0 +1,204 @@
+/**
+ * Slash Commands
+ * Lets reviewers drive the bot with `/ai-review ...` commands in merge request notes
+ */
+
+const { logger } = require('../utils/logger');
+const RepoConfig = require('../config/repo-config');
+const FindingActions = require('./finding-actions');
+
+const COMMAND_PREFIX = '/ai-review';
+
+const FOCUS_ALIASES = {
+  bug: 'bugs',
+  'best-practices': 'best_practices',
+  bestpractices: 'best_practices',
+  perf: 'performance',
+};
+
+const USAGE = [
+  'Available commands:',
+  '- `/ai-review rerun` - review the whole merge request again',
+  '- `/ai-review file <path>` - review a single changed file again',
+  '- `/ai-review ignore <finding-id>` - dismiss a finding in future reviews',
+  `- \`/ai-review focus <${RepoConfig.getCheckNames().join('|')}>\` - re-review with a single check`,
+].join('\n');
+
+class SlashCommandHandler {
+  /**
+   * @param {GitLabAPI} gitlabAPI - GitLab client used to check access and reply
+   * @param {Function} enqueueReview - Called with { projectId, mergeRequestIid, headSha, variant, options }
+   */
+  constructor(gitlabAPI, enqueueReview) {
+    this.gitlabAPI = gitlabAPI;
+    this.enqueueReview = enqueueReview;
+  }
+
+  /**
+   * Parse the first `/ai-review` line of a note into { name, args }, or null
+   */
+  static parse(text) {
+    if (!text) return null;
+
+    const line = text.split('\n')
+      .map(candidate => candidate.trim())
+      .find(candidate => candidate === COMMAND_PREFIX || candidate.startsWith(`${COMMAND_PREFIX} `));
+
+    if (!line) return null;
+
+    const [name = 'help', ...args] = line.substring(COMMAND_PREFIX.length).trim().split(/\s+/).filter(Boolean);
+    return { name: name.toLowerCase(), args };
+  }
+
+  /**
+   * Handle a Note Hook event. Returns true when the note contained a command.
+   */
+  async handleNote(event) {
+    const note = event.object_attributes || {};
+    if (note.noteable_type !== 'MergeRequest' || !event.merge_request) {
+      return false;
+    }
+
+    const command = SlashCommandHandler.parse(note.note);
+    if (!command) {
+      return false;
+    }
+
+    const request = {
+      projectId: event.project.id,
+      mergeRequestIid: event.merge_request.iid,
+      headSha: event.merge_request.last_commit?.id,
+      noteId: note.id,
+      discussionId: note.discussion_id,
+      userId: note.author_id || event.user?.id,
+      username: event.user?.username,
+    };
+
+    logger.info(`Received /ai-review ${command.name} from ${request.username} on MR ${request.mergeRequestIid}`, {
+      projectId: request.projectId,
+    });
+
+    let reply;
+    try {
+      if (await FindingActions.isAuthorized(this.gitlabAPI, request.projectId, request.userId)) {
+        reply = await this.execute(command, request);
+      } else {
+        reply = 'You need at least Developer access to this project to run `/ai-review` commands.';
+      }
+    } catch (error) {
+      logger.error(`Failed to run /ai-review ${command.name}:`, error);
+      reply = `Failed to run \`/ai-review ${command.name}\`: ${error.message}`;
+    }
+
+    await this.reply(request, reply);
+    return true;
+  }
+
+  /**
+   * Run a parsed command and return the reply text
+   */
+  async execute(command, request) {
+    switch (command.name) {
+    case 'rerun':
+      await this.queue(request, { force: true });
+      return 'Queued a full re-review of this merge request.';
+
+    case 'file':
+      return this.reviewFile(command.args.join(' '), request);
+
+    case 'ignore':
+      return this.ignoreFinding(command.args[0], request);
+
+    case 'focus':
+      return this.focus(command.args[0], request);
+
+    case 'help':
+      return USAGE;
+
+    default:
+      return `Unknown command \`${command.name}\`.\n\n${USAGE}`;
+    }
+  }
+
+  /**
+   * Re-review a single file changed in the merge request
+   */
+  async reviewFile(path, request) {
+    if (!path) {
+      return 'Please give a file path, e.g. `/ai-review file src/app.js`.';
+    }
+
+    const changes = await this.gitlabAPI.getMergeRequestChanges(request.projectId, request.mergeRequestIid);
+    const changed = (changes.changes || []).some(change => change.new_path === path);
+    if (!changed) {
+      return `\`${path}\` is not changed in this merge request.`;
+    }
+
+    await this.queue(request, { force: true, files: [path] });
+    return `Queued a re-review of \`${path}\`.`;
+  }
+
+  /**
+   * Dismiss a finding so future reviews leave it out, and resolve its discussion
+   */
+  async ignoreFinding(findingId, request) {
+    if (!findingId || !/^[a-f0-9]{6,40}$/.test(findingId)) {
+      return 'Please give the finding ID shown under the finding, e.g. `/ai-review ignore 3f2a9c1b7e`.';
+    }
+
+    const dismissed = await FindingActions.dismiss(
+      this.gitlabAPI,
+      request.projectId,
+      request.mergeRequestIid,
+      findingId,
+    );
+    if (!dismissed) {
+      return 'There is no AI review on this merge request yet.';
+    }
+
+    logger.info(`Finding ${findingId} ignored by ${request.username} on MR ${request.mergeRequestIid}`);
+    return `Finding \`${findingId}\` will be left out of future reviews.`;
+  }
+
+  /**
+   * Re-review with a single check category enabled
+   */
+  async focus(category, request) {
+    const check = FOCUS_ALIASES[category?.toLowerCase()] || category?.toLowerCase();
+    if (!RepoConfig.getCheckNames().includes(check)) {
+      return `Please choose one of: ${RepoConfig.getCheckNames().join(', ')}.`;
+    }
+
+    await this.queue(request, { force: true, focus: check });
+    return `Queued a re-review focused on **${check}**.`;
+  }
+
+  /**
+   * Queue a review triggered by this note
+   */
+  async queue(request, options) {
+    await this.enqueueReview({
+      projectId: request.projectId,
+      mergeRequestIid: request.mergeRequestIid,
+      headSha: request.headSha,
+      // Keeps a retried webhook for the same note from queuing twice
+      variant: `note-${request.noteId}`,
+      options,
+    });
+  }
+
+  /**
+   * Reply in the command's thread, or as a new note when it has none
+   */
+  async reply(request, message) {
+    const body = FindingActions.formatReply(message);
+
+    if (request.discussionId) {
+      await this.gitlabAPI.replyToDiscussion(request.projectId, request.mergeRequestIid, request.discussionId, body);
+    } else {
+      await this.gitlabAPI.postMergeRequestComment(request.projectId, request.mergeRequestIid, body);
+    }
+  }
+}
+
+module.exports = SlashCommandHandler;
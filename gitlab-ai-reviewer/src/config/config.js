@@ -3,22 +3,78 @@
  * Centralizes all configuration settings and environment variables
  */
 
+const { ConfigError } = require('../utils/errors');
+
+// Parse "key=value,key2=value2" lists used for per-project settings
+function parseKeyValueList(value) {
+  const result = {};
+  if (!value) return result;
+
+  for (const pair of value.split(',')) {
+    const separator = pair.indexOf('=');
+    if (separator === -1) continue;
+    const key = pair.substring(0, separator).trim();
+    const entry = pair.substring(separator + 1).trim();
+    if (key && entry) {
+      result[key] = entry;
+    }
+  }
+
+  return result;
+}
+
+// Parse "model=input/output" price lists, in USD per million tokens
+function parsePriceList(value) {
+  const prices = {};
+
+  for (const [model, entry] of Object.entries(parseKeyValueList(value))) {
+    const [input, output] = entry.split('/').map(Number);
+    if (Number.isFinite(input) && Number.isFinite(output ?? input)) {
+      prices[model] = { input, output: output ?? input };
+    }
+  }
+
+  return prices;
+}
+
+// List prices of the default models in USD per million input/output tokens, as of this release
+const DEFAULT_PRICES = {
+  'gpt-4': { input: 30, output: 60 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'x-ai/grok-3-beta': { input: 3, output: 15 },
+  'deepseek-coder': { input: 0.27, output: 1.1 },
+  'deepseek-chat': { input: 0.27, output: 1.1 },
+  'claude-sonnet-4-20250514': { input: 3, output: 15 },
+  'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+};
+
+// Self-hosted providers: no API key, slow inference, nothing leaves the network
+const LOCAL_PROVIDERS = ['ollama', 'openai-compatible'];
+
 const config = {
   // GitLab Configuration
   gitlab: {
     url: process.env.GITLAB_URL || 'https://gitlab.com',
     token: process.env.GITLAB_TOKEN,
     projectId: process.env.GITLAB_PROJECT_ID,
+    requestsPerMinute: parseInt(process.env.GITLAB_REQUESTS_PER_MINUTE) || 600,
   },
 
   // AI Service Configuration
   ai: {
     provider: process.env.AI_PROVIDER || 'openrouter',
+    // Tried in order when the provider is down or rate limited, e.g. "deepseek,openai"
+    fallbackProviders: (process.env.AI_FALLBACK_PROVIDERS || '')
+      .split(',').map(provider => provider.trim()).filter(Boolean),
     openai: {
       apiKey: process.env.OPENAI_API_KEY,
-      model: process.env.AI_MODEL || 'gpt-4',
+      model: process.env.AI_MODEL || 'gpt-4o',
       maxTokens: parseInt(process.env.AI_MAX_TOKENS) || 2000,
       temperature: parseFloat(process.env.AI_TEMPERATURE) || 0.3,
+      requestsPerMinute: parseInt(process.env.OPENAI_REQUESTS_PER_MINUTE) || 500,
+      // Files of one review sent to the provider at the same time
+      fileConcurrency: parseInt(process.env.OPENAI_FILE_CONCURRENCY) || 4,
     },
     openrouter: {
       apiKey: process.env.OPENROUTER_API_KEY,
@@ -28,6 +84,9 @@ const config = {
       temperature: parseFloat(process.env.AI_TEMPERATURE) || 0.1,
       siteUrl: process.env.OPENROUTER_SITE_URL || 'https://gitlab-ai-reviewer.com',
       siteName: process.env.OPENROUTER_SITE_NAME || 'GitLab AI Reviewer',
+      // Free models are limited to 20 requests per minute
+      requestsPerMinute: parseInt(process.env.OPENROUTER_REQUESTS_PER_MINUTE) || 20,
+      fileConcurrency: parseInt(process.env.OPENROUTER_FILE_CONCURRENCY) || 2,
     },
     deepseek: {
       apiKey: process.env.DEEPSEEK_API_KEY,
@@ -35,20 +94,111 @@ const config = {
       model: process.env.DEEPSEEK_MODEL || 'deepseek-coder',
       maxTokens: parseInt(process.env.AI_MAX_TOKENS) || 4000,
       temperature: parseFloat(process.env.AI_TEMPERATURE) || 0.1,
+      requestsPerMinute: parseInt(process.env.DEEPSEEK_REQUESTS_PER_MINUTE) || 60,
+      fileConcurrency: parseInt(process.env.DEEPSEEK_FILE_CONCURRENCY) || 4,
     },
     anthropic: {
       apiKey: process.env.ANTHROPIC_API_KEY,
-      model: 'claude-3-sonnet-20240229',
+      baseURL: process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com',
+      model: process.env.ANTHROPIC_MODEL || 'claude-sonnet-4-20250514',
+      maxTokens: parseInt(process.env.AI_MAX_TOKENS) || 4000,
+      temperature: parseFloat(process.env.AI_TEMPERATURE) || 0.1,
+      version: process.env.ANTHROPIC_VERSION || '2023-06-01',
+      requestsPerMinute: parseInt(process.env.ANTHROPIC_REQUESTS_PER_MINUTE) || 50,
+      fileConcurrency: parseInt(process.env.ANTHROPIC_FILE_CONCURRENCY) || 4,
     },
     google: {
       apiKey: process.env.GOOGLE_AI_KEY,
-      model: 'gemini-pro',
+      baseURL: process.env.GOOGLE_AI_BASE_URL || 'https://generativelanguage.googleapis.com',
+      apiVersion: process.env.GOOGLE_AI_API_VERSION || 'v1beta',
+      model: process.env.GOOGLE_AI_MODEL || 'gemini-2.5-flash',
+      maxTokens: parseInt(process.env.AI_MAX_TOKENS) || 4000,
+      temperature: parseFloat(process.env.AI_TEMPERATURE) || 0.1,
+      // Reviewed code often discusses exploits, so only high-probability harm is blocked
+      safetyThreshold: process.env.GOOGLE_AI_SAFETY_THRESHOLD || 'BLOCK_ONLY_HIGH',
+      // Per-category overrides, e.g. "DANGEROUS_CONTENT=BLOCK_NONE"
+      safetySettings: parseKeyValueList(process.env.GOOGLE_AI_SAFETY_SETTINGS),
+      requestsPerMinute: parseInt(process.env.GOOGLE_REQUESTS_PER_MINUTE) || 60,
+      fileConcurrency: parseInt(process.env.GOOGLE_FILE_CONCURRENCY) || 4,
     },
     azure: {
+      // Resource endpoint, e.g. https://my-resource.openai.azure.com
       endpoint: process.env.AZURE_OPENAI_ENDPOINT,
       apiKey: process.env.AZURE_OPENAI_KEY,
-      model: process.env.AZURE_MODEL || 'gpt-4',
+      // Azure routes requests by deployment name rather than model name
+      deployment: process.env.AZURE_OPENAI_DEPLOYMENT || process.env.AZURE_MODEL || 'gpt-4o',
+      apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-10-21',
+      maxTokens: parseInt(process.env.AZURE_MAX_TOKENS || process.env.AI_MAX_TOKENS) || 4000,
+      temperature: parseFloat(process.env.AZURE_TEMPERATURE || process.env.AI_TEMPERATURE) || 0.1,
+      // Microsoft Entra ID app registration, used instead of the API key when the client ID is set
+      tenantId: process.env.AZURE_TENANT_ID,
+      clientId: process.env.AZURE_CLIENT_ID,
+      clientSecret: process.env.AZURE_CLIENT_SECRET,
+      // Sovereign clouds use their own login host
+      authorityHost: process.env.AZURE_AUTHORITY_HOST || 'https://login.microsoftonline.com',
+      requestsPerMinute: parseInt(process.env.AZURE_REQUESTS_PER_MINUTE) || 60,
+      fileConcurrency: parseInt(process.env.AZURE_FILE_CONCURRENCY) || 4,
     },
+    ollama: {
+      baseURL: process.env.OLLAMA_BASE_URL || 'http://localhost:11434',
+      model: process.env.OLLAMA_MODEL || 'qwen2.5-coder:7b',
+      maxTokens: parseInt(process.env.AI_MAX_TOKENS) || 4000,
+      temperature: parseFloat(process.env.AI_TEMPERATURE) || 0.1,
+      // Tokens of context; Ollama's own default truncates review prompts
+      contextWindow: parseInt(process.env.OLLAMA_CONTEXT_WINDOW) || 16384,
+      // How long the model stays loaded between requests
+      keepAlive: process.env.OLLAMA_KEEP_ALIVE || '10m',
+      timeout: parseInt(process.env.OLLAMA_TIMEOUT) || 600000,
+      // 0 disables spacing; the queue concurrency is what limits a local server
+      requestsPerMinute: parseInt(process.env.OLLAMA_REQUESTS_PER_MINUTE) || 0,
+      // Parallel requests only queue up on a single local GPU
+      fileConcurrency: parseInt(process.env.OLLAMA_FILE_CONCURRENCY) || 1,
+    },
+    // Any server exposing /v1/chat/completions, e.g. vLLM, LM Studio or llama.cpp
+    'openai-compatible': {
+      baseURL: process.env.OPENAI_COMPATIBLE_BASE_URL,
+      apiKey: process.env.OPENAI_COMPATIBLE_API_KEY,
+      model: process.env.OPENAI_COMPATIBLE_MODEL || 'default',
+      maxTokens: parseInt(process.env.AI_MAX_TOKENS) || 4000,
+      temperature: parseFloat(process.env.AI_TEMPERATURE) || 0.1,
+      // json_object, json_schema or none, depending on what the server supports
+      responseFormat: process.env.OPENAI_COMPATIBLE_RESPONSE_FORMAT || 'json_object',
+      timeout: parseInt(process.env.OPENAI_COMPATIBLE_TIMEOUT) || 600000,
+      requestsPerMinute: parseInt(process.env.OPENAI_COMPATIBLE_REQUESTS_PER_MINUTE) || 0,
+      fileConcurrency: parseInt(process.env.OPENAI_COMPATIBLE_FILE_CONCURRENCY) || 1,
+    },
+
+    // Ask for JSON findings instead of markdown, falling back to the markdown parser
+    structuredOutput: process.env.AI_STRUCTURED_OUTPUT !== 'false',
+    // Extra requests asking the model to fix malformed JSON
+    repairAttempts: parseInt(process.env.AI_REPAIR_ATTEMPTS ?? '1', 10),
+  },
+
+  // Retries for AI and GitLab requests that hit rate limits, server errors or network failures
+  retry: {
+    maxRetries: parseInt(process.env.RETRY_MAX_ATTEMPTS ?? '3', 10),
+    baseDelay: parseInt(process.env.RETRY_BASE_DELAY) || 1000,
+    // Longest wait before a retry, including waits requested by Retry-After
+    maxDelay: parseInt(process.env.RETRY_MAX_DELAY) || 60000,
+  },
+
+  // Stop calling a service after repeated outages, and probe it again after resetTimeout
+  circuitBreaker: {
+    failureThreshold: parseInt(process.env.CIRCUIT_BREAKER_THRESHOLD) || 5,
+    resetTimeout: parseInt(process.env.CIRCUIT_BREAKER_RESET_TIMEOUT) || 60000,
+  },
+
+  // Token and cost limits; 0 disables a limit
+  budget: {
+    // Overrides and additions to the default price table, e.g. "gpt-4o=2.5/10,my-model=1/2"
+    prices: { ...DEFAULT_PRICES, ...parsePriceList(process.env.AI_PRICES) },
+    reviewMaxTokens: parseInt(process.env.AI_REVIEW_MAX_TOKENS) || 0,
+    reviewMaxCost: parseFloat(process.env.AI_REVIEW_MAX_COST) || 0,
+    projectDailyMaxTokens: parseInt(process.env.AI_PROJECT_DAILY_MAX_TOKENS) || 0,
+    projectDailyMaxCost: parseFloat(process.env.AI_PROJECT_DAILY_MAX_COST) || 0,
+    // Redis keeping the daily totals across processes and instances; follows the queue's Redis if unset
+    redisUrl: process.env.BUDGET_REDIS_URL ||
+      (process.env.QUEUE_BACKEND === 'redis' ? process.env.REDIS_URL || 'redis://localhost:6379' : null),
   },
 
   // Application Configuration
@@ -56,11 +206,28 @@ const config = {
     port: parseInt(process.env.PORT) || 3000,
     nodeEnv: process.env.NODE_ENV || 'development',
     logLevel: process.env.LOG_LEVEL || 'info',
+    trustProxy: process.env.TRUST_PROXY === 'true',
   },
 
   // Review Configuration
   review: {
+    // Characters of diff per AI request; larger diffs are split into chunks on hunk boundaries
     maxDiffSize: parseInt(process.env.MAX_DIFF_SIZE) || 10000,
+    // Files needing more chunks than this are skipped as too large
+    maxDiffChunks: parseInt(process.env.MAX_DIFF_CHUNKS) || 8,
+    // Lines at the end of a chunk repeated as read-only context before the next one
+    chunkOverlap: parseInt(process.env.DIFF_CHUNK_OVERLAP ?? '20', 10),
+    // Send the enclosing functions and classes of each change, read from the file at the MR head
+    fileContext: process.env.FILE_CONTEXT !== 'false',
+    fileContextMaxTokens: parseInt(process.env.FILE_CONTEXT_MAX_TOKENS) || 2000,
+    // Also send the code as it was before the change, for hunks that delete lines
+    preChangeContext: process.env.PRE_CHANGE_CONTEXT === 'true',
+    // Files reviewed at the same time; 0 uses the provider's fileConcurrency
+    fileConcurrency: parseInt(process.env.FILE_REVIEW_CONCURRENCY) || 0,
+    // Review the merge request as a whole for problems spanning files, after the file reviews
+    crossFileReview: process.env.CROSS_FILE_REVIEW !== 'false',
+    // Characters of the changed-files digest sent to the cross-file review
+    crossFileMaxSize: parseInt(process.env.CROSS_FILE_MAX_SIZE) || 20000,
     supportedLanguages: (process.env.REVIEW_LANGUAGES || 
       'javascript,typescript,python,java,go,rust,php,ruby,csharp,cpp,c,kotlin,swift,scala,dart')
       .split(',').map(lang => lang.trim()),
@@ -74,11 +241,85 @@ const config = {
     enableCodeStyleChecks: process.env.ENABLE_CODE_STYLE_CHECKS !== 'false',
     enableBestPracticesChecks: process.env.ENABLE_BEST_PRACTICES_CHECKS !== 'false',
     enableBugDetection: process.env.ENABLE_BUG_DETECTION !== 'false',
+
+    // Post findings as inline diff discussions instead of only in the summary note
+    inlineComments: process.env.INLINE_COMMENTS !== 'false',
+    // Add a one-click suggestion to inline findings whose fix replaces added lines
+    suggestionBlocks: process.env.SUGGESTION_BLOCKS !== 'false',
+
+    // Only review commits pushed since the last reviewed head SHA
+    incremental: process.env.INCREMENTAL_REVIEW !== 'false',
+
+    // Drop findings below this severity (LOW, MEDIUM, HIGH, CRITICAL)
+    severityThreshold: (process.env.SEVERITY_THRESHOLD || 'LOW').toUpperCase(),
+    // Extra instructions appended to every review prompt
+    customInstructions: process.env.REVIEW_INSTRUCTIONS || '',
+    // Per-repository config file read from the MR target branch (empty to disable)
+    repoConfigFile: process.env.REPO_CONFIG_FILE ?? '.ai-reviewer.yml',
+  },
+
+  // Pass/fail policy for CI jobs and the commit status; every rule is off by default
+  qualityGate: {
+    // Fail when a finding has this severity or higher, e.g. CRITICAL
+    failOnSeverity: (process.env.QUALITY_GATE_FAIL_ON_SEVERITY ||
+      (process.env.FAIL_ON_CRITICAL_ISSUES === 'true' ? 'CRITICAL' : '')).toUpperCase() || null,
+    // Fail when there are more HIGH findings than this
+    maxHighIssues: process.env.QUALITY_GATE_MAX_HIGH_ISSUES
+      ? parseInt(process.env.QUALITY_GATE_MAX_HIGH_ISSUES)
+      : null,
+    // Fail on any finding of these types or cross-file categories, e.g. "SECURITY"
+    failOnTypes: [
+      ...(process.env.QUALITY_GATE_FAIL_ON_TYPES || '').split(',').map(type => type.trim().toUpperCase()),
+      process.env.FAIL_ON_SECURITY_ISSUES === 'true' ? 'SECURITY' : '',
+    ].filter(Boolean),
+    // Publish the result as a commit status on the MR head
+    commitStatus: process.env.QUALITY_GATE_COMMIT_STATUS !== 'false',
+    statusName: process.env.QUALITY_GATE_STATUS_NAME || 'ai-code-review',
+    // External status check (GitLab Ultimate) to answer as well
+    statusCheckId: process.env.QUALITY_GATE_STATUS_CHECK_ID || null,
+    // CLI exit code when the gate fails, kept apart from the exit code 1 of errors
+    exitCode: parseInt(process.env.QUALITY_GATE_EXIT_CODE) || 2,
+  },
+
+  // Report files written in CLI mode for GitLab to pick up as artifacts; empty paths disable them
+  reports: {
+    codeQuality: process.env.CODE_QUALITY_REPORT || '',
+    sarif: process.env.SARIF_REPORT || '',
   },
 
   // Webhook Configuration
   webhook: {
     secret: process.env.WEBHOOK_SECRET,
+    // Per-project secrets keyed by project ID or path, e.g. "42=s3cret,group/app=other"
+    projectSecrets: parseKeyValueList(process.env.WEBHOOK_PROJECT_SECRETS),
+    // Project IDs, full paths or namespaces (e.g. "42,group/app,group/*") allowed to trigger reviews
+    allowedProjects: (process.env.WEBHOOK_ALLOWED_PROJECTS || '')
+      .split(',').map(entry => entry.trim()).filter(Boolean),
+    // Without a secret every request is rejected unless this is set, e.g. for local testing
+    allowUnauthenticated: process.env.WEBHOOK_ALLOW_UNAUTHENTICATED === 'true',
+  },
+
+  // Review Job Queue Configuration (webhook server mode)
+  queue: {
+    backend: process.env.QUEUE_BACKEND || 'memory',
+    // A local model serves one review at a time well; parallel jobs only slow each other down
+    concurrency: parseInt(process.env.QUEUE_CONCURRENCY) ||
+      (LOCAL_PROVIDERS.includes(process.env.AI_PROVIDER) ? 1 : 2),
+    // Seconds during which a job for the same project, MR and head SHA is ignored
+    dedupeTtl: parseInt(process.env.QUEUE_DEDUPE_TTL) || 600,
+    pollInterval: parseInt(process.env.QUEUE_POLL_INTERVAL) || 1000,
+    // Seconds to let running reviews finish on SIGTERM or SIGINT before cancelling them
+    shutdownTimeout: parseInt(process.env.QUEUE_SHUTDOWN_TIMEOUT) || 30,
+    redisUrl: process.env.REDIS_URL || 'redis://localhost:6379',
+  },
+
+  // Slash commands in MR notes (webhook server mode)
+  commands: {
+    enabled: process.env.ENABLE_SLASH_COMMANDS !== 'false',
+    // Minimum GitLab access level allowed to run commands (30 = Developer)
+    minAccessLevel: parseInt(process.env.COMMAND_MIN_ACCESS_LEVEL) || 30,
+    // Answer replies in the bot's finding threads
+    followUps: process.env.ENABLE_FOLLOW_UPS !== 'false',
   },
 
   // Notification Configuration
@@ -100,15 +341,43 @@ Your task is to review code changes and provide constructive feedback. Focus on:
 4. **Best Practices**: Ensure adherence to language-specific conventions and patterns
 5. **Potential Bugs**: Identify logic errors, edge cases, null pointer issues
 
-Provide feedback in this format:
+Be constructive and educational. Focus on the most important issues first.`,
+
+    jsonFormatPrompt: `Respond with a single JSON object and nothing else, in this shape:
+{
+  "summary": "One or two sentences about the change",
+  "issues": [
+    {
+      "file": "path of the reviewed file",
+      "type": "SECURITY | PERFORMANCE | STYLE | BUG | BEST_PRACTICE",
+      "severity": "CRITICAL | HIGH | MEDIUM | LOW",
+      "line": 42,
+      "description": "Clear explanation of the issue",
+      "suggestion": "Specific recommendation for improvement",
+      "example": "Code example if helpful, otherwise an empty string",
+      "fix": { "start_line": 42, "end_line": 43, "replacement": "the corrected code for those lines" }
+    }
+  ]
+}
+Use the new-file line number for "line", or null when the issue is not about one line.
+Set "fix" only when replacing a few added lines fixes the issue on its own: "start_line" to
+"end_line" are the new-file lines replaced, and must include "line"; "replacement" is the
+complete new code for them, with its indentation, and may span more or fewer lines.
+Otherwise set "fix" to null.
+Return an empty "issues" array when there is nothing to report.`,
+
+    markdownFormatPrompt: `Provide feedback in this format:
 - **Issue Type**: [SECURITY|PERFORMANCE|STYLE|BUG|BEST_PRACTICE]
 - **Severity**: [CRITICAL|HIGH|MEDIUM|LOW]
 - **Line**: [line number if applicable]
 - **Description**: Clear explanation of the issue
 - **Suggestion**: Specific recommendation for improvement
-- **Example**: Code example if helpful
+- **Example**: Code example if helpful`,
 
-Be constructive and educational. Focus on the most important issues first.`,
+    repairPrompt: `Your previous response could not be used:
+{errors}
+
+Reply again with only the corrected JSON object, following the required shape exactly.`,
 
     reviewPrompt: `Please review the following code changes and provide feedback:
 
@@ -120,14 +389,77 @@ Be constructive and educational. Focus on the most important issues first.`,
 \`\`\`
 
 Focus on security, performance, code quality, and potential bugs. Provide specific, actionable feedback.`,
+
+    chunkPrompt: '**Partial Diff**: The changes to this file were too large for one request. This is part {part} of {total}; the other parts are reviewed separately, so only report issues in the **Changes** above. Line numbers in the hunk headers are those of the real file.',
+
+    chunkContextPrompt: `**Preceding Lines** (end of part {previous}, already reviewed; for context only, do not report issues in them):
+\`\`\`diff
+{context}
+\`\`\``,
+
+    fileContextPrompt: `**Surrounding Code** (the file after the change, with line numbers; for context only, only report issues in the **Changes**):
+\`\`\`{language}
+{code}
+\`\`\``,
+
+    preChangeContextPrompt: `**Code Before the Change** (the deleted lines in context, with their old line numbers):
+\`\`\`{language}
+{code}
+\`\`\``,
+
+    crossFilePrompt: `Review this merge request as a whole. Every file has already been reviewed on its own, so only report problems that involve more than one file:
+- Inconsistencies, e.g. a function signature, type, route or config key changed in one file but used the old way in another
+- Missing updates, e.g. callers, tests, documentation or migrations that should have changed along with the code
+- Architectural concerns, e.g. new dependencies between modules that should stay independent
+
+**Merge Request**: {title}
+**Description**: {description}
+
+**Changed Files**:
+{digest}
+
+Respond with a single JSON object and nothing else, in this shape:
+{
+  "summary": "One or two sentences about how the changes fit together",
+  "issues": [
+    {
+      "files": ["paths of the changed files involved"],
+      "category": "INCONSISTENCY | MISSING_UPDATE | ARCHITECTURE",
+      "severity": "CRITICAL | HIGH | MEDIUM | LOW",
+      "description": "What does not fit together and why it matters",
+      "suggestion": "Specific recommendation for fixing it"
+    }
+  ]
+}
+Return an empty "issues" array when the changes are consistent with each other.`,
+
+    followUpPrompt: `A developer replied to one of your code review findings.
+
+**File**: {filename}
+**Your Finding**:
+{finding}
+
+**Code**:
+\`\`\`diff
+{hunk}
+\`\`\`
+
+**Thread**:
+{thread}
+
+Answer the latest reply directly and briefly. If the developer explains why the code is intentional
+and the explanation holds up, accept it. If the finding still stands, say why.
+
+Start your answer with exactly one of these lines:
+- **Verdict**: ACCEPT
+- **Verdict**: KEEP`,
   },
 };
 
 // Validation
-function validateConfig() {
-  const required = [
-    'GITLAB_TOKEN',
-  ];
+function validateConfig({ gitlab = true } = {}) {
+  // Local reviews only talk to the AI provider
+  const required = gitlab ? ['GITLAB_TOKEN'] : [];
 
   // Add AI provider specific requirements
   if (config.ai.provider === 'openai') {
@@ -138,29 +470,50 @@ function validateConfig() {
     required.push('DEEPSEEK_API_KEY');
   } else if (config.ai.provider === 'anthropic') {
     required.push('ANTHROPIC_API_KEY');
+  } else if (config.ai.provider === 'google') {
+    required.push('GOOGLE_AI_KEY');
+  } else if (config.ai.provider === 'azure') {
+    required.push('AZURE_OPENAI_ENDPOINT');
+    if (process.env.AZURE_CLIENT_ID) {
+      required.push('AZURE_TENANT_ID', 'AZURE_CLIENT_SECRET');
+    } else {
+      required.push('AZURE_OPENAI_KEY');
+    }
+  } else if (config.ai.provider === 'openai-compatible') {
+    // Local servers rarely need a key, but there is no default address to guess
+    required.push('OPENAI_COMPATIBLE_BASE_URL');
   }
 
   const missing = required.filter(key => !process.env[key]);
 
   if (missing.length > 0) {
-    throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
+    throw new ConfigError(`Missing required environment variables: ${missing.join(', ')}`);
   }
 
   // Validate AI provider configuration
   if (config.ai.provider === 'openai' && !config.ai.openai.apiKey) {
-    throw new Error('OpenAI API key is required when using OpenAI provider');
+    throw new ConfigError('OpenAI API key is required when using OpenAI provider');
   }
 
   if (config.ai.provider === 'openrouter' && !config.ai.openrouter.apiKey) {
-    throw new Error('OpenRouter API key is required when using OpenRouter provider');
+    throw new ConfigError('OpenRouter API key is required when using OpenRouter provider');
   }
 
   if (config.ai.provider === 'deepseek' && !config.ai.deepseek.apiKey) {
-    throw new Error('DeepSeek API key is required when using DeepSeek provider');
+    throw new ConfigError('DeepSeek API key is required when using DeepSeek provider');
   }
 
   if (config.ai.provider === 'anthropic' && !config.ai.anthropic.apiKey) {
-    throw new Error('Anthropic API key is required when using Anthropic provider');
+    throw new ConfigError('Anthropic API key is required when using Anthropic provider');
+  }
+
+  const { failOnSeverity, maxHighIssues } = config.qualityGate;
+  if (failOnSeverity && !['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'].includes(failOnSeverity)) {
+    throw new ConfigError('QUALITY_GATE_FAIL_ON_SEVERITY must be one of LOW, MEDIUM, HIGH, CRITICAL');
+  }
+
+  if (maxHighIssues !== null && !(maxHighIssues >= 0)) {
+    throw new ConfigError('QUALITY_GATE_MAX_HIGH_ISSUES must be a number of 0 or more');
   }
 }
 
@@ -169,9 +522,17 @@ module.exports = {
   ...config.app,
   gitlab: config.gitlab,
   ai: config.ai,
+  retry: config.retry,
+  circuitBreaker: config.circuitBreaker,
+  budget: config.budget,
   review: config.review,
+  qualityGate: config.qualityGate,
+  reports: config.reports,
   webhook: config.webhook,
+  queue: config.queue,
+  commands: config.commands,
   notifications: config.notifications,
   prompts: config.prompts,
+  LOCAL_PROVIDERS,
   validateConfig,
 };
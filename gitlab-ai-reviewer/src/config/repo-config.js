@@ -0,0 +1,264 @@
+/**
+ * Per-repository configuration
+ * Loads `.ai-reviewer.yml` from the target project and merges it over the global review settings
+ */
+
+const yaml = require('js-yaml');
+const { logger } = require('../utils/logger');
+const config = require('./config');
+
+const SEVERITIES = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+
+const MAX_INSTRUCTIONS_LENGTH = 4000;
+
+// Keys under `checks:` mapped to the global review flags they override
+const CHECK_FLAGS = {
+  security: 'enableSecurityChecks',
+  performance: 'enablePerformanceChecks',
+  style: 'enableCodeStyleChecks',
+  best_practices: 'enableBestPracticesChecks',
+  bugs: 'enableBugDetection',
+};
+
+const ALLOWED_KEYS = [
+  'skip_files',
+  'languages',
+  'checks',
+  'severity_threshold',
+  'model',
+  'instructions',
+  'quality_gate',
+];
+
+const QUALITY_GATE_KEYS = ['fail_on_severity', 'max_high_issues', 'fail_on_types'];
+
+class RepoConfig {
+  /**
+   * Fetch and parse the repository config file from the given ref.
+   * Returns the merged review settings plus any validation errors; on errors the
+   * global settings are returned unchanged.
+   */
+  static async load(gitlabAPI, projectId, ref) {
+    const filename = config.review.repoConfigFile;
+    if (!filename) {
+      return { settings: this.merge({}), errors: [] };
+    }
+
+    let content;
+    try {
+      content = await gitlabAPI.getFileContent(projectId, filename, ref);
+    } catch (error) {
+      logger.warn(`Failed to fetch ${filename} from ${ref}, using global configuration:`, error);
+      return { settings: this.merge({}), errors: [] };
+    }
+
+    if (content === null) {
+      logger.debug(`No ${filename} found on ${ref}, using global configuration`);
+      return { settings: this.merge({}), errors: [] };
+    }
+
+    return this.parse(content);
+  }
+
+  /**
+   * Parse and validate YAML content
+   */
+  static parse(content) {
+    let raw;
+    try {
+      raw = yaml.load(content) || {};
+    } catch (error) {
+      return {
+        settings: this.merge({}),
+        errors: [`YAML syntax error: ${error.reason || error.message}${error.mark ? ` (line ${error.mark.line + 1})` : ''}`],
+      };
+    }
+
+    const errors = this.validate(raw);
+    if (errors.length > 0) {
+      return { settings: this.merge({}), errors };
+    }
+
+    return { settings: this.merge(raw), errors: [] };
+  }
+
+  /**
+   * Validate the raw parsed document, returns a list of human-readable errors
+   */
+  static validate(raw) {
+    const errors = [];
+
+    if (typeof raw !== 'object' || Array.isArray(raw)) {
+      return ['The file must contain a mapping of settings at the top level'];
+    }
+
+    for (const key of Object.keys(raw)) {
+      if (!ALLOWED_KEYS.includes(key)) {
+        errors.push(`Unknown setting \`${key}\` (allowed: ${ALLOWED_KEYS.join(', ')})`);
+      }
+    }
+
+    for (const key of ['skip_files', 'languages']) {
+      if (raw[key] === undefined) continue;
+      if (!Array.isArray(raw[key]) || raw[key].some(value => typeof value !== 'string' || !value.trim())) {
+        errors.push(`\`${key}\` must be a list of non-empty strings`);
+      }
+    }
+
+    if (raw.checks !== undefined) {
+      if (typeof raw.checks !== 'object' || raw.checks === null || Array.isArray(raw.checks)) {
+        errors.push('`checks` must be a mapping of check names to true/false');
+      } else {
+        for (const [name, enabled] of Object.entries(raw.checks)) {
+          if (!CHECK_FLAGS[name]) {
+            errors.push(`Unknown check \`${name}\` (allowed: ${Object.keys(CHECK_FLAGS).join(', ')})`);
+          } else if (typeof enabled !== 'boolean') {
+            errors.push(`\`checks.${name}\` must be true or false`);
+          }
+        }
+      }
+    }
+
+    if (raw.severity_threshold !== undefined &&
+        !SEVERITIES.includes(String(raw.severity_threshold).toUpperCase())) {
+      errors.push(`\`severity_threshold\` must be one of ${SEVERITIES.join(', ')}`);
+    }
+
+    if (raw.model !== undefined && (typeof raw.model !== 'string' || !raw.model.trim())) {
+      errors.push('`model` must be a non-empty string');
+    }
+
+    if (raw.instructions !== undefined) {
+      if (typeof raw.instructions !== 'string') {
+        errors.push('`instructions` must be a string');
+      } else if (raw.instructions.length > MAX_INSTRUCTIONS_LENGTH) {
+        errors.push(`\`instructions\` must be at most ${MAX_INSTRUCTIONS_LENGTH} characters`);
+      }
+    }
+
+    if (raw.quality_gate !== undefined) {
+      errors.push(...this.validateQualityGate(raw.quality_gate));
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate the `quality_gate` mapping
+   */
+  static validateQualityGate(gate) {
+    if (typeof gate !== 'object' || gate === null || Array.isArray(gate)) {
+      return ['`quality_gate` must be a mapping of rules'];
+    }
+
+    const errors = [];
+    for (const key of Object.keys(gate)) {
+      if (!QUALITY_GATE_KEYS.includes(key)) {
+        errors.push(`Unknown quality gate rule \`${key}\` (allowed: ${QUALITY_GATE_KEYS.join(', ')})`);
+      }
+    }
+
+    // Rules set to null are valid and turn the global rule off
+    const { fail_on_severity: severity, max_high_issues: maxHigh, fail_on_types: types } = gate;
+
+    if (severity !== undefined && severity !== null && !SEVERITIES.includes(String(severity).toUpperCase())) {
+      errors.push(`\`quality_gate.fail_on_severity\` must be one of ${SEVERITIES.join(', ')}, or null`);
+    }
+
+    if (maxHigh !== undefined && maxHigh !== null && !(Number.isInteger(maxHigh) && maxHigh >= 0)) {
+      errors.push('`quality_gate.max_high_issues` must be a whole number of 0 or more, or null');
+    }
+
+    if (types !== undefined && types !== null &&
+        (!Array.isArray(types) || types.some(type => typeof type !== 'string' || !type.trim()))) {
+      errors.push('`quality_gate.fail_on_types` must be a list of finding types, e.g. [SECURITY]');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Merge a validated document over the global review settings
+   */
+  static merge(raw) {
+    const settings = {
+      ...config.review,
+      model: null,
+      qualityGate: { ...config.qualityGate },
+    };
+
+    if (raw.skip_files) {
+      settings.skipFiles = raw.skip_files.map(pattern => pattern.trim());
+    }
+
+    if (raw.languages) {
+      settings.supportedLanguages = raw.languages.map(lang => lang.trim().toLowerCase());
+    }
+
+    for (const [name, enabled] of Object.entries(raw.checks || {})) {
+      settings[CHECK_FLAGS[name]] = enabled;
+    }
+
+    if (raw.severity_threshold) {
+      settings.severityThreshold = String(raw.severity_threshold).toUpperCase();
+    }
+
+    if (raw.model) {
+      settings.model = raw.model.trim();
+    }
+
+    if (raw.instructions) {
+      settings.customInstructions = raw.instructions.trim();
+    }
+
+    const gate = raw.quality_gate || {};
+    if (gate.fail_on_severity !== undefined) {
+      settings.qualityGate.failOnSeverity = gate.fail_on_severity && String(gate.fail_on_severity).toUpperCase();
+    }
+
+    if (gate.max_high_issues !== undefined) {
+      settings.qualityGate.maxHighIssues = gate.max_high_issues;
+    }
+
+    if (gate.fail_on_types !== undefined) {
+      settings.qualityGate.failOnTypes = (gate.fail_on_types || []).map(type => type.trim().toUpperCase());
+    }
+
+    return settings;
+  }
+
+  /**
+   * Return settings with every check disabled except the given one
+   */
+  static focusOn(settings, check) {
+    if (!CHECK_FLAGS[check]) {
+      throw new Error(`Unknown check: ${check}`);
+    }
+
+    const focused = { ...settings };
+    for (const flag of Object.values(CHECK_FLAGS)) {
+      focused[flag] = flag === CHECK_FLAGS[check];
+    }
+    return focused;
+  }
+
+  /**
+   * Names of the checks that can be toggled or focused on
+   */
+  static getCheckNames() {
+    return Object.keys(CHECK_FLAGS);
+  }
+
+  /**
+   * Check whether an issue meets the configured severity threshold
+   */
+  static meetsThreshold(issue, threshold) {
+    const issueLevel = SEVERITIES.indexOf(String(issue.severity).toUpperCase());
+    const thresholdLevel = SEVERITIES.indexOf(threshold);
+
+    // Keep issues with unrecognised severities rather than silently dropping them
+    return issueLevel === -1 || thresholdLevel === -1 || issueLevel >= thresholdLevel;
+  }
+}
+
+module.exports = RepoConfig;
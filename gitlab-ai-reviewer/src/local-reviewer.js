@@ -0,0 +1,184 @@
+/**
+ * Local Reviewer
+ * Reviews a local git repository without GitLab, e.g. before pushing or from a pre-push hook
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { simpleGit } = require('simple-git');
+const GitLabReviewer = require('./reviewer');
+const DiffParser = require('./utils/diff-parser');
+const ReviewBudget = require('./utils/review-budget');
+const { SpendStore } = require('./utils/spend-store');
+const Pricing = require('./utils/pricing');
+const { logger } = require('./utils/logger');
+const config = require('./config/config');
+const RepoConfig = require('./config/repo-config');
+
+// Plain, rename-aware diffs whatever the user's git configuration
+const DIFF_OPTIONS = ['--no-color', '--no-ext-diff', '-M'];
+
+class LocalReviewer extends GitLabReviewer {
+  /**
+   * @param {string} repoPath - Any directory inside the repository to review
+   */
+  constructor(repoPath = process.cwd()) {
+    // Before the AI client is created, so a missing key is a ConfigError rather than an SDK error
+    config.validateConfig({ gitlab: false });
+    super(null);
+    this.repoPath = repoPath;
+    // Keep non-ASCII paths readable instead of quoted
+    this.git = simpleGit({ baseDir: repoPath, config: ['core.quotePath=false'] });
+  }
+
+  /**
+   * Review the current branch against a base ref, or only the staged changes.
+   * Returns { target, reviews, parsedFiles, crossFile, usage, gate }.
+   *
+   * @param {object} options - { base, staged }; base defaults to the remote's default branch
+   */
+  async review({ base = null, staged = false } = {}) {
+    let target;
+    let diff;
+    let refs;
+    let commitMessages = [];
+
+    if (staged) {
+      target = 'staged changes';
+      diff = await this.git.diff(['--cached', ...DIFF_OPTIONS]);
+      // An empty ref reads a file from the index
+      refs = { head: '', base: 'HEAD' };
+    } else {
+      const baseRef = base || await this.getDefaultBase();
+      const mergeBase = (await this.git.raw(['merge-base', baseRef, 'HEAD'])).trim();
+      target = `HEAD against ${baseRef}`;
+      diff = await this.git.diff([...DIFF_OPTIONS, mergeBase, 'HEAD']);
+      refs = { head: 'HEAD', base: mergeBase };
+
+      const log = await this.git.raw(['log', '--format=%s', '-n', '5', `${mergeBase}..HEAD`]);
+      commitMessages = log.split('\n').filter(Boolean);
+    }
+
+    const reviewConfig = await this.loadLocalConfig();
+    const parsedFiles = DiffParser.parseMergeRequestChanges(DiffParser.parseGitDiff(diff), reviewConfig);
+    logger.info(`Found ${parsedFiles.length} files to review in ${target}`);
+
+    const budget = new ReviewBudget('local', { store: SpendStore.get() });
+    const context = {
+      description: '',
+      commitMessages,
+      reviewConfig,
+      refs,
+    };
+
+    const reviews = await this.reviewFiles(parsedFiles, context, budget);
+    const crossFile = reviews.some(review => !review.error && !review.skipped)
+      ? await this.reviewCrossFile({ title: `Local changes: ${target}`, description: '' }, parsedFiles, context, budget)
+      : null;
+
+    logger.info(`AI usage: ${Pricing.format(budget.usage)}`);
+
+    return {
+      target,
+      reviews,
+      parsedFiles,
+      crossFile,
+      usage: budget.usage,
+      gate: this.checkQualityGate(reviews, crossFile, reviewConfig.qualityGate),
+    };
+  }
+
+  /**
+   * The remote's default branch, e.g. origin/main, or `main` when the clone does not know it
+   */
+  async getDefaultBase() {
+    try {
+      return (await this.git.raw(['rev-parse', '--abbrev-ref', 'origin/HEAD'])).trim();
+    } catch (error) {
+      logger.debug(`No origin/HEAD, comparing against main: ${error.message}`);
+      return 'main';
+    }
+  }
+
+  /**
+   * Read the repository config file from the working tree, so edits apply before they are
+   * committed. Invalid files are reported and the global settings used instead.
+   */
+  async loadLocalConfig() {
+    const filename = config.review.repoConfigFile;
+    if (!filename) return RepoConfig.merge({});
+
+    const root = (await this.git.revparse(['--show-toplevel'])).trim();
+    let content;
+    try {
+      content = fs.readFileSync(path.join(root, filename), 'utf-8');
+    } catch (error) {
+      logger.debug(`No ${filename} in ${root}, using global configuration`);
+      return RepoConfig.merge({});
+    }
+
+    const { settings, errors } = RepoConfig.parse(content);
+    for (const error of errors) {
+      logger.warn(`${filename}: ${error}`);
+    }
+    return settings;
+  }
+
+  /**
+   * Read the file around each change from git instead of the GitLab API
+   */
+  async getFileContents(file, diff, context) {
+    const contents = { after: null, before: null };
+    if (!config.review.fileContext) return contents;
+
+    try {
+      if (!file.isDeletedFile) {
+        contents.after = await this.git.show([`${context.refs.head}:${file.filename}`]);
+      }
+
+      if (config.review.preChangeContext && !file.isNewFile && DiffParser.countDeletions(diff) > 0) {
+        contents.before = await this.git.show([`${context.refs.base}:${file.oldFilename || file.filename}`]);
+      }
+    } catch (error) {
+      logger.warn(`Failed to read ${file.filename} for context, reviewing the diff alone:`, { message: error.message });
+    }
+
+    return contents;
+  }
+
+  /**
+   * Render a result as the same markdown the bot posts on merge requests
+   */
+  renderMarkdown(result) {
+    if (result.parsedFiles.length === 0) {
+      return Promise.resolve(`## 🤖 AI Code Review\n\nℹ️ No reviewable code changes found in ${result.target}.`);
+    }
+
+    return this.generateReviewComment(result.reviews, { title: result.target }, result.parsedFiles, {
+      usage: result.usage,
+      crossFile: result.crossFile,
+      gate: result.gate,
+    });
+  }
+
+  /**
+   * Plain data for JSON output, without raw model responses
+   */
+  toJson(result) {
+    return {
+      target: result.target,
+      files: result.reviews.map(review => ({
+        filename: review.filename,
+        status: (review.error && 'failed') || (review.skipped && 'skipped') || 'reviewed',
+        reason: review.reason || review.errorMessage || null,
+        summary: review.summary || null,
+        issues: review.issues,
+      })),
+      crossFile: result.crossFile,
+      usage: result.usage,
+      gate: result.gate,
+    };
+  }
+}
+
+module.exports = LocalReviewer;
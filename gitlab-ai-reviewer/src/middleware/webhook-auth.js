@@ -0,0 +1,167 @@
+/**
+ * Webhook Authentication Middleware
+ * Verifies the X-Gitlab-Token header and restricts which projects may trigger reviews
+ */
+
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+const config = require('../config/config');
+const GitLabAPI = require('../services/gitlab-api');
+
+/**
+ * Compare two secrets in constant time, regardless of their lengths
+ */
+function safeCompare(actual, expected) {
+  if (typeof actual !== 'string' || typeof expected !== 'string') {
+    return false;
+  }
+
+  // Hash both sides so timingSafeEqual always gets equal-length buffers
+  const actualDigest = crypto.createHash('sha256').update(actual).digest();
+  const expectedDigest = crypto.createHash('sha256').update(expected).digest();
+
+  return crypto.timingSafeEqual(actualDigest, expectedDigest);
+}
+
+/**
+ * Find the secret that applies to a project, preferring a per-project secret.
+ * `byPath` tells whether it was picked by the project path from the request body.
+ */
+function getExpectedSecret(project, webhookConfig) {
+  const projectSecrets = webhookConfig.projectSecrets || {};
+
+  if (project?.id !== undefined && projectSecrets[String(project.id)]) {
+    return { secret: projectSecrets[String(project.id)], byPath: false };
+  }
+
+  if (project?.path_with_namespace && projectSecrets[project.path_with_namespace]) {
+    return { secret: projectSecrets[project.path_with_namespace], byPath: true };
+  }
+
+  return { secret: webhookConfig.secret || null, byPath: false };
+}
+
+/**
+ * Match a project against the allowlist of IDs, full paths and namespaces.
+ * Returns 'id' or 'path' for the kind of entry that matched, or null.
+ */
+function matchAllowlist(project, allowedProjects) {
+  const projectId = project?.id !== undefined ? String(project.id) : null;
+  const projectPath = project?.path_with_namespace || '';
+
+  if (projectId && allowedProjects.includes(projectId)) {
+    return 'id';
+  }
+
+  const matchesPath = allowedProjects.some(entry => {
+    // "group/*" or "group/" allows everything under that namespace
+    if (entry.endsWith('/*') || entry.endsWith('/')) {
+      const namespace = entry.replace(/\/\*?$/, '');
+      return projectPath.startsWith(`${namespace}/`);
+    }
+
+    return projectPath !== '' && projectPath === entry;
+  });
+
+  return matchesPath ? 'path' : null;
+}
+
+/**
+ * Check a project against the allowlist; an empty allowlist allows every project
+ */
+function isProjectAllowed(project, allowedProjects) {
+  if (!allowedProjects || allowedProjects.length === 0) {
+    return true;
+  }
+
+  return matchAllowlist(project, allowedProjects) !== null;
+}
+
+/**
+ * Confirm through the GitLab API that the project ID in the body belongs to the path in the body.
+ * Reviews are queued by ID, so a secret or allowlist entry matched by path alone would let a
+ * request name one project's path and another project's ID.
+ */
+async function isPathVerified(project, lookupProject) {
+  if (project?.id === undefined || !project.path_with_namespace) {
+    return false;
+  }
+
+  try {
+    const actual = await lookupProject(project.id);
+    return actual?.path_with_namespace === project.path_with_namespace;
+  } catch (error) {
+    logger.error(`Could not look up project ${project.id} to verify its path`, { error: error.message });
+    return false;
+  }
+}
+
+/**
+ * Build the Express middleware guarding the webhook endpoint
+ */
+function webhookAuth(webhookConfig = config.webhook, { lookupProject } = {}) {
+  let gitlab = null;
+  const getProject = lookupProject || (projectId => {
+    gitlab = gitlab || new GitLabAPI();
+    return gitlab.getProject(projectId);
+  });
+
+  const hasSecrets = Boolean(webhookConfig.secret) ||
+    Object.keys(webhookConfig.projectSecrets || {}).length > 0;
+
+  if (!hasSecrets && webhookConfig.allowUnauthenticated) {
+    logger.warn('No webhook secret configured - /webhook accepts unauthenticated requests');
+  } else if (!hasSecrets) {
+    logger.error('No webhook secret configured - /webhook rejects every request; set WEBHOOK_SECRET ' +
+      'or WEBHOOK_ALLOW_UNAUTHENTICATED=true');
+  }
+
+  return async (req, res, next) => {
+    const project = req.body?.project;
+    const logContext = {
+      ip: req.ip,
+      projectId: project?.id,
+      projectPath: project?.path_with_namespace,
+      event: req.headers['x-gitlab-event'],
+    };
+
+    if (!hasSecrets && !webhookConfig.allowUnauthenticated) {
+      logger.warn('Rejected webhook because no webhook secret is configured', logContext);
+      return res.status(401).json({ error: 'Webhook secret not configured' });
+    }
+
+    let secretByPath = false;
+    if (hasSecrets) {
+      const { secret: expectedSecret, byPath } = getExpectedSecret(project, webhookConfig);
+      const token = req.headers['x-gitlab-token'];
+
+      if (!expectedSecret || !safeCompare(token, expectedSecret)) {
+        logger.warn(`Rejected webhook with ${token ? 'invalid' : 'missing'} token`, logContext);
+        return res.status(401).json({ error: 'Invalid webhook token' });
+      }
+      secretByPath = byPath;
+    }
+
+    const allowedProjects = webhookConfig.allowedProjects || [];
+    const allowedBy = allowedProjects.length > 0 ? matchAllowlist(project, allowedProjects) : 'all';
+    if (!allowedBy) {
+      logger.warn('Rejected webhook from project outside the allowlist', logContext);
+      return res.status(403).json({ error: 'Project not allowed' });
+    }
+
+    if ((secretByPath || allowedBy === 'path') && !(await isPathVerified(project, getProject))) {
+      logger.warn('Rejected webhook whose project ID does not match its path', logContext);
+      return secretByPath
+        ? res.status(401).json({ error: 'Invalid webhook token' })
+        : res.status(403).json({ error: 'Project not allowed' });
+    }
+
+    return next();
+  };
+}
+
+module.exports = {
+  webhookAuth,
+  safeCompare,
+  isProjectAllowed,
+};
@@ -0,0 +1,99 @@
+/**
+ * In-memory queue backend
+ * Default backend for a single server instance; jobs are lost on restart
+ */
+
+const { logger } = require('../utils/logger');
+
+// Milliseconds the newest head SHA of a merge request is remembered
+const LATEST_HEAD_TTL_MS = 24 * 60 * 60 * 1000;
+
+class MemoryQueueBackend {
+  constructor({ dedupeTtl = 600 } = {}) {
+    this.dedupeTtlMs = dedupeTtl * 1000;
+    this.jobs = [];
+    this.reservations = new Map();
+    this.latestHeads = new Map();
+  }
+
+  /**
+   * Add a job unless one with the same key was queued within the dedupe window
+   */
+  add(job) {
+    this.pruneReservations();
+
+    if (this.reservations.has(job.key)) {
+      return false;
+    }
+
+    this.reservations.set(job.key, Date.now() + this.dedupeTtlMs);
+    this.jobs.push(job);
+    return true;
+  }
+
+  /**
+   * Take the next job, or null when the queue is empty
+   */
+  next() {
+    return this.jobs.shift() || null;
+  }
+
+  size() {
+    return this.jobs.length;
+  }
+
+  /**
+   * Forget a job's dedupe key once it has finished, so the same SHA can be queued again
+   */
+  release(key) {
+    this.reservations.delete(key);
+  }
+
+  /**
+   * Record the newest head SHA queued for a merge request
+   */
+  setLatestHead(mergeRequestKey, headSha) {
+    this.pruneLatestHeads();
+    this.latestHeads.set(mergeRequestKey, { headSha, expiresAt: Date.now() + LATEST_HEAD_TTL_MS });
+  }
+
+  getLatestHead(mergeRequestKey) {
+    const entry = this.latestHeads.get(mergeRequestKey);
+    return entry && entry.expiresAt > Date.now() ? entry.headSha : null;
+  }
+
+  close() {
+    if (this.jobs.length > 0) {
+      logger.warn(`Dropping ${this.jobs.length} queued review job(s); the memory backend does not keep them`);
+    }
+    this.jobs = [];
+    this.reservations.clear();
+    this.latestHeads.clear();
+  }
+
+  /**
+   * Forget head SHAs of merge requests that saw no push for a day
+   */
+  pruneLatestHeads() {
+    const now = Date.now();
+    for (const [key, { expiresAt }] of this.latestHeads) {
+      if (expiresAt <= now) {
+        this.latestHeads.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Forget dedupe keys whose window has passed
+   */
+  pruneReservations() {
+    const now = Date.now();
+    for (const [key, expiresAt] of this.reservations) {
+      if (expiresAt <= now) {
+        this.reservations.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = MemoryQueueBackend;
@@ -0,0 +1,82 @@
+/**
+ * Redis queue backend
+ * Shares the job list and dedupe keys between server instances
+ */
+
+const Redis = require('ioredis');
+
+// Seconds the newest head SHA of a merge request is remembered
+const LATEST_HEAD_TTL = 24 * 60 * 60;
+
+class RedisQueueBackend {
+  constructor({ url, keyPrefix = 'ai-reviewer', dedupeTtl = 600 } = {}) {
+    this.keyPrefix = keyPrefix;
+    this.dedupeTtl = dedupeTtl;
+
+    // Connect on first command so CLI mode never opens a connection
+    this.client = new Redis(url, {
+      lazyConnect: true,
+      maxRetriesPerRequest: 3,
+    });
+  }
+
+  get jobsKey() {
+    return `${this.keyPrefix}:jobs`;
+  }
+
+  /**
+   * Add a job unless one with the same key was queued within the dedupe window
+   */
+  async add(job) {
+    const reserved = await this.client.set(
+      `${this.keyPrefix}:dedupe:${job.key}`,
+      '1',
+      'EX',
+      this.dedupeTtl,
+      'NX',
+    );
+
+    if (reserved !== 'OK') {
+      return false;
+    }
+
+    await this.client.rpush(this.jobsKey, JSON.stringify(job));
+    return true;
+  }
+
+  /**
+   * Take the next job, or null when the queue is empty
+   */
+  async next() {
+    const raw = await this.client.lpop(this.jobsKey);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  size() {
+    return this.client.llen(this.jobsKey);
+  }
+
+  /**
+   * Forget a job's dedupe key once it has finished, so the same SHA can be queued again
+   */
+  async release(key) {
+    await this.client.del(`${this.keyPrefix}:dedupe:${key}`);
+  }
+
+  /**
+   * Record the newest head SHA queued for a merge request, visible to every instance
+   */
+  async setLatestHead(mergeRequestKey, headSha) {
+    await this.client.set(`${this.keyPrefix}:head:${mergeRequestKey}`, headSha, 'EX', LATEST_HEAD_TTL);
+  }
+
+  getLatestHead(mergeRequestKey) {
+    return this.client.get(`${this.keyPrefix}:head:${mergeRequestKey}`);
+  }
+
+  async close() {
+    await this.client.quit();
+  }
+}
+
+module.exports = RedisQueueBackend;
@@ -0,0 +1,279 @@
+/**
+ * Review Queue
+ * Runs merge request reviews in the background with a bounded worker pool
+ */
+
+const { logger } = require('../utils/logger');
+const config = require('../config/config');
+const MemoryQueueBackend = require('./memory-backend');
+
+class ReviewQueue {
+  /**
+   * @param {object} backend - Storage backend (see memory-backend.js for the interface)
+   * @param {Function} processor - Async function called with each job and an AbortSignal
+   * @param {object} options - { concurrency, pollInterval, shutdownTimeout } (shutdownTimeout in ms)
+   */
+  constructor(backend, processor, { concurrency = 2, pollInterval = 1000, shutdownTimeout = 30000 } = {}) {
+    this.backend = backend;
+    this.processor = processor;
+    this.concurrency = Math.max(1, concurrency);
+    this.pollInterval = pollInterval;
+    this.shutdownTimeout = shutdownTimeout;
+    this.active = 0;
+    this.running = false;
+    this.draining = false;
+    this.pollTimer = null;
+    // Running jobs by key, with the controller used to cancel them and a promise settled when they end
+    this.activeJobs = new Map();
+  }
+
+  /**
+   * Create a queue using the backend selected in configuration
+   */
+  static create(processor, queueConfig = config.queue) {
+    let backend;
+
+    if (queueConfig.backend === 'memory') {
+      backend = new MemoryQueueBackend({ dedupeTtl: queueConfig.dedupeTtl });
+    } else if (queueConfig.backend === 'redis') {
+      // Only load the Redis client when it is actually configured
+      const RedisQueueBackend = require('./redis-backend');
+      backend = new RedisQueueBackend({
+        url: queueConfig.redisUrl,
+        dedupeTtl: queueConfig.dedupeTtl,
+      });
+    } else {
+      throw new Error(`Unsupported queue backend: ${queueConfig.backend}`);
+    }
+
+    return new ReviewQueue(backend, processor, {
+      concurrency: queueConfig.concurrency,
+      pollInterval: queueConfig.pollInterval,
+      shutdownTimeout: queueConfig.shutdownTimeout * 1000,
+    });
+  }
+
+  /**
+   * Build the dedupe key for a merge request at a given head SHA.
+   * The variant distinguishes extra runs at the same SHA, e.g. one per slash command.
+   */
+  static getJobKey(projectId, mergeRequestIid, headSha, variant = null) {
+    const key = `${projectId}:${mergeRequestIid}:${headSha || 'latest'}`;
+    return variant ? `${key}:${variant}` : key;
+  }
+
+  /**
+   * Build the key identifying a merge request regardless of its head SHA
+   */
+  static getMergeRequestKey(projectId, mergeRequestIid) {
+    return `${projectId}:${mergeRequestIid}`;
+  }
+
+  /**
+   * Queue a review job. Returns { queued, key }; queued is false for duplicates.
+   * A new head SHA cancels running reviews of older SHAs for the same MR, on this instance right
+   * away and on other instances sharing the backend at their next poll.
+   */
+  async enqueue({ type = 'review', projectId, mergeRequestIid, headSha, variant = null, options = {} }) {
+    const job = {
+      key: ReviewQueue.getJobKey(projectId, mergeRequestIid, headSha, variant),
+      // 'review' or 'follow-up'; the processor decides how to run each type
+      type,
+      projectId,
+      mergeRequestIid,
+      headSha: headSha || null,
+      // Passed through to the processor, e.g. { force, files, focus } for reviews
+      options,
+      enqueuedAt: new Date().toISOString(),
+    };
+
+    const queued = await this.backend.add(job);
+
+    if (queued) {
+      logger.info(`Queued review job ${job.key}`);
+      if (headSha) {
+        const mergeRequestKey = ReviewQueue.getMergeRequestKey(projectId, mergeRequestIid);
+        await this.backend.setLatestHead(mergeRequestKey, headSha);
+        this.cancelSuperseded(mergeRequestKey, headSha);
+      }
+      this.drain();
+    } else {
+      logger.info(`Ignoring duplicate review job ${job.key}`);
+    }
+
+    return { queued, key: job.key };
+  }
+
+  /**
+   * Start processing jobs, polling the backend for work added by other instances
+   */
+  start() {
+    if (this.running) return;
+
+    this.running = true;
+    this.pollTimer = setInterval(() => {
+      this.cancelStale();
+      this.drain();
+    }, this.pollInterval);
+    this.pollTimer.unref();
+    logger.info(`Review queue started with concurrency ${this.concurrency}`);
+    this.drain();
+  }
+
+  /**
+   * Stop taking new jobs, wait up to the shutdown timeout for running jobs and release the backend.
+   * Jobs still running after the timeout are cancelled.
+   */
+  async stop() {
+    this.running = false;
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+
+    if (this.activeJobs.size > 0) {
+      logger.info(`Waiting up to ${this.shutdownTimeout}ms for ${this.activeJobs.size} running review job(s)`);
+
+      let timer;
+      const timedOut = new Promise((resolve) => {
+        timer = setTimeout(() => resolve(true), this.shutdownTimeout);
+      });
+      const running = Promise.all([...this.activeJobs.values()].map(({ done }) => done)).then(() => false);
+
+      if (await Promise.race([running, timedOut])) {
+        logger.warn(`Cancelling ${this.activeJobs.size} review job(s) still running after the shutdown timeout`);
+        for (const { controller } of this.activeJobs.values()) {
+          controller.abort();
+        }
+      }
+      clearTimeout(timer);
+    }
+
+    await this.backend.close();
+  }
+
+  /**
+   * Abort running reviews of the merge request that are for an older head SHA
+   */
+  cancelSuperseded(mergeRequestKey, headSha) {
+    for (const { job, controller } of this.activeJobs.values()) {
+      const jobMergeRequestKey = ReviewQueue.getMergeRequestKey(job.projectId, job.mergeRequestIid);
+      // Jobs without a head SHA, such as follow-up replies, are not tied to a push
+      if (jobMergeRequestKey === mergeRequestKey && job.headSha && job.headSha !== headSha &&
+          !controller.signal.aborted) {
+        logger.info(`Cancelling review job ${job.key}, superseded by ${headSha}`);
+        controller.abort();
+      }
+    }
+  }
+
+  /**
+   * Abort running reviews for which a newer head SHA was queued, possibly by another instance
+   */
+  async cancelStale() {
+    try {
+      const running = [...this.activeJobs.values()].filter(({ controller }) => !controller.signal.aborted);
+      const superseded = await Promise.all(running.map(({ job }) => this.isSuperseded(job)));
+
+      running.forEach(({ job, controller }, index) => {
+        if (superseded[index]) {
+          logger.info(`Cancelling review job ${job.key}, superseded by a newer push`);
+          controller.abort();
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to check running review jobs for newer pushes:', error);
+    }
+  }
+
+  /**
+   * Check whether a newer head SHA has been queued for the job's merge request
+   */
+  async isSuperseded(job) {
+    if (!job.headSha) return false;
+
+    const latestHead = await this.backend.getLatestHead(
+      ReviewQueue.getMergeRequestKey(job.projectId, job.mergeRequestIid),
+    );
+    return Boolean(latestHead) && latestHead !== job.headSha;
+  }
+
+  /**
+   * Forget the dedupe key of a finished job so its SHA can be queued again
+   */
+  async release(job) {
+    try {
+      await this.backend.release(job.key);
+    } catch (error) {
+      logger.error(`Failed to release review job ${job.key}:`, error);
+    }
+  }
+
+  /**
+   * Fill free worker slots with queued jobs
+   */
+  async drain() {
+    if (!this.running || this.draining) return;
+
+    this.draining = true;
+    try {
+      while (this.running && this.active < this.concurrency) {
+        const job = await this.backend.next();
+        if (!job) break;
+
+        if (await this.isSuperseded(job)) {
+          logger.info(`Skipping review job ${job.key}, a newer push is queued`);
+          await this.backend.release(job.key);
+          continue;
+        }
+
+        this.runJob(job);
+      }
+    } catch (error) {
+      logger.error('Failed to fetch next review job:', error);
+    } finally {
+      this.draining = false;
+    }
+  }
+
+  /**
+   * Run one job in a worker slot; failures are logged and not retried
+   */
+  runJob(job) {
+    const controller = new AbortController();
+    const entry = { job, controller };
+    this.activeJobs.set(job.key, entry);
+    this.active++;
+    const startedAt = Date.now();
+    logger.info(`Starting review job ${job.key} (${this.active}/${this.concurrency} active)`);
+
+    entry.done = Promise.resolve()
+      .then(() => this.processor(job, controller.signal))
+      .then(() => {
+        logger.info(`Finished review job ${job.key} in ${Date.now() - startedAt}ms`);
+      })
+      .catch((error) => {
+        logger.error(`Review job ${job.key} failed:`, error);
+      })
+      .then(() => this.release(job))
+      .finally(() => {
+        this.activeJobs.delete(job.key);
+        this.active--;
+        this.drain();
+      });
+  }
+
+  /**
+   * Current queue statistics
+   */
+  async getStats() {
+    return {
+      backend: this.backend.constructor.name,
+      active: this.active,
+      pending: await this.backend.size(),
+      concurrency: this.concurrency,
+    };
+  }
+}
+
+module.exports = ReviewQueue;
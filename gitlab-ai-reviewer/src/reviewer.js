@@ -6,19 +6,60 @@
 const GitLabAPI = require('./services/gitlab-api');
 const AIService = require('./services/ai-service');
 const DiffParser = require('./utils/diff-parser');
+const CodeContext = require('./utils/code-context');
+const MergeRequestDigest = require('./utils/merge-request-digest');
+const ReviewScheduler = require('./utils/review-scheduler');
+const QualityGate = require('./utils/quality-gate');
+const FindingMarker = require('./utils/finding-marker');
+const CodeSuggestion = require('./utils/code-suggestion');
+const ReviewState = require('./utils/review-state');
+const Retry = require('./utils/retry');
+const Pricing = require('./utils/pricing');
+const ReviewBudget = require('./utils/review-budget');
+const { ReviewCancelledError, ProviderQuotaError, ContentBlockedError } = require('./utils/errors');
 const { logger } = require('./utils/logger');
 const config = require('./config/config');
+const RepoConfig = require('./config/repo-config');
+
+const CONFIG_COMMENT_IDENTIFIER = '⚙️ AI Reviewer Configuration';
+const ERROR_COMMENT_IDENTIFIER = '❌ AI Code Review Failed';
+
+const ERROR_LABELS = {
+  failed: 'Error during review',
+  quota: 'AI provider quota exceeded, try again later',
+  blocked: 'Blocked by the AI provider\'s content filters',
+};
+
+const SEVERITY_ICONS = {
+  CRITICAL: '🚨',
+  HIGH: '⚠️',
+  MEDIUM: '⚡',
+  LOW: '💡',
+};
 
 class GitLabReviewer {
-  constructor() {
-    this.gitlabAPI = new GitLabAPI();
-    this.aiService = new AIService();
+  /**
+   * @param {GitLabAPI|null} gitlabAPI - null when reviewing without GitLab, see local-reviewer.js
+   */
+  constructor(gitlabAPI = new GitLabAPI(), aiService = new AIService()) {
+    this.gitlabAPI = gitlabAPI;
+    this.aiService = aiService;
   }
 
   /**
    * Main method to review a merge request
+   *
+   * @param {object} options - { signal, expectedHeadSha } used by the webhook queue to
+   *   cancel reviews superseded by a newer push; { force, files, focus } used by slash
+   *   commands to re-review everything, only some files, or a single check category;
+   *   { dryRun } reviews without posting anything to the merge request
+   * @returns {object|undefined} { headSha, reviews, crossFile, gate }; gate is null when no
+   *   quality gate rule is configured. Nothing is returned when no review was done. A dry run
+   *   also returns the comment that would have been posted.
    */
-  async reviewMergeRequest(projectId, mergeRequestIid) {
+  async reviewMergeRequest(projectId, mergeRequestIid, options = {}) {
+    const { signal, expectedHeadSha, force = false, files = null, focus = null, dryRun = false } = options;
+
     try {
       logger.info(`Starting review for MR ${mergeRequestIid} in project ${projectId}`);
 
@@ -32,71 +73,138 @@ class GitLabReviewer {
       // Get merge request changes
       const changes = await this.gitlabAPI.getMergeRequestChanges(projectId, mergeRequestIid);
       
+      // Load per-repository settings from the target branch
+      let reviewConfig = await this.loadRepoConfig(projectId, mergeRequestIid, mergeRequest, dryRun);
+      if (focus) {
+        reviewConfig = RepoConfig.focusOn(reviewConfig, focus);
+      }
+
       // Parse the changes
-      const parsedFiles = DiffParser.parseMergeRequestChanges(changes);
+      const parsedFiles = DiffParser.parseMergeRequestChanges(changes, reviewConfig);
       
       if (parsedFiles.length === 0) {
         logger.info('No reviewable files found in this merge request');
+        if (dryRun) {
+          return { reviews: [], crossFile: null, gate: null, comment: this.generateNoReviewComment() };
+        }
         await this.postNoReviewComment(projectId, mergeRequestIid);
         return;
       }
 
       logger.info(`Found ${parsedFiles.length} files to review`);
 
+      // Work out what changed since the last review
+      const headSha = this.getHeadSha(mergeRequest);
+      if (expectedHeadSha && headSha && headSha !== expectedHeadSha) {
+        throw new ReviewCancelledError(`Head moved from ${expectedHeadSha} to ${headSha} before the review started`);
+      }
+
+      // Dismissed findings are kept even when incremental review is disabled
+      const savedState = await this.getPreviousReviewState(projectId, mergeRequestIid);
+      const ignoredFindings = savedState?.ignored || [];
+      const previousState = config.review.incremental || files ? savedState : null;
+
+      if (previousState && !force && headSha && previousState.headSha === headSha) {
+        logger.info(`Head ${headSha} was already reviewed, skipping`);
+
+        // Judge the findings of that review again, e.g. for a retried CI job
+        const previousReviews = Object.entries(previousState.findings || {}).map(([filename, issues]) => ({
+          filename,
+          issues: issues.filter(issue => !ignoredFindings.includes(issue.findingId)),
+        }));
+        const previousCrossFile = { issues: previousState.crossFileFindings || [] };
+        return {
+          headSha,
+          reviews: previousReviews,
+          crossFile: previousCrossFile,
+          gate: this.checkQualityGate(previousReviews, previousCrossFile, reviewConfig.qualityGate),
+        };
+      }
+
+      let filesToReview = parsedFiles;
+      if (files) {
+        filesToReview = parsedFiles.filter(file => files.includes(file.filename));
+        logger.info(`Reviewing only requested files: ${files.join(', ')}`);
+      } else if (previousState && !force) {
+        const scopedFiles = await this.scopeToNewCommits(
+          projectId,
+          parsedFiles,
+          previousState.headSha,
+          headSha,
+        );
+        filesToReview = scopedFiles || parsedFiles;
+      }
+
       // Get additional context
       const context = await this.gatherContext(projectId, mergeRequestIid, mergeRequest);
+      context.reviewConfig = reviewConfig;
+      context.signal = signal;
+      // Refs the surrounding code of each change is read from
+      context.projectId = projectId;
+      context.headSha = headSha;
+      context.baseSha = mergeRequest.diff_refs?.base_sha || null;
 
-      // Review each file
-      const reviews = [];
-      for (const file of parsedFiles) {
-        try {
-          if (file.tooLarge) {
-            reviews.push({
-              filename: file.filename,
-              skipped: true,
-              reason: 'File too large',
-              issues: [],
-            });
-            continue;
-          }
+      const budget = new ReviewBudget(projectId);
 
-          logger.info(`Reviewing file: ${file.filename}`);
-          const review = await this.aiService.reviewCode(
-            file.filename,
-            file.language,
-            file.diff,
-            context
-          );
+      const reviews = await this.reviewFiles(filesToReview, context, budget);
 
-          reviews.push({
-            filename: file.filename,
-            language: file.language,
-            changeType: file.changeType,
-            ...review,
-          });
+      // Look at how the changes fit together once the files have been reviewed
+      const crossFile = reviews.some(review => !review.error && !review.skipped)
+        ? await this.reviewCrossFile(mergeRequest, parsedFiles, context, budget)
+        : null;
 
-          // Add small delay to avoid rate limiting
-          await this.delay(1000);
+      logger.info(`AI usage for MR ${mergeRequestIid}: ${Pricing.format(budget.usage)}`);
 
-        } catch (error) {
-          logger.error(`Failed to review file ${file.filename}:`, error);
-          reviews.push({
-            filename: file.filename,
-            error: true,
-            errorMessage: error.message,
-            issues: [],
-          });
-        }
+      // Carry over findings from the previous review for files the new commits did not touch
+      const finalReviews = previousState
+        ? this.mergeWithPreviousFindings(reviews, previousState, parsedFiles, filesToReview)
+        : reviews;
+
+      // Drop findings dismissed with `/ai-review ignore`
+      for (const review of finalReviews) {
+        review.issues = (review.issues || []).filter(issue => !ignoredFindings.includes(issue.findingId));
+      }
+
+      const gate = this.checkQualityGate(finalReviews, crossFile, reviewConfig.qualityGate);
+
+      // Never post results for a SHA that is no longer the MR head
+      await this.ensureStillHead(projectId, mergeRequestIid, headSha, signal);
+
+      const commentOptions = {
+        incremental: previousState ? { sinceSha: previousState.headSha } : null,
+        ignored: ignoredFindings,
+        usage: budget.usage,
+        crossFile,
+        gate,
+      };
+
+      if (dryRun) {
+        logger.info(`Dry run, not posting the review of MR ${mergeRequestIid}`);
+        const comment = await this.generateReviewComment(finalReviews, mergeRequest, parsedFiles, commentOptions);
+        return { headSha, reviews: finalReviews, crossFile, gate, comment };
       }
 
       // Generate and post the review comment
-      await this.postReviewComment(projectId, mergeRequestIid, reviews, mergeRequest, parsedFiles);
+      await this.postReviewComment(projectId, mergeRequestIid, finalReviews, mergeRequest, parsedFiles, commentOptions);
+
+      if (gate) {
+        await this.publishQualityGate(projectId, mergeRequestIid, mergeRequest, headSha, gate, reviewConfig.qualityGate);
+      }
 
       logger.info(`Review completed for MR ${mergeRequestIid}`);
+      return { headSha, reviews: finalReviews, crossFile, gate };
 
     } catch (error) {
+      if (error instanceof ReviewCancelledError) {
+        logger.info(`Review of MR ${mergeRequestIid} cancelled: ${error.message}`);
+        return;
+      }
+
       logger.error(`Failed to review MR ${mergeRequestIid}:`, error);
-      
+      if (dryRun) {
+        throw error;
+      }
+
       // Try to post an error comment
       try {
         await this.postErrorComment(projectId, mergeRequestIid, error);
@@ -108,6 +216,341 @@ class GitLabReviewer {
     }
   }
 
+  /**
+   * Review files a few at a time. The riskiest files go first, so they are reviewed before
+   * a budget runs out; entries are returned in the order of `files`.
+   */
+  async reviewFiles(files, context, budget) {
+    const queue = ReviewScheduler.prioritize(files);
+    const concurrency = this.getFileConcurrency();
+    logger.info(`Reviewing ${queue.length} file(s), up to ${concurrency} at a time`);
+
+    const results = await ReviewScheduler.map(queue, concurrency,
+      file => this.reviewScheduledFile(file, context, budget));
+    return files.map(file => results[queue.indexOf(file)]);
+  }
+
+  /**
+   * Evaluate the quality gate, or return null when the policy has no rules
+   */
+  checkQualityGate(reviews, crossFile, policy) {
+    if (!QualityGate.hasRules(policy)) return null;
+
+    const gate = QualityGate.evaluate(reviews, crossFile?.issues, policy);
+    logger.info(QualityGate.describe(gate));
+    return gate;
+  }
+
+  /**
+   * Report the quality gate as a commit status on the MR head, and answer the external
+   * status check when one is configured. Failures are logged; the review still counts.
+   */
+  async publishQualityGate(projectId, mergeRequestIid, mergeRequest, headSha, gate, policy) {
+    if (!headSha) return;
+
+    if (policy.commitStatus) {
+      try {
+        await this.gitlabAPI.setCommitStatus(projectId, headSha, {
+          state: gate.passed ? 'success' : 'failed',
+          name: policy.statusName,
+          // GitLab truncates longer descriptions
+          description: QualityGate.describe(gate).substring(0, 255),
+          targetUrl: mergeRequest.web_url,
+        });
+      } catch (error) {
+        logger.warn(`Could not publish the quality gate commit status: ${error.message}`);
+      }
+    }
+
+    if (policy.statusCheckId) {
+      try {
+        await this.gitlabAPI.setStatusCheckResponse(
+          projectId,
+          mergeRequestIid,
+          headSha,
+          policy.statusCheckId,
+          gate.passed ? 'passed' : 'failed',
+        );
+      } catch (error) {
+        logger.warn(`Could not answer the external status check: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Review one file of the merge request and build its entry for the comment.
+   * Failures are recorded on the entry; only a cancelled review throws.
+   */
+  async reviewScheduledFile(file, context, budget) {
+    this.throwIfCancelled(context.signal);
+
+    try {
+      if (file.tooLarge) {
+        return {
+          filename: file.filename,
+          skipped: true,
+          reason: 'File too large',
+          issues: [],
+        };
+      }
+
+      const budgetExceeded = await budget.getExceededReason();
+      if (budgetExceeded) {
+        logger.warn(`Skipping ${file.filename}: ${budgetExceeded}`);
+        return {
+          filename: file.filename,
+          skipped: true,
+          reason: `${budgetExceeded}, use \`/ai-review file ${file.filename}\` to review it later`,
+          issues: [],
+        };
+      }
+
+      logger.info(`Reviewing file: ${file.filename}`);
+      const review = await this.reviewFile(file, context);
+      await budget.record(review.usage);
+
+      const issues = (review.issues || [])
+        .filter(issue => RepoConfig.meetsThreshold(issue, context.reviewConfig.severityThreshold));
+      FindingMarker.assignIds(file.filename, issues, DiffParser.getNewLines(file.diff));
+
+      return {
+        filename: file.filename,
+        language: file.language,
+        changeType: file.changeType,
+        ...review,
+        issues,
+      };
+
+    } catch (error) {
+      // An aborted AI call means the whole review was cancelled
+      this.throwIfCancelled(context.signal);
+
+      logger.error(`Failed to review file ${file.filename}:`, error);
+      await budget.record(error.usage);
+      return {
+        filename: file.filename,
+        error: true,
+        errorType: this.getErrorType(error),
+        errorMessage: error.message,
+        issues: [],
+      };
+    }
+  }
+
+  /**
+   * Number of files reviewed at the same time. The provider's rate limiter still spaces
+   * out the requests, so this only bounds how many wait on the provider at once.
+   */
+  getFileConcurrency() {
+    return Math.max(1, config.review.fileConcurrency || config.ai[config.ai.provider]?.fileConcurrency || 1);
+  }
+
+  /**
+   * Review the merge request as a whole for problems that span files.
+   * Returns null when there is nothing to compare or the pass fails, which never fails the review.
+   */
+  async reviewCrossFile(mergeRequest, parsedFiles, context, budget) {
+    const files = parsedFiles.filter(file => !file.tooLarge);
+    if (!config.review.crossFileReview || files.length < 2) return null;
+
+    const budgetExceeded = await budget.getExceededReason();
+    if (budgetExceeded) {
+      logger.warn(`Skipping cross-file review: ${budgetExceeded}`);
+      return null;
+    }
+
+    try {
+      logger.info(`Reviewing ${files.length} files together`);
+      const digest = MergeRequestDigest.build(files, config.review.crossFileMaxSize);
+      const review = await this.aiService.reviewCrossFile(digest, files.map(file => file.filename), {
+        ...context,
+        title: mergeRequest.title,
+        description: mergeRequest.description,
+      });
+      await budget.record(review.usage);
+
+      return {
+        ...review,
+        issues: review.issues
+          .filter(issue => RepoConfig.meetsThreshold(issue, context.reviewConfig.severityThreshold)),
+      };
+
+    } catch (error) {
+      this.throwIfCancelled(context.signal);
+
+      logger.warn(`Cross-file review failed: ${error.message}`);
+      await budget.record(error.usage);
+      return null;
+    }
+  }
+
+  /**
+   * Load the repository config from the MR target branch.
+   * Invalid files are reported on the MR, unless this is a dry run, and the global settings
+   * are used instead.
+   */
+  async loadRepoConfig(projectId, mergeRequestIid, mergeRequest, dryRun = false) {
+    const { settings, errors } = await RepoConfig.load(
+      this.gitlabAPI,
+      projectId,
+      mergeRequest.target_branch,
+    );
+
+    if (errors.length > 0) {
+      logger.warn(`Invalid ${config.review.repoConfigFile} in project ${projectId}`, { errors });
+      if (dryRun) {
+        return settings;
+      }
+
+      try {
+        await this.postConfigErrorComment(projectId, mergeRequestIid, mergeRequest.target_branch, errors);
+      } catch (error) {
+        logger.error('Failed to post configuration error comment:', error);
+      }
+    }
+
+    return settings;
+  }
+
+  /**
+   * Abort the review if the queue cancelled it
+   */
+  throwIfCancelled(signal) {
+    if (signal?.aborted) {
+      throw new ReviewCancelledError('Superseded by a newer push');
+    }
+  }
+
+  /**
+   * Re-read the MR and refuse to continue if its head moved while reviewing
+   */
+  async ensureStillHead(projectId, mergeRequestIid, headSha, signal) {
+    this.throwIfCancelled(signal);
+    if (!headSha) return;
+
+    const current = await this.gitlabAPI.getMergeRequest(projectId, mergeRequestIid);
+    const currentHead = this.getHeadSha(current);
+
+    if (currentHead && currentHead !== headSha) {
+      throw new ReviewCancelledError(`Head moved from ${headSha} to ${currentHead}, discarding stale results`);
+    }
+  }
+
+  /**
+   * Get the head SHA the review is based on
+   */
+  getHeadSha(mergeRequest) {
+    return mergeRequest.diff_refs?.head_sha || mergeRequest.sha || null;
+  }
+
+  /**
+   * Read the state saved in the bot's summary note by the previous review
+   */
+  async getPreviousReviewState(projectId, mergeRequestIid) {
+    const existingComment = await this.gitlabAPI.findReviewStateComment(projectId, mergeRequestIid);
+    return ReviewState.parse(existingComment?.body);
+  }
+
+  /**
+   * Narrow the files to those changed between the last reviewed SHA and the new head.
+   * Returns null when the comparison fails (e.g. after a force push) so a full review runs.
+   */
+  async scopeToNewCommits(projectId, parsedFiles, fromSha, toSha) {
+    try {
+      const comparison = await this.gitlabAPI.compareCommits(projectId, fromSha, toSha);
+      const newDiffs = new Map(
+        (comparison.diffs || []).map(change => [change.new_path, change.diff]),
+      );
+
+      const scopedFiles = parsedFiles
+        .filter(file => newDiffs.get(file.filename))
+        .map(file => ({
+          ...file,
+          incrementalDiff: DiffParser.cleanDiff(newDiffs.get(file.filename)),
+          incrementalBaseSha: fromSha,
+        }));
+
+      logger.info(`Incremental review: ${scopedFiles.length} of ${parsedFiles.length} files changed since ${fromSha}`);
+      return scopedFiles;
+    } catch (error) {
+      logger.warn(`Failed to compare with last reviewed SHA ${fromSha}, running a full review:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Combine fresh reviews with the previous review's findings, flagging each issue
+   * as new since the last review or still open
+   */
+  mergeWithPreviousFindings(reviews, previousState, parsedFiles, reviewedFiles) {
+    const previousFindings = previousState.findings || {};
+
+    return parsedFiles.map(file => {
+      const previousIssues = (previousFindings[file.filename] || [])
+        .map(issue => ({ ...issue, isNew: false }));
+      const review = reviews.find(r => r.filename === file.filename);
+
+      // Not touched by the new commits
+      if (!review) {
+        return {
+          filename: file.filename,
+          language: file.language,
+          changeType: file.changeType,
+          carriedOver: true,
+          issues: previousIssues,
+        };
+      }
+
+      const reviewedFile = reviewedFiles.find(f => f.filename === file.filename);
+      if (review.error || review.skipped) {
+        // Nothing looked at the new code, so findings on rewritten lines lose their line
+        const issues = reviewedFile?.incrementalDiff
+          ? previousIssues.map(issue => this.moveIssue(issue, reviewedFile.incrementalDiff))
+          : previousIssues;
+        return { ...review, issues };
+      }
+
+      const previousIds = new Set(previousIssues.map(issue => issue.findingId));
+      const freshIssues = (review.issues || []).map(issue => ({
+        ...issue,
+        isNew: !previousIds.has(issue.findingId),
+      }));
+      const freshIds = new Set(freshIssues.map(issue => issue.findingId));
+
+      // Previous findings stay open unless the new commits rewrote the lines they point at.
+      // Without an incremental diff the whole file was re-reviewed, so nothing carries over.
+      const stillOpen = reviewedFile?.incrementalDiff
+        ? this.filterUntouchedIssues(previousIssues, freshIds, reviewedFile.incrementalDiff)
+        : [];
+
+      return { ...review, issues: [...freshIssues, ...stillOpen] };
+    });
+  }
+
+  /**
+   * Keep previous issues that were not re-reported and whose line the new diff did not
+   * touch, moved to where that line is now
+   */
+  filterUntouchedIssues(previousIssues, freshIds, incrementalDiff) {
+    return previousIssues
+      .filter(issue => !freshIds.has(issue.findingId))
+      .flatMap(issue => {
+        const moved = this.moveIssue(issue, incrementalDiff);
+        // The fresh review already saw the rewritten lines and reported what still applies
+        return issue.line && !moved.line ? [] : [moved];
+      });
+  }
+
+  /**
+   * Move an issue of the last reviewed SHA to its line at the new head; the line is
+   * dropped when the new commits removed or rewrote it
+   */
+  moveIssue(issue, incrementalDiff) {
+    return issue.line
+      ? { ...issue, line: DiffParser.mapOldLine(incrementalDiff, issue.line) }
+      : issue;
+  }
+
   /**
    * Gather additional context for the review
    */
@@ -131,16 +574,37 @@ class GitLabReviewer {
   /**
    * Post the main review comment
    */
-  async postReviewComment(projectId, mergeRequestIid, reviews, mergeRequest, parsedFiles) {
+  async postReviewComment(projectId, mergeRequestIid, reviews, mergeRequest, parsedFiles, options = {}) {
     try {
+      // Anchor what we can on the diff; anything left over goes into the summary
+      if (config.review.inlineComments) {
+        await this.postInlineDiscussions(projectId, mergeRequestIid, reviews, mergeRequest, parsedFiles);
+      }
+
       // Check if we already have a bot comment
-      const existingComment = await this.gitlabAPI.findExistingBotComment(
+      const existingComment = await this.gitlabAPI.findReviewStateComment(
         projectId, 
         mergeRequestIid
       );
 
+      // Findings dismissed while this review ran are only in the note, so keep them ignored
+      const ignored = [...new Set([
+        ...(options.ignored || []),
+        ...(ReviewState.parse(existingComment?.body)?.ignored || []),
+      ])];
+      for (const review of reviews) {
+        review.issues = (review.issues || []).filter(issue => !ignored.includes(issue.findingId));
+      }
+
       // Generate the comment content
-      const commentContent = await this.generateReviewComment(reviews, mergeRequest, parsedFiles);
+      let commentContent = await this.generateReviewComment(reviews, mergeRequest, parsedFiles, options);
+
+      // Remember what was reviewed so the next push only looks at new commits
+      const headSha = this.getHeadSha(mergeRequest);
+      if (headSha) {
+        const state = ReviewState.fromReviews(headSha, reviews, ignored, options.crossFile?.issues);
+        commentContent += `\n${ReviewState.build(state)}`;
+      }
 
       if (existingComment) {
         // Update existing comment
@@ -167,22 +631,145 @@ class GitLabReviewer {
     }
   }
 
+  /**
+   * Post each issue as a diff discussion on the new-side line it refers to.
+   * Issues whose line is not an added line of the diff are left for the summary note.
+   */
+  async postInlineDiscussions(projectId, mergeRequestIid, reviews, mergeRequest, parsedFiles) {
+    const diffRefs = mergeRequest.diff_refs;
+    if (!diffRefs?.base_sha || !diffRefs?.start_sha || !diffRefs?.head_sha) {
+      logger.warn('Merge request has no diff_refs, posting all findings in the summary');
+      return;
+    }
+
+    const postedFindings = await this.getPostedFindingIds(projectId, mergeRequestIid);
+
+    for (const review of reviews) {
+      if (!review.issues || review.issues.length === 0) continue;
+
+      const file = parsedFiles.find(f => f.filename === review.filename);
+      if (!file || file.tooLarge) continue;
+
+      const addedLines = new Map(
+        DiffParser.extractAddedLines(file.diff).map(added => [added.lineNumber, added.content]),
+      );
+      FindingMarker.assignIds(review.filename, review.issues, DiffParser.getNewLines(file.diff));
+
+      for (const issue of review.issues) {
+        if (!issue.line || !addedLines.has(issue.line)) {
+          logger.debug(`Line ${issue.line} of ${review.filename} is not in the diff, keeping finding in summary`);
+          continue;
+        }
+
+        // Already posted by a previous run
+        if (postedFindings.has(issue.findingId)) {
+          issue.inline = true;
+          continue;
+        }
+
+        // Only fixes that replace exactly the added lines they name are offered for one-click apply
+        const suggestion = config.review.suggestionBlocks ? CodeSuggestion.build(issue, addedLines) : null;
+
+        try {
+          await this.gitlabAPI.createMergeRequestDiscussion(
+            projectId,
+            mergeRequestIid,
+            this.formatInlineComment(issue, suggestion),
+            {
+              position_type: 'text',
+              base_sha: diffRefs.base_sha,
+              start_sha: diffRefs.start_sha,
+              head_sha: diffRefs.head_sha,
+              old_path: file.oldFilename || file.filename,
+              new_path: file.filename,
+              new_line: issue.line,
+            },
+          );
+          issue.inline = true;
+        } catch (error) {
+          logger.warn(`Failed to post inline discussion for ${review.filename}:${issue.line}, falling back to summary`, {
+            message: error.message,
+          });
+        }
+      }
+    }
+  }
+
+  /**
+   * Collect finding IDs already posted as discussions on this MR
+   */
+  async getPostedFindingIds(projectId, mergeRequestIid) {
+    const findingIds = new Set();
+
+    try {
+      const discussions = await this.gitlabAPI.getMergeRequestDiscussions(projectId, mergeRequestIid);
+      for (const discussion of discussions || []) {
+        for (const note of discussion.notes || []) {
+          FindingMarker.extract(note.body).forEach(id => findingIds.add(id));
+        }
+      }
+    } catch (error) {
+      logger.warn('Failed to get existing discussions:', error);
+    }
+
+    return findingIds;
+  }
+
+  /**
+   * Format a single issue as an inline discussion body. A suggestion block, when given,
+   * takes the place of the example.
+   */
+  formatInlineComment(issue, suggestion = null) {
+    const severityIcon = SEVERITY_ICONS[issue.severity] || SEVERITY_ICONS.MEDIUM;
+
+    let body = `${severityIcon} **${issue.severity} · ${issue.type}**\n\n`;
+    body += `${issue.description}\n\n`;
+
+    if (issue.suggestion) {
+      body += `*Suggestion:* ${issue.suggestion}\n\n`;
+    }
+
+    if (suggestion) {
+      body += `*Suggested fix:*\n${suggestion}\n\n`;
+    } else if (issue.example) {
+      body += `*Example:*\n\`\`\`\n${issue.example}\n\`\`\`\n\n`;
+    }
+
+    body += '---\n';
+    body += `*AI Reviewer finding \`${issue.findingId}\` · reply \`/ai-review ignore ${issue.findingId}\` to dismiss*\n`;
+    body += FindingMarker.build(issue.findingId);
+
+    return body;
+  }
+
   /**
    * Generate the review comment content
    */
-  async generateReviewComment(reviews, mergeRequest, parsedFiles) {
+  async generateReviewComment(reviews, mergeRequest, parsedFiles, options = {}) {
     const stats = DiffParser.getFileStats(parsedFiles);
-    const totalIssues = reviews.reduce((sum, review) => sum + (review.issues?.length || 0), 0);
-    const criticalIssues = reviews.reduce((sum, review) => 
+    const fileIssues = reviews.reduce((sum, review) => sum + (review.issues?.length || 0), 0);
+    const fileCriticalIssues = reviews.reduce((sum, review) => 
       sum + (review.issues?.filter(issue => issue.severity === 'CRITICAL').length || 0), 0);
     const securityIssues = reviews.reduce((sum, review) => 
       sum + (review.issues?.filter(issue => issue.type === 'SECURITY').length || 0), 0);
+    const crossFileIssues = options.crossFile?.issues || [];
+    const totalIssues = fileIssues + crossFileIssues.length;
+    const criticalIssues = fileCriticalIssues +
+      crossFileIssues.filter(issue => issue.severity === 'CRITICAL').length;
 
     let comment = `## 🤖 AI Code Review\n\n`;
+
+    if (options.incremental) {
+      comment += `🔁 *Incremental review of commits pushed since \`${options.incremental.sinceSha.substring(0, 8)}\`*\n\n`;
+    }
     
+    const failedFiles = reviews.filter(review => review.error).length;
+
     // Add summary
-    if (totalIssues === 0) {
+    if (totalIssues === 0 && failedFiles === 0) {
       comment += `✅ **Great work!** No issues found in this merge request.\n\n`;
+    } else if (totalIssues === 0) {
+      comment += `⚠️ **No issues found, but ${failedFiles} file(s) could not be reviewed.** See below for details.\n\n`;
     } else {
       comment += `📊 **Review Summary:**\n`;
       comment += `- **Files Reviewed:** ${reviews.length}\n`;
@@ -193,14 +780,202 @@ class GitLabReviewer {
       if (securityIssues > 0) {
         comment += `- **Security Issues:** 🔒 ${securityIssues}\n`;
       }
+      if (crossFileIssues.length > 0) {
+        comment += `- **Cross-file Issues:** 🔗 ${crossFileIssues.length}\n`;
+      }
+      if (options.incremental) {
+        const newIssues = reviews.reduce((sum, review) =>
+          sum + (review.issues?.filter(issue => issue.isNew).length || 0), 0);
+        comment += `- **New Since Last Review:** ${newIssues}\n`;
+        comment += `- **Still Open:** ${fileIssues - newIssues}\n`;
+      }
       comment += `\n`;
     }
 
+    if (options.gate) {
+      comment += options.gate.passed
+        ? '🚦 **Quality gate:** ✅ passed\n\n'
+        : `🚦 **Quality gate:** ❌ failed: ${options.gate.failures.join(', ')}\n\n`;
+    }
+
     // Add file-by-file reviews
+    if (options.incremental) {
+      comment += this.renderIncrementalSections(reviews);
+    } else {
+      comment += this.renderFileReviews(reviews);
+    }
+
+    if (options.crossFile) {
+      comment += this.renderCrossFileFindings(options.crossFile);
+    }
+
+    // Add footer
+    comment += `---\n`;
+    comment += `*Review generated by GitLab AI Reviewer at ${new Date().toISOString()}*\n`;
+    comment += `*Powered by ${this.describeModels(reviews)}*`;
+    if (options.usage) {
+      comment += `\n*AI usage: ${Pricing.format(options.usage)}*`;
+    }
+
+    return comment;
+  }
+
+  /**
+   * Describe the providers and models that produced the reviews, marking fallbacks
+   */
+  describeModels(reviews) {
+    const fileCounts = new Map();
+    for (const review of reviews) {
+      if (!review.provider) continue;
+      const key = `${review.provider.toUpperCase()} ${review.model}`;
+      fileCounts.set(key, (fileCounts.get(key) || 0) + 1);
+    }
+
+    if (fileCounts.size === 0) {
+      const provider = config.ai.provider;
+      return `${provider.toUpperCase()} ${config.ai[provider]?.model}`;
+    }
+
+    const primary = config.ai.provider.toUpperCase();
+    return Array.from(fileCounts.entries())
+      .map(([key, count]) => (key.startsWith(`${primary} `) ? key : `${key} (fallback, ${count} file(s))`))
+      .join(', ');
+  }
+
+  /**
+   * Review one file. Diffs above the size limit are split into chunks that are reviewed
+   * one after another, and their findings merged.
+   */
+  async reviewFile(file, context) {
+    const diff = file.incrementalDiff || file.diff;
+    const chunks = DiffParser.chunkDiff(
+      diff,
+      context.reviewConfig?.maxDiffSize || config.review.maxDiffSize,
+      config.review.chunkOverlap,
+    );
+    const contents = await this.getFileContents(file, diff, context);
+
+    if (chunks.length === 1) {
+      return this.aiService.reviewCode(file.filename, file.language, diff, {
+        ...context,
+        fileContext: this.buildFileContext(contents, diff),
+      });
+    }
+
+    logger.info(`Reviewing ${file.filename} in ${chunks.length} chunks`);
+    const results = [];
+
+    try {
+      for (const [index, chunk] of chunks.entries()) {
+        this.throwIfCancelled(context.signal);
+        results.push(await this.aiService.reviewCode(file.filename, file.language, chunk.diff, {
+          ...context,
+          chunk: { part: index + 1, total: chunks.length, context: chunk.context },
+          fileContext: this.buildFileContext(contents, chunk.diff),
+        }));
+      }
+    } catch (error) {
+      // The budget counts the chunks reviewed before the failure too
+      error.usage = results.reduce((total, result) => Pricing.add(total, result.usage), error.usage || Pricing.emptyUsage());
+      throw error;
+    }
+
+    return this.mergeChunkReviews(results);
+  }
+
+  /**
+   * Read the file after the change and, when pre-change context is enabled and lines
+   * were deleted, before it. Missing or unreadable files just mean less context.
+   */
+  async getFileContents(file, diff, context) {
+    const contents = { after: null, before: null };
+    if (!config.review.fileContext || !context.projectId) return contents;
+
+    // An incremental diff starts at the last reviewed head, not the MR base
+    const beforeRef = file.incrementalDiff ? file.incrementalBaseSha : context.baseSha;
+
+    try {
+      if (!file.isDeletedFile && context.headSha) {
+        contents.after = await this.gitlabAPI.getFileContent(context.projectId, file.filename, context.headSha);
+      }
+
+      if (config.review.preChangeContext && !file.isNewFile && beforeRef && DiffParser.countDeletions(diff) > 0) {
+        contents.before = await this.gitlabAPI.getFileContent(
+          context.projectId,
+          file.oldFilename || file.filename,
+          beforeRef,
+        );
+      }
+    } catch (error) {
+      logger.warn(`Failed to read ${file.filename} for context, reviewing the diff alone:`, { message: error.message });
+    }
+
+    return contents;
+  }
+
+  /**
+   * Pick the code around the changes in a diff, within the context token budget
+   */
+  buildFileContext(contents, diff) {
+    const maxTokens = config.review.fileContextMaxTokens;
+
+    return {
+      after: CodeContext.build(contents.after, diff, { maxTokens }),
+      before: CodeContext.build(contents.before, diff, { maxTokens, side: 'old' }),
+    };
+  }
+
+  /**
+   * Merge the reviews of a file's chunks, dropping findings reported twice because
+   * the chunks overlap
+   */
+  mergeChunkReviews(results) {
+    const seen = new Set();
+    const issues = [];
+
+    for (const result of results) {
+      for (const issue of result.issues || []) {
+        const key = issue.line
+          ? `${issue.type}:${issue.line}`
+          : `${issue.type}:${issue.description.toLowerCase()}`;
+        if (seen.has(key)) continue;
+
+        seen.add(key);
+        issues.push(issue);
+      }
+    }
+
+    return {
+      summary: results.map(result => result.summary).filter(Boolean).join(' '),
+      issues,
+      rawReview: results.map(result => result.rawReview).filter(Boolean).join('\n\n'),
+      format: results.every(result => result.format === 'json') ? 'json' : 'markdown',
+      provider: results[0].provider,
+      model: results[0].model,
+      usage: results.reduce((total, result) => Pricing.add(total, result.usage), Pricing.emptyUsage()),
+      chunks: results.length,
+    };
+  }
+
+  /**
+   * Classify a file review failure so quota problems and blocked content read differently
+   */
+  getErrorType(error) {
+    if (error instanceof ContentBlockedError) return 'blocked';
+    if (error instanceof ProviderQuotaError || Retry.getStatus(error) === 429) return 'quota';
+    return 'failed';
+  }
+
+  /**
+   * Render the file-by-file section of the review comment
+   */
+  renderFileReviews(reviews) {
+    let comment = '';
+
     for (const review of reviews) {
       if (review.error) {
         comment += `### ❌ ${review.filename}\n`;
-        comment += `*Error during review: ${review.errorMessage}*\n\n`;
+        comment += `*${ERROR_LABELS[review.errorType] || ERROR_LABELS.failed}: ${review.errorMessage}*\n\n`;
         continue;
       }
 
@@ -216,26 +991,29 @@ class GitLabReviewer {
         continue;
       }
 
+      // Issues posted as inline discussions are only counted here
+      const inlineCount = review.issues.filter(i => i.inline).length;
+      const summaryIssues = review.issues.filter(i => !i.inline);
+
       comment += `### 📝 ${review.filename}\n`;
-      comment += `*${review.issues.length} issue(s) found*\n\n`;
+      comment += `*${review.issues.length} issue(s) found`;
+      if (inlineCount > 0) {
+        comment += `, ${inlineCount} posted as inline discussions`;
+      }
+      comment += '*\n\n';
 
       // Group issues by severity
       const issuesBySeverity = {
-        CRITICAL: review.issues.filter(i => i.severity === 'CRITICAL'),
-        HIGH: review.issues.filter(i => i.severity === 'HIGH'),
-        MEDIUM: review.issues.filter(i => i.severity === 'MEDIUM'),
-        LOW: review.issues.filter(i => i.severity === 'LOW'),
+        CRITICAL: summaryIssues.filter(i => i.severity === 'CRITICAL'),
+        HIGH: summaryIssues.filter(i => i.severity === 'HIGH'),
+        MEDIUM: summaryIssues.filter(i => i.severity === 'MEDIUM'),
+        LOW: summaryIssues.filter(i => i.severity === 'LOW'),
       };
 
       for (const [severity, issues] of Object.entries(issuesBySeverity)) {
         if (issues.length === 0) continue;
 
-        const severityIcon = {
-          CRITICAL: '🚨',
-          HIGH: '⚠️',
-          MEDIUM: '⚡',
-          LOW: '💡',
-        }[severity];
+        const severityIcon = SEVERITY_ICONS[severity];
 
         comment += `#### ${severityIcon} ${severity} Issues\n\n`;
 
@@ -258,10 +1036,65 @@ class GitLabReviewer {
       }
     }
 
-    // Add footer
-    comment += `---\n`;
-    comment += `*Review generated by GitLab AI Reviewer at ${new Date().toISOString()}*\n`;
-    comment += `*Powered by ${config.ai.provider.toUpperCase()} ${config.ai.openai.model}*`;
+    return comment;
+  }
+
+  /**
+   * Render the findings of the cross-file review
+   */
+  renderCrossFileFindings(crossFile) {
+    let comment = '## 🔗 Cross-file Findings\n\n';
+
+    if (crossFile.issues.length === 0) {
+      return `${comment}*No problems found across files.*\n\n`;
+    }
+
+    if (crossFile.summary) {
+      comment += `${crossFile.summary}\n\n`;
+    }
+
+    for (const severity of Object.keys(SEVERITY_ICONS)) {
+      for (const issue of crossFile.issues.filter(i => i.severity === severity)) {
+        comment += `${SEVERITY_ICONS[severity]} **${severity} · ${issue.category}**\n`;
+        comment += `*Files:* ${issue.files.map(file => `\`${file}\``).join(', ')}\n\n`;
+        comment += `${issue.description}\n\n`;
+
+        if (issue.suggestion) {
+          comment += `*Suggestion:* ${issue.suggestion}\n\n`;
+        }
+      }
+    }
+
+    return comment;
+  }
+
+  /**
+   * Render separate sections for findings new since the last review and those still open
+   */
+  renderIncrementalSections(reviews) {
+    const newReviews = reviews
+      .filter(review => !review.carriedOver)
+      .map(review => ({
+        ...review,
+        issues: (review.issues || []).filter(issue => issue.isNew),
+      }));
+
+    const openReviews = reviews
+      .map(review => ({
+        filename: review.filename,
+        issues: (review.issues || []).filter(issue => !issue.isNew),
+      }))
+      .filter(review => review.issues.length > 0);
+
+    let comment = '## 🆕 New since last review\n\n';
+    comment += newReviews.length > 0
+      ? this.renderFileReviews(newReviews)
+      : '*No reviewable changes in the new commits.*\n\n';
+
+    comment += '## 📌 Still open\n\n';
+    comment += openReviews.length > 0
+      ? this.renderFileReviews(openReviews)
+      : '*No findings carried over from the previous review.*\n\n';
 
     return comment;
   }
@@ -270,7 +1103,14 @@ class GitLabReviewer {
    * Post comment when no reviewable files are found
    */
   async postNoReviewComment(projectId, mergeRequestIid) {
-    const comment = `## 🤖 AI Code Review\n\n` +
+    await this.gitlabAPI.postMergeRequestComment(projectId, mergeRequestIid, this.generateNoReviewComment());
+  }
+
+  /**
+   * Comment explaining that a merge request had nothing to review
+   */
+  generateNoReviewComment() {
+    return `## 🤖 AI Code Review\n\n` +
       `ℹ️ No reviewable code changes found in this merge request.\n\n` +
       `This might be because:\n` +
       `- Only configuration files or documentation were changed\n` +
@@ -278,30 +1118,55 @@ class GitLabReviewer {
       `- File types are not supported for review\n\n` +
       `---\n` +
       `*Review generated by GitLab AI Reviewer at ${new Date().toISOString()}*`;
+  }
 
-    await this.gitlabAPI.postMergeRequestComment(projectId, mergeRequestIid, comment);
+  /**
+   * Post (or refresh) a note explaining why the repository config was rejected
+   */
+  async postConfigErrorComment(projectId, mergeRequestIid, ref, errors) {
+    const comment = `## ${CONFIG_COMMENT_IDENTIFIER}\n\n` +
+      `⚠️ \`${config.review.repoConfigFile}\` on \`${ref}\` is invalid and was ignored. ` +
+      'This review used the default settings.\n\n' +
+      `${errors.map(error => `- ${error}`).join('\n')}\n\n` +
+      '---\n' +
+      `*Reported by GitLab AI Reviewer at ${new Date().toISOString()}*`;
+
+    const existingComment = await this.gitlabAPI.findExistingBotComment(
+      projectId,
+      mergeRequestIid,
+      CONFIG_COMMENT_IDENTIFIER,
+    );
+
+    if (existingComment) {
+      await this.gitlabAPI.updateMergeRequestComment(projectId, mergeRequestIid, existingComment.id, comment);
+    } else {
+      await this.gitlabAPI.postMergeRequestComment(projectId, mergeRequestIid, comment);
+    }
   }
 
   /**
-   * Post error comment when review fails
+   * Post (or refresh) the note saying the last review failed. It is kept apart from
+   * the summary note so a failure never replaces the review state.
    */
   async postErrorComment(projectId, mergeRequestIid, error) {
-    const comment = `## 🤖 AI Code Review\n\n` +
-      `❌ **Review Failed**\n\n` +
+    const comment = `## ${ERROR_COMMENT_IDENTIFIER}\n\n` +
       `An error occurred while reviewing this merge request:\n` +
       `\`${error.message}\`\n\n` +
       `Please check the configuration and try again.\n\n` +
       `---\n` +
       `*Error reported by GitLab AI Reviewer at ${new Date().toISOString()}*`;
 
-    await this.gitlabAPI.postMergeRequestComment(projectId, mergeRequestIid, comment);
-  }
+    const existingComment = await this.gitlabAPI.findExistingBotComment(
+      projectId,
+      mergeRequestIid,
+      ERROR_COMMENT_IDENTIFIER,
+    );
 
-  /**
-   * Utility method to add delays
-   */
-  async delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+    if (existingComment) {
+      await this.gitlabAPI.updateMergeRequestComment(projectId, mergeRequestIid, existingComment.id, comment);
+    } else {
+      await this.gitlabAPI.postMergeRequestComment(projectId, mergeRequestIid, comment);
+    }
   }
 }
 
@@ -0,0 +1,125 @@
+/**
+ * Webhook Server
+ * Receives GitLab webhooks and runs the reviews and follow-up replies they trigger in the background
+ */
+
+const express = require('express');
+const { logger } = require('./utils/logger');
+const { webhookAuth } = require('./middleware/webhook-auth');
+const GitLabReviewer = require('./reviewer');
+const ReviewQueue = require('./queue/review-queue');
+const GitLabAPI = require('./services/gitlab-api');
+const AIService = require('./services/ai-service');
+const SlashCommandHandler = require('./commands/slash-commands');
+const FollowUpHandler = require('./commands/follow-up');
+const config = require('./config/config');
+
+// Reviews and follow-up replies triggered by webhooks run in the background
+const reviewQueue = ReviewQueue.create((job, signal) => {
+  if (job.type === 'follow-up') {
+    const followUpHandler = new FollowUpHandler(new GitLabAPI(), new AIService());
+    return followUpHandler.respond(job.projectId, job.mergeRequestIid, job.options, signal);
+  }
+
+  const reviewer = new GitLabReviewer();
+  return reviewer.reviewMergeRequest(job.projectId, job.mergeRequestIid, {
+    ...job.options,
+    signal,
+    expectedHeadSha: job.headSha,
+  });
+});
+
+const app = express();
+app.set('trust proxy', config.trustProxy);
+app.use(express.json());
+
+// Health check endpoint
+app.get('/health', (req, res) => {
+  res.json({ 
+    status: 'healthy', 
+    timestamp: new Date().toISOString(),
+    version: require('../package.json').version,
+  });
+});
+
+// Webhook endpoint for GitLab events
+app.post('/webhook', webhookAuth(), async (req, res) => {
+  try {
+    const event = req.body;
+    const eventType = req.headers['x-gitlab-event'];
+    
+    logger.info(`Received GitLab event: ${eventType}`, {
+      projectId: event.project?.id,
+      mergeRequestId: event.object_attributes?.iid,
+    });
+
+    // Slash commands and replies to findings in merge request notes
+    if (eventType === 'Note Hook') {
+      if (config.commands.enabled) {
+        const commandHandler = new SlashCommandHandler(
+          new GitLabAPI(),
+          job => reviewQueue.enqueue(job),
+        );
+        if (await commandHandler.handleNote(event)) {
+          return res.status(200).json({ message: 'Command processed' });
+        }
+      }
+
+      if (config.commands.followUps && FollowUpHandler.isCandidate(event)) {
+        const { key } = await reviewQueue.enqueue(FollowUpHandler.toJob(event));
+        return res.status(202).json({ message: 'Reply queued', jobId: key });
+      }
+
+      return res.status(200).json({ message: 'Note ignored' });
+    }
+
+    // Process merge request events
+    if (eventType === 'Merge Request Hook') {
+      const action = event.object_attributes?.action;
+      
+      // Queue a review on opened or updated merge requests and answer before GitLab times out
+      if (action === 'open' || action === 'update') {
+        const { queued, key } = await reviewQueue.enqueue({
+          projectId: event.project.id,
+          mergeRequestIid: event.object_attributes.iid,
+          headSha: event.object_attributes.last_commit?.id,
+        });
+
+        return res.status(202).json({
+          message: queued ? 'Review queued' : 'Review already queued',
+          jobId: key,
+        });
+      }
+    }
+
+    res.status(200).json({ message: 'Event processed successfully' });
+  } catch (error) {
+    logger.error('Error processing webhook:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Start the review queue and listen for webhooks. On SIGTERM or SIGINT running reviews get up to
+ * QUEUE_SHUTDOWN_TIMEOUT seconds to finish before the process exits.
+ */
+function startServer(port = config.port) {
+  reviewQueue.start();
+
+  const server = app.listen(port, () => {
+    logger.info(`GitLab AI Reviewer server running on port ${port}`);
+    logger.info('Webhook endpoint: POST /webhook');
+    logger.info('Health check: GET /health');
+  });
+
+  for (const signal of ['SIGTERM', 'SIGINT']) {
+    process.on(signal, () => {
+      logger.info(`Received ${signal}, shutting down gracefully`);
+      reviewQueue.stop().finally(() => process.exit(0));
+    });
+  }
+
+  return server;
+}
+
+module.exports = { app, reviewQueue, startServer };
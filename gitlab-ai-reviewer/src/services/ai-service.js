@@ -4,26 +4,64 @@
  */
 
 const OpenAI = require('openai');
+const { AzureOpenAI } = require('openai');
+const AnthropicClient = require('./anthropic-client');
+const GeminiClient = require('./gemini-client');
+const OllamaClient = require('./ollama-client');
+const AzureTokenProvider = require('./azure-token-provider');
 const { logger } = require('../utils/logger');
 const config = require('../config/config');
+const ReviewSchema = require('../utils/review-schema');
+const Retry = require('../utils/retry');
+const CircuitBreaker = require('../utils/circuit-breaker');
+const RateLimiter = require('../utils/rate-limiter');
+const Pricing = require('../utils/pricing');
+const { CircuitOpenError } = require('../utils/errors');
 
 class AIService {
   constructor() {
     this.provider = config.ai.provider;
-    this.initializeProvider();
+    // Primary provider first, then the fallbacks in the order they were configured
+    this.providers = [...new Set([this.provider, ...config.ai.fallbackProviders])];
+    // Providers that failed during this review and are no longer tried
+    this.unavailableProviders = new Set();
+    // "provider:model" pairs that rejected the structured output request
+    this.unstructuredModels = new Set();
+    this.clients = {};
+    this.getClient(this.provider);
   }
 
-  initializeProvider() {
-    switch (this.provider) {
+  /**
+   * Get the API client for a provider, creating it on first use
+   */
+  getClient(provider) {
+    if (!this.clients[provider]) {
+      this.clients[provider] = this.initializeProvider(provider);
+    }
+    return this.clients[provider];
+  }
+
+  /**
+   * Create the client for a provider. Every client has the OpenAI SDK's shape, so the
+   * rest of AIService treats providers alike: `chat.completions.create(body, { signal })`
+   * takes a chat completions body and resolves to `{ model, choices: [{ message: { content } }],
+   * usage: { prompt_tokens, completion_tokens } }`. Failed requests reject with the HTTP
+   * status and headers readable by Retry.getStatus and Retry.getHeaders.
+   */
+  initializeProvider(provider) {
+    if (config.LOCAL_PROVIDERS.includes(provider)) {
+      return this.initializeLocalProvider(provider);
+    }
+
+    switch (provider) {
       case 'openai':
-        this.client = new OpenAI({
+        return new OpenAI({
           apiKey: config.ai.openai.apiKey,
         });
-        break;
 
       case 'openrouter':
         // OpenRouter uses OpenAI-compatible API
-        this.client = new OpenAI({
+        return new OpenAI({
           apiKey: config.ai.openrouter.apiKey,
           baseURL: config.ai.openrouter.baseURL || 'https://openrouter.ai/api/v1',
           defaultHeaders: {
@@ -31,118 +69,421 @@ class AIService {
             'X-Title': config.ai.openrouter.siteName || 'GitLab AI Reviewer',
           },
         });
-        break;
 
       case 'deepseek':
         // DeepSeek uses OpenAI-compatible API
-        this.client = new OpenAI({
+        return new OpenAI({
           apiKey: config.ai.deepseek.apiKey,
           baseURL: config.ai.deepseek.baseURL || 'https://api.deepseek.com/v1',
         });
-        break;
 
       case 'anthropic':
-        // Note: You would need to install @anthropic-ai/sdk
-        // this.client = new Anthropic({
-        //   apiKey: config.ai.anthropic.apiKey,
-        // });
-        throw new Error('Anthropic provider not implemented yet');
+        // Messages API, adapted to the chat completions interface
+        return new AnthropicClient({
+          apiKey: config.ai.anthropic.apiKey,
+          baseURL: config.ai.anthropic.baseURL,
+          version: config.ai.anthropic.version,
+        });
 
       case 'google':
-        // Note: You would need to install @google-ai/generativelanguage
-        throw new Error('Google AI provider not implemented yet');
+        // Gemini generateContent API, adapted to the chat completions interface
+        return new GeminiClient({
+          apiKey: config.ai.google.apiKey,
+          baseURL: config.ai.google.baseURL,
+          apiVersion: config.ai.google.apiVersion,
+          safetyThreshold: config.ai.google.safetyThreshold,
+          safetySettings: config.ai.google.safetySettings,
+        });
 
       case 'azure':
-        this.client = new OpenAI({
-          apiKey: config.ai.azure.apiKey,
-          baseURL: config.ai.azure.endpoint,
-        });
-        break;
+        return this.createAzureClient();
 
       default:
-        throw new Error(`Unsupported AI provider: ${this.provider}`);
+        throw new Error(`Unsupported AI provider: ${provider}`);
     }
   }
+  /**
+   * Create an Azure OpenAI client. Requests go to the deployment named in the body's
+   * `model`, with the api-version query parameter and either an API key or an Entra ID token.
+   */
+  createAzureClient() {
+    const azure = config.ai.azure;
+
+    const credentials = azure.clientId
+      ? { azureADTokenProvider: this.getAzureTokenProvider() }
+      : { apiKey: azure.apiKey };
+
+    return new AzureOpenAI({
+      endpoint: azure.endpoint,
+      apiVersion: azure.apiVersion,
+      ...credentials,
+    });
+  }
+
+  /**
+   * Token callback for Entra ID authentication
+   */
+  getAzureTokenProvider() {
+    const tokenProvider = new AzureTokenProvider({
+      tenantId: config.ai.azure.tenantId,
+      clientId: config.ai.azure.clientId,
+      clientSecret: config.ai.azure.clientSecret,
+      authorityHost: config.ai.azure.authorityHost,
+    });
+
+    return () => tokenProvider.getToken();
+  }
+
+  /**
+   * Initialize a self-hosted provider; neither needs an API key
+   */
+  initializeLocalProvider(provider) {
+    const providerConfig = config.ai[provider];
+
+    if (provider === 'ollama') {
+      return new OllamaClient({
+        baseURL: providerConfig.baseURL,
+        contextWindow: providerConfig.contextWindow,
+        keepAlive: providerConfig.keepAlive,
+        timeout: providerConfig.timeout,
+      });
+    }
+
+    return new OpenAI({
+      // The SDK insists on a key even for servers that ignore it
+      apiKey: providerConfig.apiKey || 'not-needed',
+      baseURL: providerConfig.baseURL,
+      timeout: providerConfig.timeout,
+    });
+  }
+
 
   /**
    * Review code changes using AI
    */
   async reviewCode(filename, language, diff, context = {}) {
+    // Tokens of every request for this file, repairs included
+    let usage = Pricing.emptyUsage();
+
     try {
       const prompt = this.buildReviewPrompt(filename, language, diff, context);
+      const structured = config.ai.structuredOutput;
 
       logger.debug(`Sending code review request for ${filename} using ${this.provider}`);
 
-      // Get model and parameters based on provider
-      const modelConfig = this.getModelConfig();
+      const messages = [
+        {
+          role: 'system',
+          content: this.getSystemPrompt(structured),
+        },
+        {
+          role: 'user',
+          content: prompt,
+        },
+      ];
 
-      const response = await this.client.chat.completions.create({
-        model: modelConfig.model,
-        messages: [
-          {
-            role: 'system',
-            content: config.prompts.systemPrompt,
-          },
+      let completion = await this.requestReview(messages, structured, context);
+      let review = completion.content;
+      usage = Pricing.add(usage, completion.usage);
+
+      logger.debug(`Received AI review for ${filename} from ${completion.provider}`);
+
+      // Recorded per file so the comment can say which model produced each review
+      const usedModel = { provider: completion.provider, model: completion.model };
+
+      if (!structured) {
+        return { ...this.parseReview(review), ...usedModel, usage };
+      }
+
+      let result = ReviewSchema.parse(review, filename);
+
+      // Show the model what was wrong and ask for corrected JSON
+      for (let attempt = 1; result.errors.length > 0 && attempt <= config.ai.repairAttempts; attempt++) {
+        logger.warn(`Malformed review JSON for ${filename}, requesting a repair (attempt ${attempt})`, {
+          errors: result.errors,
+        });
+
+        messages.push(
+          { role: 'assistant', content: review },
           {
             role: 'user',
-            content: prompt,
+            content: config.prompts.repairPrompt.replace('{errors}', () => result.errors.map(error => `- ${error}`).join('\n')),
           },
-        ],
-        max_tokens: modelConfig.maxTokens,
-        temperature: modelConfig.temperature,
-      });
+        );
 
-      const review = response.choices[0]?.message?.content;
+        completion = await this.requestReview(messages, structured, context);
+        review = completion.content;
+        usage = Pricing.add(usage, completion.usage);
+        result = ReviewSchema.parse(review, filename);
+        Object.assign(usedModel, { provider: completion.provider, model: completion.model });
+      }
 
-      if (!review) {
-        throw new Error('No review content received from AI');
+      if (result.review) {
+        return { ...result.review, rawReview: review, format: 'json', ...usedModel, usage };
       }
 
-      logger.debug(`Received AI review for ${filename}`);
-      return this.parseReview(review);
+      return { ...this.parseFallback(filename, review, result.errors), ...usedModel, usage };
 
     } catch (error) {
       logger.error(`Failed to get AI review for ${filename}:`, error);
+      // Tokens spent before the failure still count towards the budget
+      error.usage = usage;
       throw error;
     }
   }
 
   /**
-   * Get model configuration based on provider
+   * Review the merge request as a whole from a digest of all changed files.
+   * Returns { summary, issues, provider, model, usage }; issues name the files involved.
    */
-  getModelConfig() {
-    switch (this.provider) {
-      case 'openai':
-        return {
-          model: config.ai.openai.model,
-          maxTokens: config.ai.openai.maxTokens,
-          temperature: config.ai.openai.temperature,
-        };
-      case 'openrouter':
-        return {
-          model: config.ai.openrouter.model,
-          maxTokens: config.ai.openrouter.maxTokens,
-          temperature: config.ai.openrouter.temperature,
-        };
-      case 'deepseek':
-        return {
-          model: config.ai.deepseek.model,
-          maxTokens: config.ai.deepseek.maxTokens,
-          temperature: config.ai.deepseek.temperature,
-        };
-      case 'azure':
-        return {
-          model: config.ai.azure.model,
-          maxTokens: config.ai.openai.maxTokens,
-          temperature: config.ai.openai.temperature,
-        };
-      default:
-        return {
-          model: config.ai.openai.model,
-          maxTokens: config.ai.openai.maxTokens,
-          temperature: config.ai.openai.temperature,
-        };
+  async reviewCrossFile(digest, filenames, context = {}) {
+    try {
+      const prompt = config.prompts.crossFilePrompt
+        .replace('{title}', () => context.title || 'Untitled')
+        .replace('{description}', () => context.description || 'None')
+        .replace('{digest}', () => digest);
+
+      const completion = await this.complete([
+        {
+          role: 'system',
+          content: 'You are an expert code reviewer looking at how the changes of a merge request fit together.',
+        },
+        {
+          role: 'user',
+          content: prompt,
+        },
+      ], {
+        model: context.reviewConfig?.model,
+        structured: config.ai.structuredOutput,
+        schema: { name: 'cross_file_review', schema: ReviewSchema.getCrossFileJsonSchema() },
+        signal: context.signal,
+      });
+
+      const { review, errors } = ReviewSchema.parseCrossFile(completion.content, filenames);
+      if (!review) {
+        const error = new Error(`Could not parse the cross-file review: ${errors.join('; ')}`);
+        error.usage = completion.usage;
+        throw error;
+      }
+
+      return { ...review, provider: completion.provider, model: completion.model, usage: completion.usage };
+
+    } catch (error) {
+      logger.error('Failed to get cross-file review:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send a review conversation to the model and return { content, provider, model, usage }
+   */
+  async requestReview(messages, structured, context) {
+    // The signal lets the reviewer abort the request when the review is superseded
+    const completion = await this.complete(messages, {
+      model: context.reviewConfig?.model,
+      structured,
+      signal: context.signal,
+    });
+
+    if (!completion.content) {
+      throw new Error('No review content received from AI');
+    }
+
+    return completion;
+  }
+
+  /**
+   * Send a chat completion to the first available provider in the fallback chain.
+   * A provider that is down or rate limited after retries is skipped for the rest of
+   * the review. Returns { content, provider, model, usage }.
+   *
+   * @param {object} options - { model, maxTokens, temperature, structured, schema, signal };
+   *   schema is { name, schema } for structured output other than a file review
+   */
+  async complete(messages, options = {}) {
+    let lastError = null;
+
+    for (const provider of this.providers) {
+      if (this.unavailableProviders.has(provider)) continue;
+
+      let client;
+      try {
+        client = this.getClient(provider);
+      } catch (error) {
+        // A fallback that is not configured, e.g. missing its API key
+        logger.warn(`AI provider ${provider} is not usable: ${error.message}`);
+        this.unavailableProviders.add(provider);
+        lastError = error;
+        continue;
+      }
+
+      try {
+        return await this.completeWith(provider, client, messages, options);
+      } catch (error) {
+        if (options.signal?.aborted || !this.shouldFallBack(provider, error)) {
+          throw error;
+        }
+
+        this.unavailableProviders.add(provider);
+        lastError = error;
+        logger.warn(`AI provider ${provider} failed (${Retry.describe(error)}), skipping it for the rest of this review`);
+      }
     }
+
+    throw lastError || new Error(`No AI provider available (tried ${this.providers.join(', ')})`);
+  }
+
+  /**
+   * Send a chat completion to one provider with retries, its circuit breaker and
+   * its requests-per-minute limit
+   */
+  async completeWith(provider, client, messages, options) {
+    const modelConfig = this.getModelConfig(provider);
+
+    const body = {
+      // A per-repository model names a model of the primary provider
+      model: (provider === this.provider && options.model) || modelConfig.model,
+      messages,
+      max_tokens: options.maxTokens ?? modelConfig.maxTokens,
+      temperature: options.temperature ?? modelConfig.temperature,
+    };
+
+    const modelKey = `${provider}:${body.model}`;
+    const responseFormat = options.structured && !this.unstructuredModels.has(modelKey)
+      ? this.getResponseFormat(provider, options.schema)
+      : null;
+    if (responseFormat) {
+      body.response_format = responseFormat;
+    }
+
+    let response;
+    try {
+      response = await this.send(provider, client, body, options.signal);
+    } catch (error) {
+      if (!body.response_format || !this.isResponseFormatRejected(error)) {
+        throw error;
+      }
+
+      // Older models such as gpt-4 refuse a JSON schema. The JSON prompt stays, and the
+      // markdown fallback covers a model that answers in prose.
+      const { response_format: rejected, ...unstructured } = body;
+      logger.warn(`${provider} ${body.model} does not support ${rejected.type} output, retrying without it`);
+      this.unstructuredModels.add(modelKey);
+      response = await this.send(provider, client, unstructured, options.signal);
+    }
+
+    const usage = Pricing.measure(provider, [body.model, response.model], response.usage);
+    logger.debug(`${provider} ${body.model} used ${Pricing.format(usage)}`);
+
+    return {
+      content: response.choices[0]?.message?.content,
+      provider,
+      model: body.model,
+      usage,
+    };
+  }
+
+  /**
+   * Send one request with retries, the provider's circuit breaker and its rate limit
+   */
+  send(provider, client, body, signal) {
+    const breaker = CircuitBreaker.get(provider);
+    const limiter = RateLimiter.get(provider, config.ai[provider]?.requestsPerMinute);
+
+    return Retry.run(
+      () => breaker.exec(async () => {
+        await limiter.acquire(signal);
+        // The SDK's own retries are disabled so they do not stack with ours
+        return client.chat.completions.create(body, { signal, maxRetries: 0 });
+      }),
+      { name: `${provider} request`, signal },
+    );
+  }
+
+  /**
+   * Whether the API refused the request because of its response_format
+   */
+  isResponseFormatRejected(error) {
+    return Retry.getStatus(error) === 400 && /response_format|json_schema|structured output/i.test(error.message || '');
+  }
+
+  /**
+   * Decide whether to move on to the next provider after a failed request: outages,
+   * exhausted rate limits and rejected credentials. The last provider is never
+   * skipped, so later files still get a chance once it recovers.
+   */
+  shouldFallBack(provider, error) {
+    if (this.providers.indexOf(provider) === this.providers.length - 1) {
+      return false;
+    }
+
+    const status = Retry.getStatus(error);
+    return Retry.isRetryable(error) ||
+      error instanceof CircuitOpenError ||
+      status === 401 ||
+      status === 403;
+  }
+
+  /**
+   * Build the system prompt with the output format instructions
+   */
+  getSystemPrompt(structured) {
+    const format = structured ? config.prompts.jsonFormatPrompt : config.prompts.markdownFormatPrompt;
+    return `${config.prompts.systemPrompt}\n\n${format}`;
+  }
+
+  /**
+   * Structured output mode for the provider: a strict JSON schema where supported
+   * (Anthropic receives it as a forced tool call), plain JSON mode otherwise
+   */
+  getResponseFormat(provider = this.provider, schema = { name: 'code_review', schema: ReviewSchema.getJsonSchema() }) {
+    const configured = config.ai[provider]?.responseFormat;
+    if (configured === 'none') {
+      // The JSON prompt and the markdown fallback still apply
+      return null;
+    }
+
+    if (['openai', 'azure', 'anthropic'].includes(provider) || configured === 'json_schema') {
+      return {
+        type: 'json_schema',
+        json_schema: {
+          name: schema.name,
+          strict: true,
+          schema: schema.schema,
+        },
+      };
+    }
+
+    return { type: 'json_object' };
+  }
+
+  /**
+   * Fall back to the markdown parser when the model never produced valid JSON.
+   * A response neither parser understands is an error, never an empty review.
+   */
+  parseFallback(filename, reviewText, errors) {
+    const review = this.parseReview(reviewText);
+
+    if (review.issues.length === 0) {
+      throw new Error(`Could not parse the AI review: ${errors[0]}`);
+    }
+
+    logger.warn(`Using markdown fallback for ${filename} after invalid JSON`, { errors });
+    return { ...review, format: 'markdown' };
+  }
+
+  /**
+   * Get model configuration based on provider
+   */
+  getModelConfig(provider = this.provider) {
+    const providerConfig = config.ai[provider] || config.ai.openai;
+
+    return {
+      // For Azure the deployment name takes the place of the model
+      model: providerConfig.deployment || providerConfig.model,
+      maxTokens: providerConfig.maxTokens ?? config.ai.openai.maxTokens,
+      temperature: providerConfig.temperature ?? config.ai.openai.temperature,
+    };
   }
 
   /**
@@ -150,9 +491,35 @@ class AIService {
    */
   buildReviewPrompt(filename, language, diff, context) {
     let prompt = config.prompts.reviewPrompt
-      .replace('{filename}', filename)
+      .replace('{filename}', () => filename)
       .replace('{language}', language)
-      .replace('{diff}', diff);
+      .replace('{diff}', () => diff);
+
+    // Code around the changes, so names defined outside the hunks are not reported as missing
+    if (context.fileContext?.after) {
+      prompt += '\n\n' + config.prompts.fileContextPrompt
+        .replace('{language}', language)
+        .replace('{code}', () => context.fileContext.after);
+    }
+
+    if (context.fileContext?.before) {
+      prompt += '\n\n' + config.prompts.preChangeContextPrompt
+        .replace('{language}', language)
+        .replace('{code}', () => context.fileContext.before);
+    }
+
+    // Part of a diff split into chunks
+    if (context.chunk) {
+      prompt += '\n\n' + config.prompts.chunkPrompt
+        .replace('{part}', context.chunk.part)
+        .replace('{total}', context.chunk.total);
+
+      if (context.chunk.context) {
+        prompt += '\n\n' + config.prompts.chunkContextPrompt
+          .replace('{previous}', context.chunk.part - 1)
+          .replace('{context}', () => context.chunk.context);
+      }
+    }
 
     // Add context if available
     if (context.description) {
@@ -164,17 +531,22 @@ class AIService {
     }
 
     // Add review criteria based on configuration
+    const reviewConfig = context.reviewConfig || config.review;
     const criteria = [];
-    if (config.review.enableSecurityChecks) criteria.push('security vulnerabilities');
-    if (config.review.enablePerformanceChecks) criteria.push('performance issues');
-    if (config.review.enableCodeStyleChecks) criteria.push('code style and formatting');
-    if (config.review.enableBestPracticesChecks) criteria.push('best practices');
-    if (config.review.enableBugDetection) criteria.push('potential bugs');
+    if (reviewConfig.enableSecurityChecks) criteria.push('security vulnerabilities');
+    if (reviewConfig.enablePerformanceChecks) criteria.push('performance issues');
+    if (reviewConfig.enableCodeStyleChecks) criteria.push('code style and formatting');
+    if (reviewConfig.enableBestPracticesChecks) criteria.push('best practices');
+    if (reviewConfig.enableBugDetection) criteria.push('potential bugs');
 
     if (criteria.length > 0) {
       prompt += `\n\n**Focus Areas**: ${criteria.join(', ')}`;
     }
 
+    if (reviewConfig.customInstructions) {
+      prompt += `\n\n**Project Instructions**:\n${reviewConfig.customInstructions}`;
+    }
+
     return prompt;
   }
 
@@ -284,31 +656,84 @@ ${reviews.map(review => `- ${review.filename}: ${review.issues.length} issues`).
 Provide a brief, professional summary highlighting the most important findings and overall code quality assessment.
 `;
 
-      const modelConfig = this.getModelConfig();
-
-      const response = await this.client.chat.completions.create({
-        model: modelConfig.model,
-        messages: [
-          {
-            role: 'system',
-            content: 'You are a senior code reviewer providing executive summaries of code reviews.',
-          },
-          {
-            role: 'user',
-            content: summaryPrompt,
-          },
-        ],
-        max_tokens: 500,
+      const completion = await this.complete([
+        {
+          role: 'system',
+          content: 'You are a senior code reviewer providing executive summaries of code reviews.',
+        },
+        {
+          role: 'user',
+          content: summaryPrompt,
+        },
+      ], {
+        maxTokens: 500,
         temperature: 0.3,
       });
 
-      return response.choices[0]?.message?.content || 'Code review summary generated.';
+      return completion.content || 'Code review summary generated.';
 
     } catch (error) {
       logger.error('Failed to generate summary comment:', error);
       return 'Code review completed. Please see individual file reviews below.';
     }
   }
+
+  /**
+   * Answer a developer's reply to a finding
+   *
+   * @param {object} followUp - { filename, finding, hunk, thread: [{ author, body }] }
+   * @returns {object} { accepted, reply } where accepted means the finding was dismissed
+   */
+  async answerFollowUp(followUp, options = {}) {
+    try {
+      // Function replacers, so `$&` and the like in code or replies are inserted as written
+      const prompt = config.prompts.followUpPrompt
+        .replace('{filename}', () => followUp.filename || 'unknown')
+        .replace('{finding}', () => followUp.finding)
+        .replace('{hunk}', () => followUp.hunk || 'Not available')
+        .replace('{thread}', () => followUp.thread.map(note => `**${note.author}**: ${note.body}`).join('\n\n'));
+
+      const completion = await this.complete([
+        {
+          role: 'system',
+          content: 'You are a senior code reviewer discussing one of your review comments with the author of the code.',
+        },
+        {
+          role: 'user',
+          content: prompt,
+        },
+      ], {
+        maxTokens: 800,
+        temperature: 0.2,
+        signal: options.signal,
+      });
+
+      const answer = completion.content;
+
+      if (!answer) {
+        throw new Error('No follow-up answer received from AI');
+      }
+
+      return this.parseFollowUpAnswer(answer);
+
+    } catch (error) {
+      logger.error(`Failed to answer follow-up on ${followUp.filename}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Split a follow-up answer into its verdict and reply text
+   */
+  parseFollowUpAnswer(answer) {
+    const match = answer.match(/^\s*-?\s*\*\*Verdict\*\*:\s*(ACCEPT|KEEP)\b[^\n]*\n?/i);
+
+    return {
+      // Without a verdict the finding is kept, so nothing is dismissed by accident
+      accepted: Boolean(match) && match[1].toUpperCase() === 'ACCEPT',
+      reply: (match ? answer.substring(match[0].length) : answer).trim(),
+    };
+  }
 }
 
 module.exports = AIService;
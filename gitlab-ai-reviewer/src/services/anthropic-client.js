@@ -0,0 +1,121 @@
+/**
+ * Anthropic Client
+ * Calls the Anthropic Messages API behind the chat completions interface used by AIService
+ */
+
+const axios = require('axios');
+
+const STRUCTURED_TOOL_NAME = 'submit_review';
+
+class AnthropicClient {
+  /**
+   * @param {object} options - { apiKey, baseURL, version, timeout }
+   */
+  constructor({ apiKey, baseURL = 'https://api.anthropic.com', version = '2023-06-01', timeout = 120000 } = {}) {
+    if (!apiKey) {
+      throw new Error('Anthropic API key is required');
+    }
+
+    this.http = axios.create({
+      baseURL: baseURL.replace(/\/+$/, ''),
+      headers: {
+        'x-api-key': apiKey,
+        'anthropic-version': version,
+        'Content-Type': 'application/json',
+      },
+      timeout,
+    });
+
+    this.chat = {
+      completions: {
+        create: (body, options) => this.createMessage(body, options),
+      },
+    };
+  }
+
+  /**
+   * Send an OpenAI-style chat completion request as a Messages API request
+   */
+  async createMessage(body, { signal } = {}) {
+    try {
+      const response = await this.http.post('/v1/messages', AnthropicClient.toMessagesRequest(body), { signal });
+      return AnthropicClient.toChatCompletion(response.data);
+    } catch (error) {
+      // Keep the axios error, which Retry reads status and headers from, but surface the API message
+      const apiMessage = error.response?.data?.error?.message;
+      if (apiMessage) {
+        error.message = `Anthropic API error ${error.response.status}: ${apiMessage}`;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Convert a chat completion body: system messages move to the top-level `system`
+   * field, and a JSON schema response format becomes a forced tool call
+   */
+  static toMessagesRequest(body) {
+    const system = body.messages
+      .filter(message => message.role === 'system')
+      .map(message => message.content)
+      .join('\n\n');
+
+    const request = {
+      model: body.model,
+      max_tokens: body.max_tokens,
+      messages: body.messages
+        .filter(message => message.role !== 'system')
+        .map(message => ({ role: message.role, content: message.content })),
+    };
+
+    if (system) {
+      request.system = system;
+    }
+
+    if (body.temperature !== undefined) {
+      request.temperature = body.temperature;
+    }
+
+    const schema = body.response_format?.json_schema?.schema;
+    if (schema) {
+      request.tools = [{
+        name: STRUCTURED_TOOL_NAME,
+        description: 'Submit the code review findings',
+        input_schema: schema,
+      }];
+      request.tool_choice = { type: 'tool', name: STRUCTURED_TOOL_NAME };
+    }
+
+    return request;
+  }
+
+  /**
+   * Convert a Messages API response into the chat completion shape.
+   * Forced tool input is returned as JSON text, like a JSON-mode completion.
+   */
+  static toChatCompletion(data) {
+    const blocks = data.content || [];
+    const toolUse = blocks.find(block => block.type === 'tool_use' && block.name === STRUCTURED_TOOL_NAME);
+
+    const content = toolUse
+      ? JSON.stringify(toolUse.input)
+      : blocks.filter(block => block.type === 'text').map(block => block.text).join('');
+
+    return {
+      id: data.id,
+      model: data.model,
+      choices: [{
+        index: 0,
+        message: { role: 'assistant', content },
+        finish_reason: data.stop_reason,
+      }],
+      usage: {
+        prompt_tokens: data.usage?.input_tokens || 0,
+        completion_tokens: data.usage?.output_tokens || 0,
+        total_tokens: (data.usage?.input_tokens || 0) + (data.usage?.output_tokens || 0),
+      },
+    };
+  }
+}
+
+module.exports = AnthropicClient;
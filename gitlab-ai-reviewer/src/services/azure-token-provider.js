@@ -0,0 +1,82 @@
+/**
+ * Azure Token Provider
+ * Gets Microsoft Entra ID access tokens for Azure OpenAI with the client credentials flow
+ */
+
+const axios = require('axios');
+const { logger } = require('../utils/logger');
+
+const COGNITIVE_SERVICES_SCOPE = 'https://cognitiveservices.azure.com/.default';
+
+// Refresh this long before expiry so a token never runs out mid-request
+const REFRESH_MARGIN = 5 * 60 * 1000;
+
+class AzureTokenProvider {
+  /**
+   * @param {object} options - { tenantId, clientId, clientSecret, authorityHost }
+   */
+  constructor({ tenantId, clientId, clientSecret, authorityHost = 'https://login.microsoftonline.com' } = {}) {
+    if (!tenantId || !clientId || !clientSecret) {
+      throw new Error('Azure tenant ID, client ID and client secret are required for Entra ID authentication');
+    }
+
+    this.tenantId = tenantId;
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.authorityHost = authorityHost.replace(/\/+$/, '');
+    this.token = null;
+    this.expiresAt = 0;
+    this.pending = null;
+  }
+
+  /**
+   * Get a valid access token, requesting a new one when the cached token is about to expire
+   */
+  getToken() {
+    if (this.token && Date.now() < this.expiresAt - REFRESH_MARGIN) {
+      return Promise.resolve(this.token);
+    }
+
+    // Parallel file reviews share a single token request
+    if (!this.pending) {
+      this.pending = this.requestToken().finally(() => {
+        this.pending = null;
+      });
+    }
+
+    return this.pending;
+  }
+
+  /**
+   * Request a token from the Entra ID token endpoint
+   */
+  async requestToken() {
+    try {
+      const response = await axios.post(
+        `${this.authorityHost}/${this.tenantId}/oauth2/v2.0/token`,
+        new URLSearchParams({
+          grant_type: 'client_credentials',
+          client_id: this.clientId,
+          client_secret: this.clientSecret,
+          scope: COGNITIVE_SERVICES_SCOPE,
+        }).toString(),
+        { headers: { 'Content-Type': 'application/x-www-form-urlencoded' } },
+      );
+
+      this.token = response.data.access_token;
+      this.expiresAt = Date.now() + (response.data.expires_in || 3600) * 1000;
+      logger.debug(`Obtained Entra ID token for Azure OpenAI, valid for ${response.data.expires_in}s`);
+
+      return this.token;
+    } catch (error) {
+      const description = error.response?.data?.error_description;
+      if (description) {
+        error.message = `Entra ID token request failed: ${description}`;
+      }
+      logger.error('Error getting Azure access token:', error.message);
+      throw error;
+    }
+  }
+}
+
+module.exports = AzureTokenProvider;
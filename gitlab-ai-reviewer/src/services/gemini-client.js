@@ -0,0 +1,190 @@
+/**
+ * Gemini Client
+ * Calls the Gemini generateContent API behind the chat completions interface used by AIService
+ */
+
+const axios = require('axios');
+const { ProviderQuotaError, ContentBlockedError } = require('../utils/errors');
+
+const HARM_CATEGORIES = [
+  'HARASSMENT',
+  'HATE_SPEECH',
+  'SEXUALLY_EXPLICIT',
+  'DANGEROUS_CONTENT',
+];
+
+// Finish reasons meaning the response was withheld rather than completed
+const BLOCKED_FINISH_REASONS = ['SAFETY', 'RECITATION', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII'];
+
+class GeminiClient {
+  /**
+   * @param {object} options - { apiKey, baseURL, apiVersion, safetyThreshold, safetySettings, timeout }
+   */
+  constructor({
+    apiKey,
+    baseURL = 'https://generativelanguage.googleapis.com',
+    apiVersion = 'v1beta',
+    safetyThreshold = 'BLOCK_ONLY_HIGH',
+    safetySettings = {},
+    timeout = 120000,
+  } = {}) {
+    if (!apiKey) {
+      throw new Error('Google AI API key is required');
+    }
+
+    this.apiVersion = apiVersion;
+    this.safetySettings = GeminiClient.buildSafetySettings(safetyThreshold, safetySettings);
+
+    this.http = axios.create({
+      baseURL: baseURL.replace(/\/+$/, ''),
+      headers: {
+        'x-goog-api-key': apiKey,
+        'Content-Type': 'application/json',
+      },
+      timeout,
+    });
+
+    this.chat = {
+      completions: {
+        create: (body, options) => this.generateContent(body, options),
+      },
+    };
+  }
+
+  /**
+   * Build safety settings for every harm category, with per-category overrides
+   * keyed by category name with or without the HARM_CATEGORY_ prefix
+   */
+  static buildSafetySettings(threshold, overrides = {}) {
+    return HARM_CATEGORIES.map(category => ({
+      category: `HARM_CATEGORY_${category}`,
+      threshold: overrides[category] || overrides[`HARM_CATEGORY_${category}`] || threshold,
+    }));
+  }
+
+  /**
+   * Send an OpenAI-style chat completion request as a generateContent request
+   */
+  async generateContent(body, { signal } = {}) {
+    const model = body.model.replace(/^models\//, '');
+
+    let response;
+    try {
+      response = await this.http.post(
+        `/${this.apiVersion}/models/${encodeURIComponent(model)}:generateContent`,
+        GeminiClient.toGenerateContentRequest(body, this.safetySettings),
+        { signal },
+      );
+    } catch (error) {
+      throw GeminiClient.mapError(error);
+    }
+
+    return GeminiClient.toChatCompletion(response.data);
+  }
+
+  /**
+   * Convert a chat completion body: system messages become the system instruction,
+   * assistant turns use the "model" role, and any response format enables JSON mode
+   */
+  static toGenerateContentRequest(body, safetySettings) {
+    const system = body.messages
+      .filter(message => message.role === 'system')
+      .map(message => message.content)
+      .join('\n\n');
+
+    const request = {
+      contents: body.messages
+        .filter(message => message.role !== 'system')
+        .map(message => ({
+          role: message.role === 'assistant' ? 'model' : 'user',
+          parts: [{ text: message.content }],
+        })),
+      generationConfig: {
+        maxOutputTokens: body.max_tokens,
+        temperature: body.temperature,
+      },
+      safetySettings,
+    };
+
+    if (system) {
+      request.systemInstruction = { parts: [{ text: system }] };
+    }
+
+    // Gemini's schema dialect differs from JSON Schema, so the prompt carries the shape
+    if (body.response_format) {
+      request.generationConfig.responseMimeType = 'application/json';
+    }
+
+    return request;
+  }
+
+  /**
+   * Convert a generateContent response into the chat completion shape, raising
+   * ContentBlockedError when the prompt or the answer was blocked
+   */
+  static toChatCompletion(data) {
+    const blockReason = data.promptFeedback?.blockReason;
+    if (blockReason) {
+      throw new ContentBlockedError('Gemini', `prompt blocked (${blockReason})`);
+    }
+
+    const candidate = data.candidates?.[0];
+    if (!candidate) {
+      throw new ContentBlockedError('Gemini', 'no response candidates returned');
+    }
+
+    if (BLOCKED_FINISH_REASONS.includes(candidate.finishReason)) {
+      const categories = (candidate.safetyRatings || [])
+        .filter(rating => rating.blocked)
+        .map(rating => rating.category.replace('HARM_CATEGORY_', ''));
+      const detail = categories.length > 0 ? `, ${categories.join(', ')}` : '';
+      throw new ContentBlockedError('Gemini', `response blocked (${candidate.finishReason}${detail})`);
+    }
+
+    const usage = data.usageMetadata || {};
+
+    return {
+      model: data.modelVersion,
+      choices: [{
+        index: 0,
+        message: {
+          role: 'assistant',
+          content: (candidate.content?.parts || []).map(part => part.text || '').join(''),
+        },
+        finish_reason: candidate.finishReason,
+      }],
+      usage: {
+        prompt_tokens: usage.promptTokenCount || 0,
+        completion_tokens: usage.candidatesTokenCount || 0,
+        total_tokens: usage.totalTokenCount || 0,
+      },
+    };
+  }
+
+  /**
+   * Turn quota errors into ProviderQuotaError, carrying Gemini's suggested retry
+   * delay as a Retry-After header; other errors keep their status with the API message
+   */
+  static mapError(error) {
+    const status = error.response?.status;
+    const apiError = error.response?.data?.error;
+
+    if (status === 429 || apiError?.status === 'RESOURCE_EXHAUSTED') {
+      const headers = { ...(error.response?.headers || {}) };
+      const retryInfo = (apiError?.details || []).find(detail => detail['@type']?.endsWith('RetryInfo'));
+      if (retryInfo?.retryDelay) {
+        headers['retry-after'] = String(Math.ceil(parseFloat(retryInfo.retryDelay)));
+      }
+
+      return new ProviderQuotaError('Gemini', apiError?.message || error.message, { headers });
+    }
+
+    if (apiError?.message) {
+      error.message = `Gemini API error ${status}: ${apiError.message}`;
+    }
+
+    return error;
+  }
+}
+
+module.exports = GeminiClient;
@@ -6,6 +6,11 @@
 const axios = require('axios');
 const { logger } = require('../utils/logger');
 const config = require('../config/config');
+const Retry = require('../utils/retry');
+const CircuitBreaker = require('../utils/circuit-breaker');
+const RateLimiter = require('../utils/rate-limiter');
+const ReviewState = require('../utils/review-state');
+const { CircuitOpenError, ConfigError } = require('../utils/errors');
 
 class GitLabAPI {
   constructor() {
@@ -13,7 +18,7 @@ class GitLabAPI {
     this.token = config.gitlab.token;
     
     if (!this.token) {
-      throw new Error('GitLab token is required');
+      throw new ConfigError('GitLab token is required');
     }
 
     this.client = axios.create({
@@ -25,9 +30,15 @@ class GitLabAPI {
       timeout: 30000,
     });
 
-    // Add request/response interceptors for logging
+    // Shared by every GitLabAPI instance so concurrent reviews respect the same limits
+    this.breaker = CircuitBreaker.get('gitlab');
+    this.limiter = RateLimiter.get('gitlab', config.gitlab.requestsPerMinute);
+
+    // Add request/response interceptors for logging, rate limiting and retries
     this.client.interceptors.request.use(
-      (config) => {
+      async (config) => {
+        this.breaker.assertCanRequest();
+        await this.limiter.acquire();
         logger.debug(`GitLab API Request: ${config.method?.toUpperCase()} ${config.url}`);
         return config;
       },
@@ -40,20 +51,74 @@ class GitLabAPI {
     this.client.interceptors.response.use(
       (response) => {
         logger.debug(`GitLab API Response: ${response.status} ${response.config.url}`);
+        this.breaker.recordSuccess();
+        this.pauseIfRateLimited(response.headers);
         return response;
       },
-      (error) => {
-        logger.error('GitLab API Response Error:', {
-          status: error.response?.status,
-          statusText: error.response?.statusText,
-          url: error.config?.url,
-          message: error.message,
-        });
-        return Promise.reject(error);
-      }
+      (error) => this.handleResponseError(error)
     );
   }
 
+  /**
+   * Log a failed request and retry it when the failure is transient
+   */
+  async handleResponseError(error) {
+    if (error instanceof CircuitOpenError) {
+      return Promise.reject(error);
+    }
+
+    logger.error('GitLab API Response Error:', {
+      status: error.response?.status,
+      statusText: error.response?.statusText,
+      url: error.config?.url,
+      message: error.message,
+    });
+
+    if (Retry.isOutage(error)) {
+      this.breaker.recordFailure();
+    } else {
+      this.breaker.recordSuccess();
+    }
+    this.pauseIfRateLimited(error.response?.headers);
+
+    const requestConfig = error.config;
+    const attempt = (requestConfig?.retryAttempt || 0) + 1;
+
+    if (requestConfig && attempt <= config.retry.maxRetries && this.shouldRetry(requestConfig, error)) {
+      const delay = Retry.getDelay(error, attempt);
+      if (delay !== null) {
+        logger.warn(`Retrying GitLab API request ${requestConfig.url} in ${delay}ms (${attempt}/${config.retry.maxRetries})`);
+        await Retry.sleep(delay);
+        requestConfig.retryAttempt = attempt;
+        return this.client.request(requestConfig);
+      }
+    }
+
+    return Promise.reject(error);
+  }
+
+  /**
+   * Writes are only retried on 429, which guarantees GitLab did not process them;
+   * retrying after a 5xx or dropped connection could post a comment twice
+   */
+  shouldRetry(requestConfig, error) {
+    if (!Retry.isRetryable(error)) return false;
+
+    const method = (requestConfig.method || 'get').toLowerCase();
+    return method === 'get' || Retry.getStatus(error) === 429;
+  }
+
+  /**
+   * Hold back further requests once GitLab reports the rate limit is used up
+   */
+  pauseIfRateLimited(headers) {
+    const resetAt = Retry.getRateLimitReset(headers);
+    if (resetAt !== null) {
+      logger.warn(`GitLab rate limit exhausted, pausing requests until ${new Date(resetAt).toISOString()}`);
+      this.limiter.pauseUntil(resetAt);
+    }
+  }
+
   /**
    * Get merge request details
    */
@@ -99,6 +164,22 @@ class GitLabAPI {
     }
   }
 
+  /**
+   * Compare two commits and return the diffs between them
+   */
+  async compareCommits(projectId, fromSha, toSha) {
+    try {
+      const response = await this.client.get(
+        `/projects/${projectId}/repository/compare`,
+        { params: { from: fromSha, to: toSha, straight: true } },
+      );
+      return response.data;
+    } catch (error) {
+      logger.error(`Failed to compare ${fromSha}...${toSha}:`, error);
+      throw error;
+    }
+  }
+
   /**
    * Post a comment on merge request
    */
@@ -117,14 +198,14 @@ class GitLabAPI {
   }
 
   /**
-   * Get existing comments on merge request
+   * Get existing comments on merge request, newest first
    */
   async getMergeRequestComments(projectId, mergeRequestIid) {
     try {
-      const response = await this.client.get(
-        `/projects/${projectId}/merge_requests/${mergeRequestIid}/notes`
+      return await this.getAllPages(
+        `/projects/${projectId}/merge_requests/${mergeRequestIid}/notes`,
+        { order_by: 'created_at', sort: 'desc' },
       );
-      return response.data;
     } catch (error) {
       logger.error(`Failed to get comments for MR ${mergeRequestIid}:`, error);
       throw error;
@@ -148,6 +229,142 @@ class GitLabAPI {
     }
   }
 
+  /**
+   * Get discussions on merge request
+   */
+  async getMergeRequestDiscussions(projectId, mergeRequestIid) {
+    try {
+      return await this.getAllPages(`/projects/${projectId}/merge_requests/${mergeRequestIid}/discussions`);
+    } catch (error) {
+      logger.error(`Failed to get discussions for MR ${mergeRequestIid}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a single discussion on merge request
+   */
+  async getMergeRequestDiscussion(projectId, mergeRequestIid, discussionId) {
+    try {
+      const response = await this.client.get(
+        `/projects/${projectId}/merge_requests/${mergeRequestIid}/discussions/${discussionId}`,
+      );
+      return response.data;
+    } catch (error) {
+      logger.error(`Failed to get discussion ${discussionId} for MR ${mergeRequestIid}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Start a discussion on merge request, optionally positioned on a diff line
+   */
+  async createMergeRequestDiscussion(projectId, mergeRequestIid, body, position = null) {
+    try {
+      const payload = { body };
+      if (position) {
+        payload.position = position;
+      }
+
+      const response = await this.client.post(
+        `/projects/${projectId}/merge_requests/${mergeRequestIid}/discussions`,
+        payload,
+      );
+      logger.info(`Created discussion on MR ${mergeRequestIid}`);
+      return response.data;
+    } catch (error) {
+      logger.error(`Failed to create discussion on MR ${mergeRequestIid}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reply to an existing discussion on merge request
+   */
+  async replyToDiscussion(projectId, mergeRequestIid, discussionId, body) {
+    try {
+      const response = await this.client.post(
+        `/projects/${projectId}/merge_requests/${mergeRequestIid}/discussions/${discussionId}/notes`,
+        { body },
+      );
+      logger.info(`Replied to discussion ${discussionId} on MR ${mergeRequestIid}`);
+      return response.data;
+    } catch (error) {
+      logger.error(`Failed to reply to discussion ${discussionId} on MR ${mergeRequestIid}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve or unresolve a discussion on merge request
+   */
+  async resolveDiscussion(projectId, mergeRequestIid, discussionId, resolved = true) {
+    try {
+      const response = await this.client.put(
+        `/projects/${projectId}/merge_requests/${mergeRequestIid}/discussions/${discussionId}`,
+        null,
+        { params: { resolved } },
+      );
+      logger.info(`${resolved ? 'Resolved' : 'Unresolved'} discussion ${discussionId} on MR ${mergeRequestIid}`);
+      return response.data;
+    } catch (error) {
+      logger.error(`Failed to resolve discussion ${discussionId} on MR ${mergeRequestIid}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Set a commit status on a commit, e.g. to report the quality gate on the MR head
+   */
+  async setCommitStatus(projectId, sha, { state, name, description, targetUrl }) {
+    try {
+      const response = await this.client.post(`/projects/${projectId}/statuses/${sha}`, {
+        state,
+        name,
+        description,
+        target_url: targetUrl,
+      });
+      logger.info(`Set commit status ${name} of ${sha} to ${state}`);
+      return response.data;
+    } catch (error) {
+      logger.error(`Failed to set commit status ${name} of ${sha}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Answer an external status check of merge request for the given head SHA
+   */
+  async setStatusCheckResponse(projectId, mergeRequestIid, sha, statusCheckId, status) {
+    try {
+      const response = await this.client.post(
+        `/projects/${projectId}/merge_requests/${mergeRequestIid}/status_check_responses`,
+        { sha, external_status_check_id: statusCheckId, status },
+      );
+      logger.info(`Set status check ${statusCheckId} of MR ${mergeRequestIid} to ${status}`);
+      return response.data;
+    } catch (error) {
+      logger.error(`Failed to set status check ${statusCheckId} of MR ${mergeRequestIid}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a project member, including inherited members, or null if not a member
+   */
+  async getProjectMember(projectId, userId) {
+    try {
+      const response = await this.client.get(`/projects/${projectId}/members/all/${userId}`);
+      return response.data;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+      logger.error(`Failed to get member ${userId} of project ${projectId}:`, error);
+      throw error;
+    }
+  }
+
   /**
    * Get project details
    */
@@ -162,13 +379,15 @@ class GitLabAPI {
   }
 
   /**
-   * Get file content from repository
+   * Get file content from repository at a branch, tag or commit SHA.
+   * Without a ref the project's default branch is read.
    */
-  async getFileContent(projectId, filePath, ref = 'main') {
+  async getFileContent(projectId, filePath, ref = 'HEAD') {
     try {
       const encodedPath = encodeURIComponent(filePath);
       const response = await this.client.get(
-        `/projects/${projectId}/repository/files/${encodedPath}?ref=${ref}`
+        `/projects/${projectId}/repository/files/${encodedPath}`,
+        { params: { ref } },
       );
       
       // Decode base64 content
@@ -184,21 +403,67 @@ class GitLabAPI {
     }
   }
 
+  /**
+   * Get the user the token belongs to, i.e. the bot
+   */
+  async getCurrentUser() {
+    if (!this.currentUser) {
+      const response = await this.client.get('/user');
+      this.currentUser = response.data;
+    }
+    return this.currentUser;
+  }
+
+  /**
+   * GET every page of a list endpoint by following GitLab's x-next-page header
+   */
+  async getAllPages(url, params = {}) {
+    const items = [];
+    let page = 1;
+
+    while (page) {
+      const response = await this.client.get(url, { params: { ...params, per_page: 100, page } });
+      items.push(...response.data);
+      page = Number(Retry.getHeader(response.headers, 'x-next-page')) || null;
+    }
+
+    return items;
+  }
+
+  /**
+   * Newest non-system MR note written by the bot whose body passes `matches`
+   */
+  async findBotNote(projectId, mergeRequestIid, matches) {
+    const bot = await this.getCurrentUser();
+    const comments = await this.getMergeRequestComments(projectId, mergeRequestIid);
+
+    return comments.find(comment =>
+      comment.author?.id === bot.id &&
+      comment.system === false &&
+      comment.type !== 'DiffNote' &&
+      matches(comment.body || ''),
+    ) || null;
+  }
+
   /**
    * Check if bot has already commented on this MR
    */
   async findExistingBotComment(projectId, mergeRequestIid, botIdentifier = '🤖 AI Code Review') {
     try {
-      const comments = await this.getMergeRequestComments(projectId, mergeRequestIid);
-      return comments.find(comment => 
-        comment.body.includes(botIdentifier) && 
-        comment.system === false
-      );
+      return await this.findBotNote(projectId, mergeRequestIid, body => body.includes(botIdentifier));
     } catch (error) {
       logger.error('Failed to find existing bot comment:', error);
       return null;
     }
   }
+
+  /**
+   * Find the bot's summary note that carries the review state. Errors are not
+   * swallowed: a review that cannot read the state would overwrite it.
+   */
+  findReviewStateComment(projectId, mergeRequestIid) {
+    return this.findBotNote(projectId, mergeRequestIid, body => ReviewState.has(body));
+  }
 }
 
 module.exports = GitLabAPI;
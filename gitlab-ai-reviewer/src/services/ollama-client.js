@@ -0,0 +1,92 @@
+/**
+ * Ollama Client
+ * Calls a local Ollama server's chat API behind the chat completions interface used by AIService
+ */
+
+const axios = require('axios');
+
+class OllamaClient {
+  /**
+   * @param {object} options - { baseURL, contextWindow, keepAlive, timeout }
+   */
+  constructor({ baseURL = 'http://localhost:11434', contextWindow = 8192, keepAlive = '10m', timeout = 600000 } = {}) {
+    this.contextWindow = contextWindow;
+    this.keepAlive = keepAlive;
+
+    this.http = axios.create({
+      baseURL: baseURL.replace(/\/+$/, ''),
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      // Local models can take minutes on a long diff, especially on CPU
+      timeout,
+    });
+
+    this.chat = {
+      completions: {
+        create: (body, options) => this.chatCompletion(body, options),
+      },
+    };
+  }
+
+  /**
+   * Send an OpenAI-style chat completion request to /api/chat
+   */
+  async chatCompletion(body, { signal } = {}) {
+    try {
+      const response = await this.http.post('/api/chat', this.toChatRequest(body), { signal });
+      return OllamaClient.toChatCompletion(response.data);
+    } catch (error) {
+      const apiMessage = error.response?.data?.error;
+      if (apiMessage) {
+        error.message = `Ollama error ${error.response.status}: ${apiMessage}`;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Convert a chat completion body. The context window is set per request because
+   * Ollama's default is far too small for a review prompt.
+   */
+  toChatRequest(body) {
+    const request = {
+      model: body.model,
+      messages: body.messages.map(message => ({ role: message.role, content: message.content })),
+      stream: false,
+      keep_alive: this.keepAlive,
+      options: {
+        num_ctx: this.contextWindow,
+        num_predict: body.max_tokens,
+        temperature: body.temperature,
+      },
+    };
+
+    if (body.response_format) {
+      request.format = 'json';
+    }
+
+    return request;
+  }
+
+  /**
+   * Convert an /api/chat response into the chat completion shape
+   */
+  static toChatCompletion(data) {
+    return {
+      model: data.model,
+      choices: [{
+        index: 0,
+        message: { role: 'assistant', content: data.message?.content || '' },
+        finish_reason: data.done_reason || 'stop',
+      }],
+      usage: {
+        prompt_tokens: data.prompt_eval_count || 0,
+        completion_tokens: data.eval_count || 0,
+        total_tokens: (data.prompt_eval_count || 0) + (data.eval_count || 0),
+      },
+    };
+  }
+}
+
+module.exports = OllamaClient;
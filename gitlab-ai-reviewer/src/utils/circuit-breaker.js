@@ -0,0 +1,120 @@
+/**
+ * Circuit Breaker
+ * Fails fast while a service is down instead of sending it more requests
+ */
+
+const { logger } = require('./logger');
+const config = require('../config/config');
+const Retry = require('./retry');
+const { CircuitOpenError } = require('./errors');
+
+// Breakers shared by every client of the same service
+const breakers = new Map();
+
+class CircuitBreaker {
+  /**
+   * @param {string} name - Service name used in logs and errors
+   * @param {object} options - { failureThreshold, resetTimeout }
+   */
+  constructor(name, {
+    failureThreshold = config.circuitBreaker.failureThreshold,
+    resetTimeout = config.circuitBreaker.resetTimeout,
+  } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeout = resetTimeout;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = 0;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Get the shared breaker for a service, creating it on first use
+   */
+  static get(name, options) {
+    if (!breakers.has(name)) {
+      breakers.set(name, new CircuitBreaker(name, options));
+    }
+    return breakers.get(name);
+  }
+
+  /**
+   * Run a call through the breaker. Only outages (see Retry.isOutage) count as failures,
+   * and aborted calls count as neither failure nor success.
+   */
+  async exec(fn) {
+    const isTrial = this.assertCanRequest();
+
+    try {
+      const result = await fn();
+      this.recordSuccess();
+      return result;
+    } catch (error) {
+      if (Retry.isAbort(error)) {
+        // An aborted trial proves nothing, so let the next request probe the service instead
+        if (isTrial) {
+          this.trialInFlight = false;
+        }
+      } else if (Retry.isOutage(error)) {
+        this.recordFailure();
+      } else {
+        // The service answered, so it is up even though this request failed
+        this.recordSuccess();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Throw a CircuitOpenError unless a request may be sent. After resetTimeout a
+   * single trial request is let through to probe whether the service recovered.
+   * Returns true for that trial request.
+   */
+  assertCanRequest() {
+    if (this.state === 'closed') return false;
+
+    const retryAt = this.openedAt + this.resetTimeout;
+    if (this.state === 'open' && Date.now() >= retryAt) {
+      this.state = 'half-open';
+    }
+
+    if (this.state === 'half-open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+
+    throw new CircuitOpenError(this.name, retryAt);
+  }
+
+  /**
+   * Close the circuit after a successful call
+   */
+  recordSuccess() {
+    if (this.state !== 'closed') {
+      logger.info(`${this.name} recovered, closing circuit`);
+    }
+
+    this.state = 'closed';
+    this.failures = 0;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Count a failed call, opening the circuit at the threshold or after a failed trial
+   */
+  recordFailure() {
+    this.failures++;
+    this.trialInFlight = false;
+
+    if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+      if (this.state !== 'open') {
+        logger.warn(`${this.name} failed ${this.failures} time(s), opening circuit for ${this.resetTimeout}ms`);
+      }
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+}
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,188 @@
+/**
+ * Code Context Utility
+ * Picks the code around each change, such as the enclosing function or class, to send with the diff
+ */
+
+const DiffParser = require('./diff-parser');
+
+// Rough size of a token, used to keep context within a token budget
+const CHARS_PER_TOKEN = 4;
+
+// Lines shown around a change when its enclosing block is too large to include
+const WINDOW_LINES = 10;
+
+// Lines that open a function, class or similar block in common languages
+const DECLARATION_PATTERN = /^\s*(export\s+)?(default\s+)?(async\s+)?(function\b|class\b|interface\b|enum\b|def\b|func\b|fn\b|impl\b|struct\b|trait\b|module\b|namespace\b|(public|private|protected|internal|static|override|abstract)\b|(const|let|var)\s+\w+\s*=\s*(async\s*)?(function\b|\(|\w+\s*=>))/;
+
+// Method and C-style function definitions such as `async save(user) {` or `int main() {`
+const METHOD_PATTERN = /^(?!\s*(if|for|while|switch|catch|with|return|else)\b)\s*[\w<>[\]*&\s]*\b\w+\s*\([^)]*\)\s*(:[^{]*)?\{\s*$/;
+
+// Lines that close a block at the indentation of its opening line
+const CLOSING_PATTERN = /^\s*([}\])]|end\b)/;
+
+class CodeContext {
+  /**
+   * Build numbered snippets of a file around the lines a diff changes.
+   * `side` is 'new' for the file after the change, 'old' for the file before it, where
+   * only hunks that delete lines are used. Returns null when there is nothing to show.
+   */
+  static build(content, diff, { maxTokens, side = 'new' } = {}) {
+    if (!content || !diff) return null;
+
+    const lines = content.split('\n');
+    const maxChars = maxTokens * CHARS_PER_TOKEN;
+
+    const ranges = this.getChangedRanges(diff, side)
+      .filter(range => range.start <= lines.length)
+      .map(range => {
+        const start = range.start - 1;
+        const end = Math.min(range.end, lines.length) - 1;
+        const enclosing = this.findEnclosingRange(lines, start, end);
+
+        // Fall back to a few lines around the change when the whole block does not fit
+        return this.measure(lines, enclosing) <= maxChars
+          ? enclosing
+          : { start: Math.max(0, start - WINDOW_LINES), end: Math.min(lines.length - 1, end + WINDOW_LINES) };
+      });
+
+    const snippets = [];
+    let size = 0;
+    for (const range of this.mergeRanges(ranges)) {
+      const snippet = this.format(lines, range);
+      if (size + snippet.length > maxChars) break;
+
+      snippets.push(snippet);
+      size += snippet.length;
+    }
+
+    return snippets.length > 0 ? snippets.join('\n...\n') : null;
+  }
+
+  /**
+   * Line ranges (1-based, inclusive) changed by each hunk on one side of a diff
+   */
+  static getChangedRanges(diff, side) {
+    const ranges = [];
+
+    for (const hunk of DiffParser.parseHunks(diff)) {
+      let changed;
+      if (side === 'old') {
+        changed = hunk.filter(line => line.text.startsWith('-')).map(line => line.oldLine);
+      } else {
+        // A hunk that only deletes lines is placed by its context lines
+        const added = hunk.filter(line => line.text.startsWith('+'));
+        changed = (added.length > 0 ? added : hunk.filter(line => line.text.startsWith(' ')))
+          .map(line => line.newLine);
+      }
+
+      if (changed.length > 0) {
+        ranges.push({ start: Math.min(...changed), end: Math.max(...changed) });
+      }
+    }
+
+    return ranges;
+  }
+
+  /**
+   * Widen a 0-based line range to the declaration it sits in and the end of that block,
+   * judged by indentation so it works across languages
+   */
+  static findEnclosingRange(lines, start, end) {
+    let top = start;
+    let topIndent = this.getMinIndent(lines, start, end);
+
+    // Walk up through less indented lines until a declaration or the top level
+    if (!(topIndent === 0 && this.isDeclaration(lines[start]))) {
+      for (let index = start - 1; index >= 0; index--) {
+        if (!lines[index].trim()) continue;
+
+        const indent = this.getIndent(lines[index]);
+        if (indent < topIndent) {
+          top = index;
+          topIndent = indent;
+          if (indent === 0 || this.isDeclaration(lines[index])) break;
+        }
+      }
+    }
+
+    // Walk down to the first line back at the declaration's indentation
+    let bottom = lines.length - 1;
+    for (let index = end + 1; index < lines.length; index++) {
+      if (!lines[index].trim()) continue;
+
+      if (this.getIndent(lines[index]) <= topIndent) {
+        bottom = CLOSING_PATTERN.test(lines[index]) ? index : index - 1;
+        break;
+      }
+    }
+
+    while (bottom > end && !lines[bottom].trim()) {
+      bottom--;
+    }
+
+    return { start: top, end: Math.max(bottom, end) };
+  }
+
+  /**
+   * Join overlapping or adjacent ranges
+   */
+  static mergeRanges(ranges) {
+    const merged = [];
+
+    for (const range of [...ranges].sort((a, b) => a.start - b.start)) {
+      const last = merged[merged.length - 1];
+      if (last && range.start <= last.end + 1) {
+        last.end = Math.max(last.end, range.end);
+      } else {
+        merged.push({ ...range });
+      }
+    }
+
+    return merged;
+  }
+
+  /**
+   * Format a range with real line numbers so findings can point at them
+   */
+  static format(lines, range) {
+    return lines
+      .slice(range.start, range.end + 1)
+      .map((line, offset) => `${range.start + offset + 1}: ${line}`)
+      .join('\n');
+  }
+
+  /**
+   * Approximate formatted size of a range
+   */
+  static measure(lines, range) {
+    return lines.slice(range.start, range.end + 1).reduce((sum, line) => sum + line.length + 8, 0);
+  }
+
+  /**
+   * Check whether a line opens a function, method, class or similar block
+   */
+  static isDeclaration(line) {
+    return DECLARATION_PATTERN.test(line) || METHOD_PATTERN.test(line);
+  }
+
+  /**
+   * Indentation width of a line, counting tabs as four spaces
+   */
+  static getIndent(line) {
+    return line.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+  }
+
+  /**
+   * Smallest indentation of the non-blank lines in a range
+   */
+  static getMinIndent(lines, start, end) {
+    const indents = lines
+      .slice(start, end + 1)
+      .filter(line => line.trim())
+      .map(line => this.getIndent(line));
+
+    return indents.length > 0 ? Math.min(...indents) : 0;
+  }
+}
+
+module.exports = CodeContext;
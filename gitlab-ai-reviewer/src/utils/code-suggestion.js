@@ -0,0 +1,74 @@
+/**
+ * Code Suggestion Utility
+ * Turns a finding's fix into a GitLab suggestion block that can be applied with one click
+ */
+
+const { logger } = require('./logger');
+
+// GitLab applies suggestions of at most 100 lines above and below the commented line
+const MAX_LINE_OFFSET = 100;
+
+class CodeSuggestion {
+  /**
+   * Build the suggestion block for an issue posted on `issue.line`, or null when its fix
+   * does not replace exactly the added lines of the diff it names.
+   *
+   * @param {object} issue - Normalized issue with fix { startLine, endLine, replacement }
+   * @param {Map<number, string>} addedLines - New-file line number to content of the diff's added lines
+   */
+  static build(issue, addedLines) {
+    if (!issue.fix) return null;
+
+    const reason = this.validate(issue, addedLines);
+    if (reason) {
+      logger.debug(`Not suggesting the fix for line ${issue.line}: ${reason}`);
+      return null;
+    }
+
+    const { startLine, endLine, replacement } = issue.fix;
+    const fence = this.getFence(replacement);
+    // An empty block deletes the lines
+    const code = replacement ? `${replacement}\n` : '';
+    return `${fence}suggestion:-${issue.line - startLine}+${endLine - issue.line}\n${code}${fence}`;
+  }
+
+  /**
+   * Why a fix cannot be suggested on the diff, or null when it can
+   */
+  static validate(issue, addedLines) {
+    const fix = issue.fix;
+
+    if (!issue.line || issue.line < fix.startLine || issue.line > fix.endLine) {
+      return `line ${issue.line} is outside the fix, lines ${fix.startLine}-${fix.endLine}`;
+    }
+
+    if (issue.line - fix.startLine > MAX_LINE_OFFSET || fix.endLine - issue.line > MAX_LINE_OFFSET) {
+      return `lines ${fix.startLine}-${fix.endLine} are too many for a suggestion`;
+    }
+
+    const current = [];
+    for (let line = fix.startLine; line <= fix.endLine; line++) {
+      // Suggestions on context or removed lines would change code the MR did not touch
+      if (!addedLines.has(line)) {
+        return `line ${line} is not an added line of the diff`;
+      }
+      current.push(addedLines.get(line));
+    }
+
+    if (current.join('\n') === fix.replacement) {
+      return 'the replacement does not change the lines';
+    }
+
+    return null;
+  }
+
+  /**
+   * Backtick fence longer than any run of backticks in the code, so the code cannot close it
+   */
+  static getFence(code) {
+    const longest = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length));
+    return '`'.repeat(Math.max(3, longest + 1));
+  }
+}
+
+module.exports = CodeSuggestion;
@@ -6,16 +6,19 @@
 const { logger } = require('./logger');
 const config = require('../config/config');
 
+// Room kept in each chunk for the "@@ -a,b +c,d @@" header of a split hunk
+const HUNK_HEADER_ALLOWANCE = 40;
+
 class DiffParser {
   /**
    * Parse GitLab merge request changes
    */
-  static parseMergeRequestChanges(changes) {
+  static parseMergeRequestChanges(changes, reviewConfig = config.review) {
     const parsedFiles = [];
 
     for (const change of changes.changes) {
       try {
-        const parsedFile = this.parseFileChange(change);
+        const parsedFile = this.parseFileChange(change, reviewConfig);
         if (parsedFile) {
           parsedFiles.push(parsedFile);
         }
@@ -27,10 +30,57 @@ class DiffParser {
     return parsedFiles;
   }
 
+  /**
+   * Split the output of `git diff` into changes shaped like GitLab's MR changes, so local
+   * diffs are parsed the same way as merge requests
+   */
+  static parseGitDiff(diffText) {
+    const changes = [];
+
+    for (const section of (diffText || '').split(/^(?=diff --git )/m)) {
+      if (!section.startsWith('diff --git ')) continue;
+
+      const lines = section.split('\n');
+      const header = lines[0].match(/^diff --git a\/(.+) b\/(.+)$/);
+      const change = {
+        old_path: header?.[1],
+        new_path: header?.[2],
+        new_file: false,
+        deleted_file: false,
+        renamed_file: false,
+      };
+
+      // Extended header lines come before the first hunk; binary files have no hunks
+      let index = 1;
+      for (; index < lines.length && !lines[index].startsWith('@@'); index++) {
+        const line = lines[index];
+        if (line.startsWith('new file mode')) {
+          change.new_file = true;
+        } else if (line.startsWith('deleted file mode')) {
+          change.deleted_file = true;
+        } else if (line.startsWith('rename from ')) {
+          change.renamed_file = true;
+          change.old_path = line.substring('rename from '.length);
+        } else if (line.startsWith('rename to ')) {
+          change.new_path = line.substring('rename to '.length);
+        } else if (line.startsWith('--- a/')) {
+          change.old_path = line.substring('--- a/'.length);
+        } else if (line.startsWith('+++ b/')) {
+          change.new_path = line.substring('+++ b/'.length);
+        }
+      }
+
+      change.diff = lines.slice(index).join('\n');
+      changes.push(change);
+    }
+
+    return { changes };
+  }
+
   /**
    * Parse individual file change
    */
-  static parseFileChange(change) {
+  static parseFileChange(change, reviewConfig = config.review) {
     const {
       old_path,
       new_path,
@@ -47,13 +97,13 @@ class DiffParser {
     }
 
     // Skip files based on configuration
-    if (this.shouldSkipFile(new_path)) {
+    if (this.shouldSkipFile(new_path, reviewConfig)) {
       logger.debug(`Skipping file based on configuration: ${new_path}`);
       return null;
     }
 
-    // Check diff size
-    if (diff.length > config.review.maxDiffSize) {
+    // Larger diffs are reviewed in chunks, up to a limit
+    if (diff.length > reviewConfig.maxDiffSize * reviewConfig.maxDiffChunks) {
       logger.warn(`Diff too large for ${new_path}: ${diff.length} characters`);
       return {
         filename: new_path,
@@ -68,7 +118,7 @@ class DiffParser {
     const language = this.detectLanguage(new_path);
     
     // Skip if language not supported
-    if (!this.isLanguageSupported(language)) {
+    if (!this.isLanguageSupported(language, reviewConfig)) {
       logger.debug(`Skipping unsupported language: ${language} for ${new_path}`);
       return null;
     }
@@ -91,8 +141,8 @@ class DiffParser {
   /**
    * Determine if file should be skipped
    */
-  static shouldSkipFile(filename) {
-    const skipPatterns = config.review.skipFiles;
+  static shouldSkipFile(filename, reviewConfig = config.review) {
+    const skipPatterns = reviewConfig.skipFiles;
     
     return skipPatterns.some(pattern => {
       // Handle glob patterns
@@ -163,8 +213,8 @@ class DiffParser {
   /**
    * Check if language is supported for review
    */
-  static isLanguageSupported(language) {
-    return config.review.supportedLanguages.includes(language);
+  static isLanguageSupported(language, reviewConfig = config.review) {
+    return reviewConfig.supportedLanguages.includes(language);
   }
 
   /**
@@ -266,6 +316,171 @@ class DiffParser {
     return addedLines;
   }
 
+  /**
+   * Extract the hunk containing a new-side line number, or the whole diff when none matches
+   */
+  static extractHunk(diff, lineNumber) {
+    const hunks = [];
+    let current = null;
+
+    for (const line of diff.split('\n')) {
+      const match = line.match(/^@@ -\d+,?\d* \+(\d+),?(\d*) @@/);
+      if (match) {
+        const start = parseInt(match[1]);
+        const length = match[2] === '' ? 1 : parseInt(match[2]);
+        current = { start, end: start + Math.max(length, 1) - 1, lines: [line] };
+        hunks.push(current);
+      } else if (current) {
+        current.lines.push(line);
+      }
+    }
+
+    const hunk = hunks.find(candidate => lineNumber >= candidate.start && lineNumber <= candidate.end);
+    return hunk ? hunk.lines.join('\n').trimEnd() : diff;
+  }
+
+  /**
+   * Split a diff into hunks of lines, each line with the old and new line number it
+   * sits at, so any run of lines can be given a correct hunk header
+   */
+  static parseHunks(diff) {
+    const hunks = [];
+    let current = null;
+    let oldLine = 0;
+    let newLine = 0;
+
+    for (const line of diff.split('\n')) {
+      const match = line.match(/^@@ -(\d+),?\d* \+(\d+),?\d* @@/);
+      if (match) {
+        oldLine = parseInt(match[1]);
+        newLine = parseInt(match[2]);
+        current = [];
+        hunks.push(current);
+        continue;
+      }
+
+      if (!current || !/^[ +-]/.test(line)) continue;
+
+      current.push({ text: line, oldLine, newLine });
+      if (!line.startsWith('+')) oldLine++;
+      if (!line.startsWith('-')) newLine++;
+    }
+
+    return hunks.filter(hunk => hunk.length > 0);
+  }
+
+  /**
+   * New-file line number to content of every added and context line of a diff
+   */
+  static getNewLines(diff) {
+    const lines = new Map();
+    for (const line of this.parseHunks(diff).flat()) {
+      if (!line.text.startsWith('-')) {
+        lines.set(line.newLine, line.text.substring(1));
+      }
+    }
+    return lines;
+  }
+
+  /**
+   * Follow an old-file line through a diff: its new line number, or null when the
+   * diff removed or rewrote it
+   */
+  static mapOldLine(diff, lineNumber) {
+    let offset = 0;
+
+    for (const hunk of this.parseHunks(diff)) {
+      const oldSide = hunk.filter(line => !line.text.startsWith('+'));
+
+      if (oldSide.length === 0) {
+        // A pure insertion goes after the line its header names
+        if (lineNumber <= hunk[0].oldLine) break;
+      } else {
+        if (lineNumber < oldSide[0].oldLine) break;
+
+        const line = oldSide.find(candidate => candidate.oldLine === lineNumber);
+        if (line) {
+          return line.text.startsWith('-') ? null : line.newLine;
+        }
+      }
+
+      const added = hunk.length - oldSide.length;
+      const removed = oldSide.filter(line => line.text.startsWith('-')).length;
+      offset += added - removed;
+    }
+
+    return lineNumber + offset;
+  }
+
+  /**
+   * Format a run of lines from one hunk, with a header for exactly those lines
+   */
+  static formatHunk(lines) {
+    const oldCount = lines.filter(line => !line.text.startsWith('+')).length;
+    const newCount = lines.filter(line => !line.text.startsWith('-')).length;
+    // Like git, an empty side names the line before the change
+    const oldStart = oldCount > 0 ? lines[0].oldLine : lines[0].oldLine - 1;
+    const newStart = newCount > 0 ? lines[0].newLine : lines[0].newLine - 1;
+    const header = `@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`;
+
+    return [header, ...lines.map(line => line.text)].join('\n');
+  }
+
+  /**
+   * Split a diff into chunks of at most maxSize characters on hunk boundaries. Hunks
+   * larger than a chunk are split between lines. Each chunk after the first carries the
+   * last overlapLines lines of the chunk before it as context.
+   * Returns [{ diff, context }]; a diff within the limit is a single chunk.
+   */
+  static chunkDiff(diff, maxSize, overlapLines = 0) {
+    if (diff.length <= maxSize) {
+      return [{ diff, context: null }];
+    }
+
+    // Runs of lines that fit in a chunk, leaving room for the hunk header
+    const runs = [];
+    for (const hunk of this.parseHunks(diff)) {
+      let run = [];
+      let size = 0;
+      for (const line of hunk) {
+        if (run.length > 0 && size + line.text.length + 1 > maxSize - HUNK_HEADER_ALLOWANCE) {
+          runs.push(run);
+          run = [];
+          size = 0;
+        }
+        run.push(line);
+        size += line.text.length + 1;
+      }
+      runs.push(run);
+    }
+
+    const chunks = [];
+    let current = [];
+    let size = 0;
+    for (const run of runs) {
+      const text = this.formatHunk(run);
+      if (current.length > 0 && size + text.length + 1 > maxSize) {
+        chunks.push(current);
+        current = [];
+        size = 0;
+      }
+      current.push(run);
+      size += text.length + 1;
+    }
+    if (current.length > 0) {
+      chunks.push(current);
+    }
+
+    return chunks.map((chunkRuns, index) => {
+      const previousRun = index > 0 ? chunks[index - 1][chunks[index - 1].length - 1] : null;
+
+      return {
+        diff: chunkRuns.map(run => this.formatHunk(run)).join('\n'),
+        context: previousRun && overlapLines > 0 ? this.formatHunk(previousRun.slice(-overlapLines)) : null,
+      };
+    });
+  }
+
   /**
    * Get file statistics
    */
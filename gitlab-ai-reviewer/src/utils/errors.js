@@ -0,0 +1,80 @@
+/**
+ * Error types shared across the reviewer
+ */
+
+/**
+ * Raised when a review is abandoned because a newer push superseded it
+ */
+class ReviewCancelledError extends Error {
+  constructor(message = 'Review cancelled') {
+    super(message);
+    this.name = 'ReviewCancelledError';
+  }
+}
+
+/**
+ * Raised without calling a service whose circuit breaker is open
+ */
+class CircuitOpenError extends Error {
+  constructor(service, retryAt) {
+    super(`${service} is unavailable, circuit open until ${new Date(retryAt).toISOString()}`);
+    this.name = 'CircuitOpenError';
+    this.service = service;
+    this.retryAt = retryAt;
+  }
+}
+
+/**
+ * Raised when an AI provider's quota or rate limit is used up. Carries a 429 status
+ * and any requested wait as headers so Retry treats it like an HTTP rate limit.
+ */
+class ProviderQuotaError extends Error {
+  constructor(provider, message, { status = 429, headers = {} } = {}) {
+    super(`${provider} quota exceeded: ${message}`);
+    this.name = 'ProviderQuotaError';
+    this.provider = provider;
+    this.status = status;
+    this.headers = headers;
+  }
+}
+
+/**
+ * Raised when an AI provider's content filters block the prompt or the response
+ */
+class ContentBlockedError extends Error {
+  constructor(provider, reason) {
+    super(`${provider} blocked the content: ${reason}`);
+    this.name = 'ContentBlockedError';
+    this.provider = provider;
+    this.reason = reason;
+  }
+}
+
+/**
+ * Raised when the environment settings are missing or invalid
+ */
+class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigError';
+  }
+}
+
+/**
+ * Raised for command-line arguments that do not make a valid command
+ */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+module.exports = {
+  ReviewCancelledError,
+  CircuitOpenError,
+  ProviderQuotaError,
+  ContentBlockedError,
+  ConfigError,
+  UsageError,
+};
@@ -0,0 +1,71 @@
+/**
+ * Finding Marker Utility
+ * Gives each review finding a stable ID and embeds it in GitLab notes as a hidden marker
+ */
+
+const crypto = require('crypto');
+
+const MARKER_PATTERN = /<!-- ai-reviewer:finding:([a-f0-9]+) -->/g;
+
+class FindingMarker {
+  /**
+   * Build a stable short ID for a finding from its file, type and the code it points at.
+   * Neither the line number nor the model's wording is part of it, so the ID survives
+   * lines moving and the finding being described differently by the next review.
+   * Findings without code in the diff fall back to their description.
+   *
+   * @param {string} anchor - Content of the finding's line, if the diff has it
+   * @param {number} occurrence - Tells apart findings of the same type on the same code
+   */
+  static createId(filename, issue, anchor = '', occurrence = 0) {
+    const code = (anchor || '').replace(/\s+/g, ' ').trim();
+    const key = [
+      filename,
+      issue.type,
+      code || (issue.description || '').trim().toLowerCase(),
+    ];
+    if (occurrence > 0) {
+      key.push(occurrence);
+    }
+
+    return crypto.createHash('sha1').update(key.join('|')).digest('hex').substring(0, 10);
+  }
+
+  /**
+   * Give each issue of a file that has none its ID
+   *
+   * @param {Map<number, string>} lines - New-file line number to content, from the diff
+   */
+  static assignIds(filename, issues, lines = new Map()) {
+    const occurrences = new Map();
+
+    for (const issue of issues) {
+      if (issue.findingId) continue;
+
+      const anchor = lines.get(issue.line) || '';
+      const baseId = this.createId(filename, issue, anchor);
+      const occurrence = occurrences.get(baseId) || 0;
+      occurrences.set(baseId, occurrence + 1);
+      issue.findingId = this.createId(filename, issue, anchor, occurrence);
+    }
+
+    return issues;
+  }
+
+  /**
+   * Build the hidden marker appended to a note body
+   */
+  static build(findingId) {
+    return `<!-- ai-reviewer:finding:${findingId} -->`;
+  }
+
+  /**
+   * Extract all finding IDs embedded in a note body
+   */
+  static extract(body) {
+    if (!body) return [];
+    return Array.from(body.matchAll(MARKER_PATTERN), match => match[1]);
+  }
+}
+
+module.exports = FindingMarker;
@@ -39,11 +39,13 @@ const format = winston.format.combine(
 );
 
 // Define which transports the logger must use
+const consoleTransport = new winston.transports.Console({
+  format: format,
+});
+
 const transports = [
   // Console transport
-  new winston.transports.Console({
-    format: format,
-  }),
+  consoleTransport,
 ];
 
 // Add file transport in production
@@ -86,4 +88,11 @@ logger.stream = {
   },
 };
 
-module.exports = { logger };
+/**
+ * Send all console logging to stderr, keeping stdout for command output such as JSON
+ */
+function logToStderr() {
+  consoleTransport.stderrLevels = Object.fromEntries(Object.keys(levels).map(level => [level, true]));
+}
+
+module.exports = { logger, logToStderr };
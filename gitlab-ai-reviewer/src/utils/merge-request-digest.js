@@ -0,0 +1,79 @@
+/**
+ * Merge Request Digest
+ * Summarises every changed file of a merge request compactly enough for one AI request
+ */
+
+const CodeContext = require('./code-context');
+
+// Lines that define what a module exposes to other files
+const EXPORT_PATTERN = /^\s*(export\b|module\.exports\b|exports\.\w+|__all__\b|pub\s)/;
+
+// Changed declarations listed per file before any hunks are added
+const MAX_DECLARATIONS_PER_FILE = 30;
+
+// Smallest share of hunks worth adding for a file
+const MIN_HUNK_SHARE = 200;
+
+class MergeRequestDigest {
+  /**
+   * Build the digest: each file's path and changed declarations and exports first, then
+   * as much of each file's hunks as fits in maxSize characters, shared evenly
+   */
+  static build(files, maxSize) {
+    const sections = files.map(file => this.describeFile(file));
+    const outline = sections.join('\n\n');
+
+    const share = Math.floor((maxSize - outline.length) / Math.max(files.length, 1));
+    if (share < MIN_HUNK_SHARE) {
+      return outline.substring(0, maxSize);
+    }
+
+    return files
+      .map((file, index) => {
+        const hunks = this.truncate(file.diff, share - 20);
+        return hunks ? `${sections[index]}\n\`\`\`diff\n${hunks}\n\`\`\`` : sections[index];
+      })
+      .join('\n\n');
+  }
+
+  /**
+   * Header and changed declarations of one file
+   */
+  static describeFile(file) {
+    let section = `### ${file.filename} (${file.changeType}, +${file.additions || 0} -${file.deletions || 0})`;
+
+    const declarations = this.getChangedDeclarations(file.diff);
+    if (declarations.length > 0) {
+      section += `\nChanged declarations:\n${declarations.join('\n')}`;
+    }
+
+    return section;
+  }
+
+  /**
+   * Added and removed lines that declare or export something other files may use
+   */
+  static getChangedDeclarations(diff) {
+    return (diff || '')
+      .split('\n')
+      .filter(line => /^[+-](?![+-])/.test(line))
+      .filter(line => {
+        const code = line.substring(1);
+        return EXPORT_PATTERN.test(code) || CodeContext.isDeclaration(code);
+      })
+      .map(line => `${line.charAt(0)} ${line.substring(1).trim()}`)
+      .slice(0, MAX_DECLARATIONS_PER_FILE);
+  }
+
+  /**
+   * Cut a diff to whole lines within maxLength characters
+   */
+  static truncate(diff, maxLength) {
+    if (!diff || diff.length <= maxLength) return diff;
+
+    const cut = diff.substring(0, maxLength);
+    return `${cut.substring(0, cut.lastIndexOf('\n'))}\n... (truncated)`;
+  }
+}
+
+module.exports = MergeRequestDigest;
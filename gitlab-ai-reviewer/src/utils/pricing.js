@@ -0,0 +1,78 @@
+/**
+ * Pricing Utility
+ * Turns provider token usage into costs and adds usage up across requests
+ */
+
+const config = require('../config/config');
+
+class Pricing {
+  /**
+   * Price of a model in USD per million tokens, or null when it is not in the price table.
+   * Self-hosted models are free.
+   */
+  static getPrice(provider, model) {
+    if (config.LOCAL_PROVIDERS.includes(provider)) {
+      return { input: 0, output: 0 };
+    }
+
+    return config.budget.prices[model] || null;
+  }
+
+  /**
+   * Build the usage record of one request from the `usage` block of a chat completion.
+   * The first model name found in the price table is used, e.g. an Azure deployment
+   * name or the model the API reports.
+   */
+  static measure(provider, models, apiUsage = {}) {
+    const promptTokens = apiUsage?.prompt_tokens || 0;
+    const completionTokens = apiUsage?.completion_tokens || 0;
+    const price = models.map(model => this.getPrice(provider, model)).find(Boolean);
+
+    return {
+      promptTokens,
+      completionTokens,
+      totalTokens: apiUsage?.total_tokens || promptTokens + completionTokens,
+      cost: price ? (promptTokens * price.input + completionTokens * price.output) / 1e6 : 0,
+      unpriced: price ? [] : [models.find(Boolean)],
+    };
+  }
+
+  /**
+   * Empty usage record to add requests to
+   */
+  static emptyUsage() {
+    return { promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0, unpriced: [] };
+  }
+
+  /**
+   * Add two usage records
+   */
+  static add(total, usage) {
+    if (!usage) return total;
+
+    return {
+      promptTokens: total.promptTokens + usage.promptTokens,
+      completionTokens: total.completionTokens + usage.completionTokens,
+      totalTokens: total.totalTokens + usage.totalTokens,
+      cost: total.cost + usage.cost,
+      unpriced: [...new Set([...total.unpriced, ...usage.unpriced])],
+    };
+  }
+
+  /**
+   * Describe usage for logs and comments, e.g. "12,345 tokens (10,000 in / 2,345 out), ~$0.0412"
+   */
+  static format(usage) {
+    let text = `${usage.totalTokens.toLocaleString('en-US')} tokens ` +
+      `(${usage.promptTokens.toLocaleString('en-US')} in / ${usage.completionTokens.toLocaleString('en-US')} out), ` +
+      `~$${usage.cost.toFixed(4)}`;
+
+    if (usage.unpriced.length > 0) {
+      text += ` (no price for ${usage.unpriced.join(', ')})`;
+    }
+
+    return text;
+  }
+}
+
+module.exports = Pricing;
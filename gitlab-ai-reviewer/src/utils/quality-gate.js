@@ -0,0 +1,65 @@
+/**
+ * Quality Gate
+ * Decides whether a review's findings should fail the CI job and the commit status
+ */
+
+const SEVERITIES = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+
+class QualityGate {
+  /**
+   * Check whether a policy has any rule that can fail the gate
+   */
+  static hasRules(policy) {
+    return Boolean(policy?.failOnSeverity) ||
+      Number.isInteger(policy?.maxHighIssues) ||
+      (policy?.failOnTypes || []).length > 0;
+  }
+
+  /**
+   * Evaluate the findings of file reviews and cross-file issues against a policy.
+   * Returns { passed, failures } where failures describes each broken rule.
+   */
+  static evaluate(reviews, crossFileIssues, policy) {
+    const issues = [
+      ...reviews.flatMap(review => review.issues || []),
+      ...(crossFileIssues || []),
+    ];
+    const failures = [];
+
+    if (policy.failOnSeverity) {
+      const minimum = SEVERITIES.indexOf(policy.failOnSeverity);
+      const count = issues.filter(issue => SEVERITIES.indexOf(issue.severity) >= minimum).length;
+      if (count > 0) {
+        const label = policy.failOnSeverity === 'CRITICAL' ? 'CRITICAL' : `${policy.failOnSeverity} or higher`;
+        failures.push(`${count} ${label} finding(s)`);
+      }
+    }
+
+    if (Number.isInteger(policy.maxHighIssues)) {
+      const count = issues.filter(issue => issue.severity === 'HIGH').length;
+      if (count > policy.maxHighIssues) {
+        failures.push(`${count} HIGH finding(s), more than the ${policy.maxHighIssues} allowed`);
+      }
+    }
+
+    for (const type of policy.failOnTypes || []) {
+      const count = issues.filter(issue => (issue.type || issue.category) === type).length;
+      if (count > 0) {
+        failures.push(`${count} ${type} finding(s)`);
+      }
+    }
+
+    return { passed: failures.length === 0, failures };
+  }
+
+  /**
+   * One-line description of a result, e.g. for a commit status
+   */
+  static describe(result) {
+    return result.passed
+      ? 'AI review passed the quality gate'
+      : `AI review failed the quality gate: ${result.failures.join(', ')}`;
+  }
+}
+
+module.exports = QualityGate;
@@ -0,0 +1,51 @@
+/**
+ * Rate Limiter
+ * Spaces out requests to stay under a requests-per-minute limit
+ */
+
+const Retry = require('./retry');
+
+// Limiters shared by every client of the same service
+const limiters = new Map();
+
+class RateLimiter {
+  /**
+   * @param {number} requestsPerMinute - Limit to stay under; 0 disables spacing
+   */
+  constructor(requestsPerMinute = 0) {
+    this.interval = requestsPerMinute > 0 ? 60000 / requestsPerMinute : 0;
+    this.nextSlot = 0;
+  }
+
+  /**
+   * Get the shared limiter for a service, creating it on first use
+   */
+  static get(name, requestsPerMinute) {
+    if (!limiters.has(name)) {
+      limiters.set(name, new RateLimiter(requestsPerMinute));
+    }
+    return limiters.get(name);
+  }
+
+  /**
+   * Wait for the next free request slot
+   */
+  async acquire(signal) {
+    const now = Date.now();
+    const slot = Math.max(now, this.nextSlot);
+    this.nextSlot = slot + this.interval;
+
+    if (slot > now) {
+      await Retry.sleep(slot - now, signal);
+    }
+  }
+
+  /**
+   * Hold back all requests until the given time, e.g. when a server reports its limit is used up
+   */
+  pauseUntil(time) {
+    this.nextSlot = Math.max(this.nextSlot, time);
+  }
+}
+
+module.exports = RateLimiter;
@@ -0,0 +1,184 @@
+/**
+ * Retry Utility
+ * Retries transient failures with exponential backoff, honouring rate limit headers
+ */
+
+const { setTimeout: sleep } = require('timers/promises');
+const { logger } = require('./logger');
+const config = require('../config/config');
+const { CircuitOpenError } = require('./errors');
+
+const RETRYABLE_STATUSES = [408, 425, 429];
+
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+
+// Connection failures raised by the OpenAI SDK, which carry no status or code
+const CONNECTION_ERROR_NAMES = ['APIConnectionError', 'APIConnectionTimeoutError'];
+
+// Requests aborted by the caller: fetch and timers, the OpenAI and Anthropic SDKs, axios, the reviewer
+const ABORT_ERROR_NAMES = ['AbortError', 'APIUserAbortError', 'CanceledError', 'ReviewCancelledError'];
+
+class Retry {
+  /**
+   * Run an async function, retrying transient failures.
+   *
+   * @param {Function} fn - Called once per attempt
+   * @param {object} options - { name, signal, maxRetries, baseDelay, maxDelay }
+   */
+  static async run(fn, options = {}) {
+    const {
+      name = 'request',
+      signal,
+      maxRetries = config.retry.maxRetries,
+    } = options;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await fn();
+      } catch (error) {
+        if (signal?.aborted || attempt > maxRetries || !this.isRetryable(error)) {
+          throw error;
+        }
+
+        const delay = this.getDelay(error, attempt, options);
+        if (delay === null) {
+          throw error;
+        }
+
+        logger.warn(`${name} failed (${this.describe(error)}), retrying in ${delay}ms (${attempt}/${maxRetries})`);
+        await this.sleep(delay, signal);
+      }
+    }
+  }
+
+  /**
+   * Wait for a number of milliseconds, rejecting early if the signal aborts
+   */
+  static sleep(ms, signal) {
+    return sleep(ms, undefined, signal ? { signal } : undefined);
+  }
+
+  /**
+   * Check whether an error is worth retrying: rate limits, server errors and network failures
+   */
+  static isRetryable(error) {
+    if (error instanceof CircuitOpenError) return false;
+
+    const status = this.getStatus(error);
+    if (status) {
+      return RETRYABLE_STATUSES.includes(status) || status >= 500;
+    }
+
+    return this.isNetworkError(error);
+  }
+
+  /**
+   * Check whether an error means the service itself is failing, as opposed to
+   * rejecting or rate limiting this request. Used to trip circuit breakers.
+   */
+  static isOutage(error) {
+    const status = this.getStatus(error);
+    return status ? status >= 500 : this.isNetworkError(error);
+  }
+
+  /**
+   * Work out how long to wait before an attempt. Returns null when the server
+   * asks for a longer wait than maxDelay, so the caller fails instead of stalling.
+   */
+  static getDelay(error, attempt, options = {}) {
+    const {
+      baseDelay = config.retry.baseDelay,
+      maxDelay = config.retry.maxDelay,
+    } = options;
+
+    const requested = this.getRequestedDelay(this.getHeaders(error));
+    if (requested !== null) {
+      return requested <= maxDelay ? requested : null;
+    }
+
+    // Exponential backoff with jitter so parallel workers do not retry in lockstep
+    const exponential = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+    return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+  }
+
+  /**
+   * Read the wait a server asked for from Retry-After or GitLab's RateLimit-* headers
+   */
+  static getRequestedDelay(headers) {
+    const retryAfter = this.getHeader(headers, 'retry-after');
+    if (retryAfter) {
+      const seconds = Number(retryAfter);
+      const delay = Number.isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+      if (!Number.isNaN(delay)) {
+        return Math.max(0, Math.ceil(delay));
+      }
+    }
+
+    const resetAt = this.getRateLimitReset(headers);
+    return resetAt !== null ? Math.max(0, resetAt - Date.now()) : null;
+  }
+
+  /**
+   * Time (ms since epoch) at which an exhausted GitLab rate limit resets, or null
+   */
+  static getRateLimitReset(headers) {
+    const remaining = this.getHeader(headers, 'ratelimit-remaining');
+    const reset = Number(this.getHeader(headers, 'ratelimit-reset'));
+
+    if (remaining !== '0' || !reset) {
+      return null;
+    }
+
+    return reset * 1000;
+  }
+
+  /**
+   * HTTP status of an axios or OpenAI SDK error
+   */
+  static getStatus(error) {
+    return error?.status ?? error?.response?.status;
+  }
+
+  /**
+   * Response headers of an axios or OpenAI SDK error
+   */
+  static getHeaders(error) {
+    return error?.headers ?? error?.response?.headers ?? {};
+  }
+
+  /**
+   * Read a header case-insensitively from a plain object or axios headers
+   */
+  static getHeader(headers, name) {
+    if (!headers) return undefined;
+
+    const key = Object.keys(headers).find(candidate => candidate.toLowerCase() === name);
+    return key ? String(headers[key]) : undefined;
+  }
+
+  /**
+   * Check for connection failures that never got an HTTP response
+   */
+  static isNetworkError(error) {
+    return NETWORK_ERROR_CODES.includes(error?.code) ||
+      CONNECTION_ERROR_NAMES.includes(error?.constructor?.name);
+  }
+
+  /**
+   * Check whether a request failed because the caller aborted it, which says nothing about the service
+   */
+  static isAbort(error) {
+    return ABORT_ERROR_NAMES.includes(error?.name) ||
+      ABORT_ERROR_NAMES.includes(error?.constructor?.name) ||
+      ['ABORT_ERR', 'ERR_CANCELED'].includes(error?.code);
+  }
+
+  /**
+   * Short description of an error for retry logs
+   */
+  static describe(error) {
+    return this.getStatus(error) || error?.code || error?.message;
+  }
+}
+
+module.exports = Retry;
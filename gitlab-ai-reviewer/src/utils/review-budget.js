@@ -0,0 +1,62 @@
+/**
+ * Review Budget
+ * Tracks the tokens and cost of one review against per-review and per-project daily limits
+ */
+
+const config = require('../config/config');
+const Pricing = require('./pricing');
+const { SpendStore } = require('./spend-store');
+
+class ReviewBudget {
+  /**
+   * @param {string|number} projectId - Project whose daily spend the review counts towards
+   * @param {object} options - { limits, store }; limits default to config.budget
+   */
+  constructor(projectId, { limits = config.budget, store = SpendStore.get() } = {}) {
+    this.projectId = projectId;
+    this.limits = limits;
+    this.store = store;
+    this.usage = Pricing.emptyUsage();
+  }
+
+  /**
+   * Return why no further files may be reviewed, or null while there is budget left
+   */
+  async getExceededReason() {
+    const { reviewMaxTokens, reviewMaxCost, projectDailyMaxTokens, projectDailyMaxCost } = this.limits;
+
+    if (reviewMaxTokens > 0 && this.usage.totalTokens >= reviewMaxTokens) {
+      return `Review token budget of ${reviewMaxTokens.toLocaleString('en-US')} used up`;
+    }
+
+    if (reviewMaxCost > 0 && this.usage.cost >= reviewMaxCost) {
+      return `Review budget of $${reviewMaxCost.toFixed(2)} used up`;
+    }
+
+    if (projectDailyMaxTokens > 0 || projectDailyMaxCost > 0) {
+      const daily = await this.store.get(this.projectId);
+
+      if (projectDailyMaxTokens > 0 && daily.tokens >= projectDailyMaxTokens) {
+        return `Daily token budget of ${projectDailyMaxTokens.toLocaleString('en-US')} for this project used up`;
+      }
+
+      if (projectDailyMaxCost > 0 && daily.cost >= projectDailyMaxCost) {
+        return `Daily budget of $${projectDailyMaxCost.toFixed(2)} for this project used up`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Add the usage of a file review to the review and the project's daily totals
+   */
+  async record(usage) {
+    if (!usage) return;
+
+    this.usage = Pricing.add(this.usage, usage);
+    await this.store.add(this.projectId, { tokens: usage.totalTokens, cost: usage.cost });
+  }
+}
+
+module.exports = ReviewBudget;
@@ -0,0 +1,205 @@
+/**
+ * Review Report Utility
+ * Writes review findings as a GitLab Code Quality (CodeClimate) report and as SARIF 2.1.0
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const ReviewSchema = require('./review-schema');
+const { version } = require('../../package.json');
+
+const TOOL_NAME = 'GitLab AI Reviewer';
+
+// Finding types and cross-file categories with their CodeClimate category and SARIF rule text
+const RULES = {
+  SECURITY: { category: 'Security', description: 'Security vulnerability' },
+  PERFORMANCE: { category: 'Performance', description: 'Performance problem' },
+  STYLE: { category: 'Style', description: 'Code style' },
+  BUG: { category: 'Bug Risk', description: 'Likely bug' },
+  BEST_PRACTICE: { category: 'Clarity', description: 'Best practice' },
+  INCONSISTENCY: { category: 'Compatibility', description: 'Changes that do not fit together across files' },
+  MISSING_UPDATE: { category: 'Bug Risk', description: 'Related code that was not updated' },
+  ARCHITECTURE: { category: 'Complexity', description: 'Architectural concern' },
+  OTHER: { category: 'Bug Risk', description: 'Other finding' },
+};
+
+const CODE_QUALITY_SEVERITIES = {
+  CRITICAL: 'critical',
+  HIGH: 'major',
+  MEDIUM: 'minor',
+  LOW: 'info',
+};
+
+const SARIF_LEVELS = {
+  CRITICAL: 'error',
+  HIGH: 'error',
+  MEDIUM: 'warning',
+  LOW: 'note',
+};
+
+class ReviewReport {
+  /**
+   * Flatten file reviews and cross-file issues into one list of findings, each with the
+   * path it is reported on. Cross-file findings are reported on the first file involved.
+   */
+  static collectFindings(reviews, crossFileIssues = []) {
+    const findings = [];
+
+    for (const review of reviews) {
+      for (const issue of review.issues || []) {
+        findings.push({
+          rule: this.getRuleId(issue.type),
+          severity: this.getSeverity(issue.severity),
+          path: review.filename,
+          line: issue.line || null,
+          description: issue.description,
+          suggestion: issue.suggestion || '',
+        });
+      }
+    }
+
+    for (const issue of crossFileIssues) {
+      if (!issue.files?.length) continue;
+
+      findings.push({
+        rule: this.getRuleId(issue.category),
+        severity: this.getSeverity(issue.severity),
+        path: issue.files[0],
+        line: null,
+        description: `${issue.description} (files: ${issue.files.join(', ')})`,
+        suggestion: issue.suggestion || '',
+      });
+    }
+
+    // GitLab needs fingerprints to be unique within a report
+    const seen = new Map();
+    for (const finding of findings) {
+      const fingerprint = this.getFingerprint(finding);
+      const count = seen.get(fingerprint) || 0;
+      seen.set(fingerprint, count + 1);
+      finding.fingerprint = count === 0 ? fingerprint : this.getFingerprint(finding, count);
+    }
+
+    return findings;
+  }
+
+  /**
+   * Build a GitLab Code Quality report, an array of CodeClimate issues
+   */
+  static toCodeQuality(findings) {
+    return findings.map(finding => {
+      const entry = {
+        type: 'issue',
+        check_name: `ai-review/${finding.rule}`,
+        description: finding.description,
+        categories: [RULES[finding.rule].category],
+        severity: CODE_QUALITY_SEVERITIES[finding.severity],
+        fingerprint: finding.fingerprint,
+        location: {
+          path: finding.path,
+          lines: { begin: finding.line || 1, end: finding.line || 1 },
+        },
+      };
+
+      if (finding.suggestion) {
+        entry.content = { body: finding.suggestion };
+      }
+
+      return entry;
+    });
+  }
+
+  /**
+   * Build a SARIF 2.1.0 log with one run
+   */
+  static toSarif(findings) {
+    const ruleIds = [...new Set(findings.map(finding => finding.rule))];
+
+    return {
+      $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+      version: '2.1.0',
+      runs: [
+        {
+          tool: {
+            driver: {
+              name: TOOL_NAME,
+              version,
+              rules: ruleIds.map(id => ({
+                id,
+                shortDescription: { text: RULES[id].description },
+              })),
+            },
+          },
+          results: findings.map(finding => {
+            const location = { artifactLocation: { uri: finding.path } };
+            if (finding.line) {
+              location.region = { startLine: finding.line };
+            }
+
+            return {
+              ruleId: finding.rule,
+              ruleIndex: ruleIds.indexOf(finding.rule),
+              level: SARIF_LEVELS[finding.severity],
+              message: {
+                text: finding.suggestion
+                  ? `${finding.description}\n\nSuggestion: ${finding.suggestion}`
+                  : finding.description,
+              },
+              locations: [{ physicalLocation: location }],
+              partialFingerprints: { 'aiReviewFinding/v1': finding.fingerprint },
+              properties: { severity: finding.severity },
+            };
+          }),
+        },
+      ],
+    };
+  }
+
+  /**
+   * Write the configured reports. Returns the paths written.
+   *
+   * @param {object} paths - { codeQuality, sarif }; empty paths are skipped
+   */
+  static write(findings, paths) {
+    const written = [];
+
+    if (paths.codeQuality) {
+      this.writeJson(paths.codeQuality, this.toCodeQuality(findings));
+      written.push(paths.codeQuality);
+    }
+
+    if (paths.sarif) {
+      this.writeJson(paths.sarif, this.toSarif(findings));
+      written.push(paths.sarif);
+    }
+
+    return written;
+  }
+
+  static writeJson(filePath, data) {
+    fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+    fs.writeFileSync(filePath, `${JSON.stringify(data, null, 2)}\n`);
+  }
+
+  /**
+   * Fingerprint that ignores the line number, so a finding keeps it when code above it moves
+   * and GitLab can tell new findings from existing ones. Repeats of a finding are numbered.
+   */
+  static getFingerprint(finding, repeat = 0) {
+    const key = [finding.path, finding.rule, finding.description.trim().toLowerCase(), repeat || ''].join('|');
+    return crypto.createHash('md5').update(key).digest('hex');
+  }
+
+  static getRuleId(type) {
+    const rule = ReviewSchema.normalizeEnum(type);
+    return RULES[rule] ? rule : 'OTHER';
+  }
+
+  static getSeverity(severity) {
+    const level = ReviewSchema.normalizeEnum(severity);
+    return CODE_QUALITY_SEVERITIES[level] ? level : 'MEDIUM';
+  }
+}
+
+module.exports = ReviewReport;
@@ -0,0 +1,305 @@
+/**
+ * Review Schema Utility
+ * Describes and validates the JSON review format requested from the model
+ */
+
+const ISSUE_TYPES = ['SECURITY', 'PERFORMANCE', 'STYLE', 'BUG', 'BEST_PRACTICE'];
+
+const SEVERITIES = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW'];
+
+const CROSS_FILE_CATEGORIES = ['INCONSISTENCY', 'MISSING_UPDATE', 'ARCHITECTURE'];
+
+class ReviewSchema {
+  /**
+   * JSON Schema for `response_format`. Every property is required and nullable where
+   * optional, as strict structured output demands.
+   */
+  static getJsonSchema() {
+    return {
+      type: 'object',
+      properties: {
+        summary: { type: 'string' },
+        issues: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              file: { type: 'string' },
+              type: { type: 'string', enum: ISSUE_TYPES },
+              severity: { type: 'string', enum: SEVERITIES },
+              line: { type: ['integer', 'null'] },
+              description: { type: 'string' },
+              suggestion: { type: 'string' },
+              example: { type: 'string' },
+              fix: {
+                anyOf: [
+                  {
+                    type: 'object',
+                    properties: {
+                      start_line: { type: 'integer' },
+                      end_line: { type: 'integer' },
+                      replacement: { type: 'string' },
+                    },
+                    required: ['start_line', 'end_line', 'replacement'],
+                    additionalProperties: false,
+                  },
+                  { type: 'null' },
+                ],
+              },
+            },
+            required: ['file', 'type', 'severity', 'line', 'description', 'suggestion', 'example', 'fix'],
+            additionalProperties: false,
+          },
+        },
+      },
+      required: ['summary', 'issues'],
+      additionalProperties: false,
+    };
+  }
+
+  /**
+   * JSON Schema for the merge request level review, whose findings span several files
+   */
+  static getCrossFileJsonSchema() {
+    return {
+      type: 'object',
+      properties: {
+        summary: { type: 'string' },
+        issues: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              files: { type: 'array', items: { type: 'string' } },
+              category: { type: 'string', enum: CROSS_FILE_CATEGORIES },
+              severity: { type: 'string', enum: SEVERITIES },
+              description: { type: 'string' },
+              suggestion: { type: 'string' },
+            },
+            required: ['files', 'category', 'severity', 'description', 'suggestion'],
+            additionalProperties: false,
+          },
+        },
+      },
+      required: ['summary', 'issues'],
+      additionalProperties: false,
+    };
+  }
+
+  /**
+   * Parse and validate model output for a file.
+   * Returns { review, errors }; review is null whenever errors is not empty.
+   */
+  static parse(text, filename) {
+    let data;
+    try {
+      data = JSON.parse(this.extractJson(text));
+    } catch (error) {
+      return { review: null, errors: [`Response is not valid JSON: ${error.message}`] };
+    }
+
+    const errors = this.validate(data, filename);
+    if (errors.length > 0) {
+      return { review: null, errors };
+    }
+
+    return {
+      review: {
+        summary: data.summary?.trim() || 'Code review completed.',
+        issues: data.issues.map(issue => this.normalizeIssue(issue)),
+      },
+      errors: [],
+    };
+  }
+
+  /**
+   * Parse and validate a cross-file review. Files outside the merge request are dropped
+   * from each finding. Returns { review, errors } like parse().
+   */
+  static parseCrossFile(text, filenames) {
+    let data;
+    try {
+      data = JSON.parse(this.extractJson(text));
+    } catch (error) {
+      return { review: null, errors: [`Response is not valid JSON: ${error.message}`] };
+    }
+
+    if (typeof data !== 'object' || data === null || !Array.isArray(data.issues)) {
+      return { review: null, errors: ['The response must be a JSON object with "summary" and "issues"'] };
+    }
+
+    const errors = [];
+    data.issues.forEach((issue, index) => {
+      const path = `issues[${index}]`;
+
+      if (!CROSS_FILE_CATEGORIES.includes(this.normalizeEnum(issue?.category))) {
+        errors.push(`${path}.category must be one of ${CROSS_FILE_CATEGORIES.join(', ')}`);
+      }
+
+      if (!SEVERITIES.includes(this.normalizeEnum(issue?.severity))) {
+        errors.push(`${path}.severity must be one of ${SEVERITIES.join(', ')}`);
+      }
+
+      if (typeof issue?.description !== 'string' || !issue.description.trim()) {
+        errors.push(`${path}.description must be a non-empty string`);
+      }
+    });
+
+    if (errors.length > 0) {
+      return { review: null, errors };
+    }
+
+    return {
+      review: {
+        summary: typeof data.summary === 'string' ? data.summary.trim() : '',
+        issues: data.issues.map(issue => ({
+          files: (Array.isArray(issue.files) ? issue.files : []).filter(file => filenames.includes(file)),
+          category: this.normalizeEnum(issue.category),
+          severity: this.normalizeEnum(issue.severity),
+          description: issue.description.trim(),
+          suggestion: typeof issue.suggestion === 'string' ? issue.suggestion.trim() : '',
+        })),
+      },
+      errors: [],
+    };
+  }
+
+  /**
+   * Pull the JSON object out of a response that may wrap it in a code fence or prose
+   */
+  static extractJson(text) {
+    const trimmed = (text || '').trim();
+
+    const fenced = trimmed.match(/```(?:json)?\s*\n([\s\S]*?)\n?```/);
+    if (fenced) {
+      return fenced[1].trim();
+    }
+
+    const start = trimmed.indexOf('{');
+    const end = trimmed.lastIndexOf('}');
+    return start !== -1 && end > start ? trimmed.substring(start, end + 1) : trimmed;
+  }
+
+  /**
+   * Validate a parsed document, returns a list of problems to send back to the model
+   */
+  static validate(data, filename) {
+    if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+      return ['The response must be a JSON object with "summary" and "issues"'];
+    }
+
+    const errors = [];
+
+    if (data.summary !== undefined && data.summary !== null && typeof data.summary !== 'string') {
+      errors.push('"summary" must be a string');
+    }
+
+    if (!Array.isArray(data.issues)) {
+      errors.push('"issues" must be an array');
+      return errors;
+    }
+
+    data.issues.forEach((issue, index) => {
+      const path = `issues[${index}]`;
+
+      if (typeof issue !== 'object' || issue === null || Array.isArray(issue)) {
+        errors.push(`${path} must be an object`);
+        return;
+      }
+
+      if (!ISSUE_TYPES.includes(this.normalizeEnum(issue.type))) {
+        errors.push(`${path}.type must be one of ${ISSUE_TYPES.join(', ')}`);
+      }
+
+      if (!SEVERITIES.includes(this.normalizeEnum(issue.severity))) {
+        errors.push(`${path}.severity must be one of ${SEVERITIES.join(', ')}`);
+      }
+
+      if (issue.line !== undefined && issue.line !== null &&
+          !(Number.isInteger(issue.line) && issue.line > 0)) {
+        errors.push(`${path}.line must be a positive integer or null`);
+      }
+
+      if (typeof issue.description !== 'string' || !issue.description.trim()) {
+        errors.push(`${path}.description must be a non-empty string`);
+      }
+
+      for (const key of ['suggestion', 'example']) {
+        if (issue[key] !== undefined && issue[key] !== null && typeof issue[key] !== 'string') {
+          errors.push(`${path}.${key} must be a string`);
+        }
+      }
+
+      if (issue.fix !== undefined && issue.fix !== null) {
+        errors.push(...this.validateFix(issue.fix, path));
+      }
+
+      // Findings about another file would be attached to the wrong diff
+      if (issue.file !== undefined && issue.file !== null && issue.file !== '' && filename &&
+          issue.file !== filename) {
+        errors.push(`${path}.file must be "${filename}", the file under review`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Validate the lines a fix replaces. Whether they are added lines of the diff is only
+   * known when the finding is posted.
+   */
+  static validateFix(fix, path) {
+    if (typeof fix !== 'object' || Array.isArray(fix)) {
+      return [`${path}.fix must be an object or null`];
+    }
+
+    const errors = [];
+    const { start_line: start, end_line: end } = fix;
+
+    if (!Number.isInteger(start) || start < 1 || !Number.isInteger(end) || end < start) {
+      errors.push(`${path}.fix.start_line and end_line must be line numbers with start_line <= end_line`);
+    }
+
+    if (typeof fix.replacement !== 'string') {
+      errors.push(`${path}.fix.replacement must be a string`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Convert a validated issue into the shape used by the rest of the reviewer
+   */
+  static normalizeIssue(issue) {
+    const normalized = {
+      type: this.normalizeEnum(issue.type),
+      severity: this.normalizeEnum(issue.severity),
+      line: issue.line || null,
+      description: issue.description.trim(),
+      suggestion: issue.suggestion?.trim() || '',
+      example: issue.example?.trim() || '',
+    };
+
+    if (issue.fix) {
+      normalized.fix = {
+        startLine: issue.fix.start_line,
+        endLine: issue.fix.end_line,
+        // Indentation is part of the code, only a trailing newline is dropped
+        replacement: issue.fix.replacement.replace(/\r?\n$/, ''),
+      };
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Accept case and separator variations such as "best practice" for enum values
+   */
+  static normalizeEnum(value) {
+    return typeof value === 'string'
+      ? value.trim().toUpperCase().replace(/[\s-]+/g, '_')
+      : value;
+  }
+}
+
+module.exports = ReviewSchema;
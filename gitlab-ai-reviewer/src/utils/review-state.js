@@ -0,0 +1,88 @@
+/**
+ * Review State Utility
+ * Persists what the bot last reviewed as a hidden marker inside its own summary note
+ */
+
+const { logger } = require('./logger');
+
+const STATE_PATTERN = /<!-- ai-reviewer:state:([A-Za-z0-9+/=]+) -->/;
+
+class ReviewState {
+  /**
+   * Build the state snapshot for a finished review
+   */
+  static fromReviews(headSha, reviews, ignored = [], crossFileIssues = []) {
+    const findings = {};
+
+    for (const review of reviews) {
+      if (!review.issues || review.issues.length === 0) continue;
+
+      findings[review.filename] = review.issues.map(issue => ({
+        findingId: issue.findingId,
+        type: issue.type,
+        severity: issue.severity,
+        line: issue.line,
+        description: issue.description,
+        suggestion: issue.suggestion,
+        example: issue.example,
+        inline: issue.inline || false,
+      }));
+    }
+
+    return {
+      headSha,
+      reviewedAt: new Date().toISOString(),
+      findings,
+      crossFileFindings: crossFileIssues.map(issue => ({
+        files: issue.files,
+        category: issue.category,
+        severity: issue.severity,
+        description: issue.description,
+      })),
+      ignored,
+    };
+  }
+
+  /**
+   * Encode state as a hidden marker to append to a note body
+   */
+  static build(state) {
+    const encoded = Buffer.from(JSON.stringify(state), 'utf-8').toString('base64');
+    return `<!-- ai-reviewer:state:${encoded} -->`;
+  }
+
+  /**
+   * Swap the state marker in a note body, appending one if it has none
+   */
+  static replace(body, state) {
+    const marker = this.build(state);
+    return STATE_PATTERN.test(body)
+      ? body.replace(STATE_PATTERN, marker)
+      : `${body}\n${marker}`;
+  }
+
+  /**
+   * Whether a note body carries a state marker
+   */
+  static has(body) {
+    return Boolean(body) && STATE_PATTERN.test(body);
+  }
+
+  /**
+   * Read state back from a note body, returns null when absent or unreadable
+   */
+  static parse(body) {
+    const match = body?.match(STATE_PATTERN);
+    if (!match) return null;
+
+    try {
+      const state = JSON.parse(Buffer.from(match[1], 'base64').toString('utf-8'));
+      return state?.headSha ? state : null;
+    } catch (error) {
+      logger.warn('Failed to parse previous review state:', error);
+      return null;
+    }
+  }
+}
+
+module.exports = ReviewState;
@@ -0,0 +1,108 @@
+/**
+ * Spend Store
+ * Keeps each project's AI usage for the current day, for daily budgets
+ */
+
+const config = require('../config/config');
+const { logger } = require('./logger');
+
+let sharedStore = null;
+
+/**
+ * Day key in UTC, so every instance agrees on when a day starts
+ */
+function today() {
+  return new Date().toISOString().substring(0, 10);
+}
+
+class MemorySpendStore {
+  constructor() {
+    this.totals = new Map();
+  }
+
+  /**
+   * Today's totals for a project, as { tokens, cost }
+   */
+  get(projectId) {
+    return this.totals.get(`${projectId}:${today()}`) || { tokens: 0, cost: 0 };
+  }
+
+  /**
+   * Add usage to today's totals for a project
+   */
+  add(projectId, { tokens, cost }) {
+    const day = today();
+    const key = `${projectId}:${day}`;
+    const current = this.totals.get(key) || { tokens: 0, cost: 0 };
+    this.totals.set(key, { tokens: current.tokens + tokens, cost: current.cost + cost });
+
+    // Forget previous days
+    for (const existing of this.totals.keys()) {
+      if (!existing.endsWith(`:${day}`)) {
+        this.totals.delete(existing);
+      }
+    }
+  }
+}
+
+class RedisSpendStore {
+  constructor({ url, keyPrefix = 'ai-reviewer' } = {}) {
+    const Redis = require('ioredis');
+    this.keyPrefix = keyPrefix;
+    this.client = new Redis(url, {
+      lazyConnect: true,
+      maxRetriesPerRequest: 3,
+    });
+  }
+
+  getKey(projectId) {
+    return `${this.keyPrefix}:spend:${projectId}:${today()}`;
+  }
+
+  async get(projectId) {
+    const totals = await this.client.hgetall(this.getKey(projectId));
+    return {
+      tokens: parseInt(totals.tokens) || 0,
+      cost: parseFloat(totals.cost) || 0,
+    };
+  }
+
+  async add(projectId, { tokens, cost }) {
+    const key = this.getKey(projectId);
+    await this.client.multi()
+      .hincrby(key, 'tokens', tokens)
+      .hincrbyfloat(key, 'cost', cost)
+      .expire(key, 2 * 24 * 60 * 60)
+      .exec();
+  }
+}
+
+class SpendStore {
+  /**
+   * Get the store shared by all reviews of this process
+   */
+  static get() {
+    if (!sharedStore) {
+      sharedStore = SpendStore.create(config.budget);
+    }
+    return sharedStore;
+  }
+
+  /**
+   * Keep daily totals in Redis when budget.redisUrl is set. Otherwise they only cover this
+   * process, which in CI and CLI mode is a single review, so daily limits are warned about.
+   */
+  static create(budgetConfig) {
+    if (budgetConfig.redisUrl) {
+      return new RedisSpendStore({ url: budgetConfig.redisUrl });
+    }
+
+    if (budgetConfig.projectDailyMaxTokens > 0 || budgetConfig.projectDailyMaxCost > 0) {
+      logger.warn('Daily project budgets only count reviews of this process; set BUDGET_REDIS_URL ' +
+        'so they hold across CI jobs, CLI runs and server restarts');
+    }
+    return new MemorySpendStore();
+  }
+}
+
+module.exports = { SpendStore, MemorySpendStore, RedisSpendStore };
@@ -0,0 +1,268 @@
+/**
+ * Tests for AI Service response handling
+ */
+
+jest.mock('../src/utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const config = require('../src/config/config');
+const AIService = require('../src/services/ai-service');
+const ReviewSchema = require('../src/utils/review-schema');
+
+const completion = content => ({ choices: [{ message: { content } }] });
+
+const validIssue = {
+  file: 'src/app.js',
+  type: 'SECURITY',
+  severity: 'HIGH',
+  line: 12,
+  description: 'User input reaches eval',
+  suggestion: 'Parse the input instead',
+  example: '',
+};
+
+describe('AIService', () => {
+  let service;
+  let create;
+
+  beforeEach(() => {
+    service = new AIService();
+    create = jest.fn();
+    service.clients.openai = { chat: { completions: { create } } };
+  });
+
+  describe('reviewCode', () => {
+    it('should request a JSON schema and return validated issues', async () => {
+      create.mockResolvedValue(completion(JSON.stringify({ summary: 'One problem', issues: [validIssue] })));
+
+      const review = await service.reviewCode('src/app.js', 'javascript', '+eval(input)');
+
+      expect(create.mock.calls[0][0].response_format).toEqual(expect.objectContaining({
+        type: 'json_schema',
+        json_schema: expect.objectContaining({ strict: true }),
+      }));
+      expect(review.format).toBe('json');
+      expect(review.provider).toBe('openai');
+      expect(review.model).toBe(config.ai.openai.model);
+      expect(review.summary).toBe('One problem');
+      expect(review.issues).toEqual([{
+        type: 'SECURITY',
+        severity: 'HIGH',
+        line: 12,
+        description: 'User input reaches eval',
+        suggestion: 'Parse the input instead',
+        example: '',
+      }]);
+    });
+
+    it('should ask the model to repair malformed output', async () => {
+      create
+        .mockResolvedValueOnce(completion('{"summary": "x", "issues": [{"type": "BUG", "severity": "URGENT"}]}'))
+        .mockResolvedValueOnce(completion(JSON.stringify({ summary: 'Fixed', issues: [validIssue] })));
+
+      const review = await service.reviewCode('src/app.js', 'javascript', '+eval(input)');
+
+      expect(create).toHaveBeenCalledTimes(2);
+      const repairMessage = create.mock.calls[1][0].messages.slice(-1)[0];
+      expect(repairMessage.content).toContain('issues[0].severity must be one of');
+      expect(review.summary).toBe('Fixed');
+    });
+
+    it('should fall back to the markdown parser after failed repairs', async () => {
+      const markdown = 'Summary\n- **Issue Type**: BUG\n- **Severity**: LOW\n- **Line**: 3\n- **Description**: Off by one';
+      create.mockResolvedValue(completion(markdown));
+
+      const review = await service.reviewCode('src/app.js', 'javascript', '+for (;;)');
+
+      expect(review.format).toBe('markdown');
+      expect(review.issues).toHaveLength(1);
+      expect(review.issues[0].description).toBe('Off by one');
+    });
+
+    it('should fail rather than report no issues when nothing can be parsed', async () => {
+      create.mockResolvedValue(completion('I think the code looks mostly fine, but line 3 is risky.'));
+
+      await expect(service.reviewCode('src/app.js', 'javascript', '+x'))
+        .rejects.toThrow('Could not parse the AI review');
+    });
+
+    it('should retry without the JSON schema when the model rejects it', async () => {
+      create
+        .mockRejectedValueOnce({
+          status: 400,
+          message: '400 Invalid parameter: response_format of type json_schema is not supported with this model.',
+        })
+        .mockResolvedValue(completion(JSON.stringify({ summary: 'One problem', issues: [validIssue] })));
+
+      const first = await service.reviewCode('src/app.js', 'javascript', '+eval(input)');
+      await service.reviewCode('src/app.js', 'javascript', '+eval(input)');
+
+      expect(create).toHaveBeenCalledTimes(3);
+      expect(create.mock.calls[0][0].response_format).toBeDefined();
+      expect(create.mock.calls[1][0].response_format).toBeUndefined();
+      // The model is not asked for a schema again
+      expect(create.mock.calls[2][0].response_format).toBeUndefined();
+      expect(first.format).toBe('json');
+      expect(first.summary).toBe('One problem');
+    });
+  });
+
+  describe('provider fallback', () => {
+    let fallbackCreate;
+
+    beforeEach(() => {
+      config.ai.fallbackProviders = ['deepseek'];
+      service = new AIService();
+      service.clients.openai = { chat: { completions: { create } } };
+      fallbackCreate = jest.fn().mockResolvedValue(completion(JSON.stringify({ summary: 'Fine', issues: [] })));
+      service.clients.deepseek = { chat: { completions: { create: fallbackCreate } } };
+    });
+
+    afterEach(() => {
+      config.ai.fallbackProviders = [];
+    });
+
+    it('should move to the next provider and skip the failed one for the rest of the review', async () => {
+      create.mockRejectedValue({ status: 401, message: 'Invalid API key' });
+
+      const first = await service.reviewCode('src/a.js', 'javascript', '+a');
+      const second = await service.reviewCode('src/b.js', 'javascript', '+b');
+
+      expect(create).toHaveBeenCalledTimes(1);
+      expect(fallbackCreate).toHaveBeenCalledTimes(2);
+      expect(fallbackCreate.mock.calls[0][0].model).toBe(config.ai.deepseek.model);
+      expect(fallbackCreate.mock.calls[0][0].response_format).toEqual({ type: 'json_object' });
+      expect(first).toEqual(expect.objectContaining({ provider: 'deepseek', model: config.ai.deepseek.model }));
+      expect(second.provider).toBe('deepseek');
+    });
+
+    it('should not fall back on errors caused by the request itself', async () => {
+      create.mockRejectedValue({ status: 400, message: 'Bad request' });
+
+      await expect(service.reviewCode('src/a.js', 'javascript', '+a')).rejects.toEqual(
+        expect.objectContaining({ status: 400 }),
+      );
+      expect(fallbackCreate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('reviewCrossFile', () => {
+    it('should put the title and description into the prompt unchanged', async () => {
+      create.mockResolvedValue(completion(JSON.stringify({ summary: 'Fine', issues: [] })));
+
+      await service.reviewCrossFile('digest', ['src/app.js'], {
+        title: 'Escape $\' in price labels',
+        description: 'Replaces `$&` with `$$`',
+      });
+
+      const prompt = create.mock.calls[0][0].messages[1].content;
+      expect(prompt).toContain('Escape $\' in price labels');
+      expect(prompt).toContain('Replaces `$&` with `$$`');
+    });
+  });
+
+  describe('buildReviewPrompt', () => {
+    it('should put the filename into the prompt unchanged', () => {
+      const prompt = service.buildReviewPrompt('src/$&.js', 'javascript', '+x', {});
+
+      expect(prompt).toContain('src/$&.js');
+    });
+
+    it('should put a chunk and the lines before it into the prompt unchanged', () => {
+      const prompt = service.buildReviewPrompt('src/app.js', 'javascript', '+const label = "$`";', {
+        chunk: { part: 2, total: 3, context: '+const price = "$&" + amount;' },
+      });
+
+      expect(prompt).toContain('+const label = "$`";');
+      expect(prompt).toContain('+const price = "$&" + amount;');
+    });
+  });
+
+  describe('answerFollowUp', () => {
+    it('should put code and replies with dollar signs into the prompt unchanged', async () => {
+      create.mockResolvedValue(completion('**Verdict**: KEEP\nStill applies.'));
+
+      await service.answerFollowUp({
+        filename: 'src/app.js',
+        finding: 'Prices are built with `"$" + amount`',
+        hunk: '+const price = "$&" + amount;',
+        thread: [{ author: 'dev', body: 'It is fine, `$$` is never used' }],
+      });
+
+      const prompt = create.mock.calls[0][0].messages[1].content;
+      expect(prompt).toContain('Prices are built with `"$" + amount`');
+      expect(prompt).toContain('+const price = "$&" + amount;');
+      expect(prompt).toContain('**dev**: It is fine, `$$` is never used');
+    });
+  });
+
+  describe('ReviewSchema.parse', () => {
+    it('should accept fenced JSON and normalise enum spelling', () => {
+      const text = '```json\n{"summary": "", "issues": [{"type": "best practice", "severity": "low", ' +
+        '"line": null, "description": "Prefer const"}]}\n```';
+
+      const { review, errors } = ReviewSchema.parse(text, 'src/app.js');
+
+      expect(errors).toEqual([]);
+      expect(review.summary).toBe('Code review completed.');
+      expect(review.issues[0]).toEqual(expect.objectContaining({ type: 'BEST_PRACTICE', severity: 'LOW', line: null }));
+    });
+
+    it('should reject bad lines and findings for other files', () => {
+      const { review, errors } = ReviewSchema.parse(JSON.stringify({
+        summary: 'x',
+        issues: [{ ...validIssue, line: '12', file: 'src/other.js' }],
+      }), 'src/app.js');
+
+      expect(review).toBeNull();
+      expect(errors).toEqual([
+        'issues[0].line must be a positive integer or null',
+        'issues[0].file must be "src/app.js", the file under review',
+      ]);
+    });
+
+    it('should keep the indentation of a fix and reject inverted line ranges', () => {
+      const { review } = ReviewSchema.parse(JSON.stringify({
+        summary: 'x',
+        issues: [{ ...validIssue, fix: { start_line: 12, end_line: 12, replacement: '    return total;\n' } }],
+      }), 'src/app.js');
+
+      expect(review.issues[0].fix).toEqual({ startLine: 12, endLine: 12, replacement: '    return total;' });
+
+      const { errors } = ReviewSchema.parse(JSON.stringify({
+        summary: 'x',
+        issues: [{ ...validIssue, fix: { start_line: 13, end_line: 12, replacement: '' } }],
+      }), 'src/app.js');
+
+      expect(errors).toEqual(['issues[0].fix.start_line and end_line must be line numbers with start_line <= end_line']);
+    });
+  });
+
+  describe('ReviewSchema.parseCrossFile', () => {
+    it('should keep only files of the merge request in each finding', () => {
+      const { review, errors } = ReviewSchema.parseCrossFile(JSON.stringify({
+        summary: 'Callers were not updated',
+        issues: [{
+          files: ['src/api.js', 'src/unknown.js', 'src/client.js'],
+          category: 'missing update',
+          severity: 'high',
+          description: 'fetchUser now takes an options object',
+          suggestion: 'Update the call in client.js',
+        }],
+      }), ['src/api.js', 'src/client.js']);
+
+      expect(errors).toEqual([]);
+      expect(review.issues[0]).toEqual(expect.objectContaining({
+        files: ['src/api.js', 'src/client.js'],
+        category: 'MISSING_UPDATE',
+        severity: 'HIGH',
+      }));
+    });
+  });
+});
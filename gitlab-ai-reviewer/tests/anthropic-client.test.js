@@ -0,0 +1,118 @@
+/**
+ * Tests for the Anthropic Messages API provider, run against a local stub server
+ */
+
+jest.mock('../src/utils/logger', () => global.testUtils.createLoggerMock());
+
+const config = require('../src/config/config');
+const AIService = require('../src/services/ai-service');
+const AnthropicClient = require('../src/services/anthropic-client');
+
+describe('Anthropic provider', () => {
+  let stub;
+  let baseURL;
+  let requests;
+  let nextResponse;
+
+  const originalAI = { ...config.ai, anthropic: { ...config.ai.anthropic } };
+
+  beforeAll(async () => {
+    stub = await global.testUtils.startStubServer(request => {
+      requests.push(request);
+      return nextResponse();
+    });
+    baseURL = stub.baseURL;
+  });
+
+  afterAll(() => stub.close());
+
+  beforeEach(() => {
+    requests = [];
+    Object.assign(config.ai, { provider: 'anthropic', structuredOutput: true });
+    Object.assign(config.ai.anthropic, { apiKey: 'test-anthropic-key', baseURL, model: 'claude-test' });
+  });
+
+  afterEach(() => {
+    Object.assign(config.ai, originalAI);
+  });
+
+  it('should send a Messages API request and map the tool result into a review', async () => {
+    nextResponse = () => ({
+      status: 200,
+      data: {
+        id: 'msg_1',
+        model: 'claude-test',
+        stop_reason: 'tool_use',
+        content: [{
+          type: 'tool_use',
+          name: 'submit_review',
+          input: {
+            summary: 'One issue',
+            issues: [{
+              file: 'src/app.js',
+              type: 'BUG',
+              severity: 'HIGH',
+              line: 3,
+              description: 'Missing await',
+              suggestion: 'Await the promise',
+              example: '',
+            }],
+          },
+        }],
+        usage: { input_tokens: 120, output_tokens: 40 },
+      },
+    });
+
+    const service = new AIService();
+    const review = await service.reviewCode('src/app.js', 'javascript', '+save()');
+
+    expect(requests).toHaveLength(1);
+    const [request] = requests;
+    expect(request.method).toBe('POST');
+    expect(request.url).toBe('/v1/messages');
+    expect(request.headers['x-api-key']).toBe('test-anthropic-key');
+    expect(request.headers['anthropic-version']).toBe('2023-06-01');
+    expect(request.body).toEqual(expect.objectContaining({
+      model: 'claude-test',
+      max_tokens: config.ai.anthropic.maxTokens,
+      temperature: config.ai.anthropic.temperature,
+      tool_choice: { type: 'tool', name: 'submit_review' },
+    }));
+    expect(request.body.system).toContain('expert code reviewer');
+    expect(request.body.messages).toEqual([{ role: 'user', content: expect.stringContaining('src/app.js') }]);
+
+    expect(review).toEqual(expect.objectContaining({
+      provider: 'anthropic',
+      model: 'claude-test',
+      format: 'json',
+      summary: 'One issue',
+    }));
+    expect(review.issues).toEqual([expect.objectContaining({ type: 'BUG', line: 3, description: 'Missing await' })]);
+  });
+
+  it('should surface API errors with their status so they can be retried', async () => {
+    nextResponse = () => ({
+      status: 400,
+      data: { type: 'error', error: { type: 'invalid_request_error', message: 'max_tokens is too large' } },
+    });
+
+    const client = new AnthropicClient({ apiKey: 'test-anthropic-key', baseURL });
+
+    await expect(client.chat.completions.create({ model: 'claude-test', max_tokens: 1, messages: [] }))
+      .rejects.toMatchObject({
+        message: 'Anthropic API error 400: max_tokens is too large',
+        response: expect.objectContaining({ status: 400 }),
+      });
+  });
+
+  it('should join text blocks and report token usage', () => {
+    const completion = AnthropicClient.toChatCompletion({
+      content: [{ type: 'text', text: 'Hello ' }, { type: 'text', text: 'there' }],
+      stop_reason: 'end_turn',
+      usage: { input_tokens: 10, output_tokens: 5 },
+    });
+
+    expect(completion.choices[0].message.content).toBe('Hello there');
+    expect(completion.usage).toEqual({ prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 });
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * Tests for the Azure OpenAI provider, run against a local stub server
+ */
+
+jest.mock('../src/utils/logger', () => global.testUtils.createLoggerMock());
+
+const config = require('../src/config/config');
+const AIService = require('../src/services/ai-service');
+const AzureTokenProvider = require('../src/services/azure-token-provider');
+
+const COMPLETION = {
+  id: 'chatcmpl-1',
+  object: 'chat.completion',
+  model: 'gpt-4o',
+  choices: [{
+    index: 0,
+    message: {
+      role: 'assistant',
+      content: JSON.stringify({
+        summary: 'One issue',
+        issues: [{
+          file: 'src/app.js',
+          type: 'BUG',
+          severity: 'HIGH',
+          line: 3,
+          description: 'Missing await',
+          suggestion: 'Await the promise',
+          example: '',
+        }],
+      }),
+    },
+    finish_reason: 'stop',
+  }],
+  usage: { prompt_tokens: 120, completion_tokens: 40, total_tokens: 160 },
+};
+
+describe('Azure OpenAI provider', () => {
+  let stub;
+  let baseURL;
+  let requests;
+
+  const originalAI = { ...config.ai, azure: { ...config.ai.azure } };
+
+  beforeAll(async () => {
+    stub = await global.testUtils.startStubServer(request => {
+      requests.push(request);
+      const isTokenRequest = request.url.endsWith('/oauth2/v2.0/token');
+      return {
+        data: isTokenRequest
+          ? { token_type: 'Bearer', access_token: 'entra-token', expires_in: 3600 }
+          : COMPLETION,
+      };
+    });
+    baseURL = stub.baseURL;
+  });
+
+  afterAll(() => stub.close());
+
+  beforeEach(() => {
+    requests = [];
+    Object.assign(config.ai, { provider: 'azure', structuredOutput: true });
+    Object.assign(config.ai.azure, {
+      endpoint: baseURL,
+      apiKey: 'test-azure-key',
+      deployment: 'reviewer-gpt4o',
+      apiVersion: '2024-10-21',
+      maxTokens: 1234,
+      temperature: 0.2,
+      clientId: undefined,
+    });
+  });
+
+  afterEach(() => {
+    Object.assign(config.ai, originalAI);
+  });
+
+  it('should call the deployment URL with the api-version and api-key header', async () => {
+    const service = new AIService();
+    const review = await service.reviewCode('src/app.js', 'javascript', '+save()');
+
+    expect(requests).toHaveLength(1);
+    const [request] = requests;
+    expect(request.url).toBe('/openai/deployments/reviewer-gpt4o/chat/completions?api-version=2024-10-21');
+    expect(request.headers['api-key']).toBe('test-azure-key');
+    expect(request.body).toEqual(expect.objectContaining({
+      max_tokens: 1234,
+      temperature: 0.2,
+      response_format: expect.objectContaining({ type: 'json_schema' }),
+    }));
+
+    expect(review).toEqual(expect.objectContaining({ provider: 'azure', model: 'reviewer-gpt4o', format: 'json' }));
+  });
+
+  it('should authenticate with an Entra ID token when an app registration is configured', async () => {
+    Object.assign(config.ai.azure, {
+      apiKey: undefined,
+      tenantId: 'tenant-1',
+      clientId: 'client-1',
+      clientSecret: 'secret-1',
+      authorityHost: baseURL,
+    });
+
+    const service = new AIService();
+    await service.reviewCode('src/app.js', 'javascript', '+save()');
+    await service.reviewCode('src/app.js', 'javascript', '+save()');
+
+    const tokenRequests = requests.filter(request => request.url === '/tenant-1/oauth2/v2.0/token');
+    expect(tokenRequests).toHaveLength(1);
+    expect(tokenRequests[0].body.get('grant_type')).toBe('client_credentials');
+    expect(tokenRequests[0].body.get('scope')).toBe('https://cognitiveservices.azure.com/.default');
+
+    const completionRequests = requests.filter(request => request.url.includes('/chat/completions'));
+    expect(completionRequests).toHaveLength(2);
+    expect(completionRequests[0].headers.authorization).toBe('Bearer entra-token');
+    expect(completionRequests[0].headers['api-key']).toBeUndefined();
+  });
+
+  it('should require the full app registration for Entra ID', () => {
+    expect(() => new AzureTokenProvider({ tenantId: 'tenant-1', clientId: 'client-1' }))
+      .toThrow('client secret');
+  });
+
+  describe('validateConfig', () => {
+    const originalEnv = { ...process.env };
+
+    beforeEach(() => {
+      process.env.GITLAB_TOKEN = 'test-token';
+      process.env.AZURE_OPENAI_ENDPOINT = 'https://example.openai.azure.com';
+      delete process.env.AZURE_OPENAI_KEY;
+      delete process.env.AZURE_CLIENT_ID;
+    });
+
+    afterEach(() => {
+      process.env = { ...originalEnv };
+    });
+
+    it('should require an API key or a complete app registration', () => {
+      expect(() => config.validateConfig()).toThrow('AZURE_OPENAI_KEY');
+
+      process.env.AZURE_CLIENT_ID = 'client-1';
+      expect(() => config.validateConfig()).toThrow('AZURE_TENANT_ID, AZURE_CLIENT_SECRET');
+
+      process.env.AZURE_TENANT_ID = 'tenant-1';
+      process.env.AZURE_CLIENT_SECRET = 'secret-1';
+      expect(() => config.validateConfig()).not.toThrow();
+    });
+  });
+});
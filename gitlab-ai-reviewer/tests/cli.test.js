@@ -0,0 +1,151 @@
+/**
+ * Tests for the command-line interface
+ */
+
+jest.mock('../src/reviewer');
+jest.mock('../src/utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+  logToStderr: jest.fn(),
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Cli, EXIT_CODES } = require('../src/cli');
+const GitLabReviewer = require('../src/reviewer');
+const { logger } = require('../src/utils/logger');
+const { UsageError } = require('../src/utils/errors');
+
+describe('Cli', () => {
+  let stdout;
+  let stderr;
+
+  beforeEach(() => {
+    // Capture output and call the flush callback like a real stream
+    const capture = (text, callback) => {
+      callback();
+      return true;
+    };
+    stdout = jest.spyOn(process.stdout, 'write').mockImplementation(capture);
+    stderr = jest.spyOn(process.stderr, 'write').mockImplementation(capture);
+  });
+
+  describe('parse', () => {
+    it('should find commands with a subcommand and read their flags', () => {
+      const parsed = Cli.parse(['config', 'check', '--local', '--provider', 'ollama']);
+
+      expect(parsed.name).toBe('config check');
+      expect(parsed.values).toEqual({ local: true, provider: 'ollama' });
+    });
+
+    it('should reject unknown commands and flags', () => {
+      expect(() => Cli.parse(['deploy'])).toThrow(UsageError);
+      expect(() => Cli.parse(['provider'])).toThrow('"provider" needs a subcommand: provider test');
+      expect(() => Cli.parse(['review', '--fail-on-critical'])).toThrow(UsageError);
+    });
+  });
+
+  describe('applyOptions', () => {
+    it('should set the environment variable behind each flag given', () => {
+      const env = { AI_PROVIDER: 'openai', LOG_LEVEL: 'info' };
+      const { options, values } = Cli.parse([
+        'review', '--provider', 'anthropic', '--model', 'claude-opus', '--fail-on', 'HIGH',
+      ]);
+
+      Cli.applyOptions(options, values, env);
+
+      expect(env).toEqual({
+        AI_PROVIDER: 'anthropic',
+        ANTHROPIC_MODEL: 'claude-opus',
+        QUALITY_GATE_FAIL_ON_SEVERITY: 'HIGH',
+        LOG_LEVEL: 'info',
+      });
+    });
+  });
+
+  describe('fromLegacyArgs', () => {
+    it('should map the modes of src/index.js to commands', () => {
+      expect(Cli.fromLegacyArgs(['cli'], {})).toEqual(['review']);
+      expect(Cli.fromLegacyArgs([], { CI_MERGE_REQUEST_IID: '7' })).toEqual(['review']);
+      expect(Cli.fromLegacyArgs([], {})).toEqual(['serve']);
+      expect(Cli.fromLegacyArgs([], { RUN_MODE: 'review-local' })).toEqual(['review-local']);
+      expect(Cli.fromLegacyArgs(['review-local', '--staged'], {})).toEqual(['review-local', '--staged']);
+      expect(Cli.fromLegacyArgs(['config', 'check'], {})).toEqual(['config', 'check']);
+    });
+
+    it('should still start the server for unknown modes, with a deprecation warning', () => {
+      expect(Cli.fromLegacyArgs([], { RUN_MODE: 'webhook' })).toEqual(['serve']);
+      expect(Cli.fromLegacyArgs(['listen', '--verbose'], {})).toEqual(['serve']);
+      expect(stderr.mock.calls[0][0]).toContain('unknown mode "webhook" starts the webhook server');
+    });
+  });
+
+  describe('run', () => {
+    it('should print help and exit with 0', async () => {
+      expect(await Cli.run(['review', '--help'], {})).toBe(EXIT_CODES.SUCCESS);
+      expect(stdout.mock.calls[0][0]).toContain('--dry-run');
+    });
+
+    it('should exit with the usage code on invalid arguments', async () => {
+      expect(await Cli.run(['review'], {})).toBe(EXIT_CODES.USAGE);
+      expect(stderr.mock.calls[0][0]).toContain('review needs --project and --mr');
+    });
+
+    it('should print the comment of a dry run and exit with the quality gate code', async () => {
+      const reviewMergeRequest = jest.fn().mockResolvedValue({
+        reviews: [],
+        comment: '## 🤖 AI Code Review',
+        gate: { passed: false, failures: ['1 CRITICAL finding(s)'] },
+      });
+      GitLabReviewer.mockImplementation(() => ({ reviewMergeRequest }));
+
+      const exitCode = await Cli.run(['review', '--project', '42', '--mr', '7', '--dry-run'], {});
+
+      expect(reviewMergeRequest).toHaveBeenCalledWith('42', '7', { force: false, dryRun: true });
+      expect(stdout).toHaveBeenCalledWith('## 🤖 AI Code Review\n', expect.any(Function));
+      expect(exitCode).toBe(2);
+    });
+
+    it('should exit with 1 when the review fails', async () => {
+      GitLabReviewer.mockImplementation(() => ({
+        reviewMergeRequest: jest.fn().mockRejectedValue(new Error('GitLab is down')),
+      }));
+
+      expect(await Cli.run(['review', '--project', '42', '--mr', '7'], {})).toBe(EXIT_CODES.ERROR);
+    });
+
+    it('should exit with the config code before connecting when a setting is missing', async () => {
+      const { GITLAB_TOKEN, OPENAI_API_KEY } = process.env;
+      delete process.env.GITLAB_TOKEN;
+      delete process.env.OPENAI_API_KEY;
+
+      try {
+        expect(await Cli.run(['review', '--project', '42', '--mr', '7'], {})).toBe(EXIT_CODES.CONFIG);
+        expect(await Cli.run(['review-local'], {})).toBe(EXIT_CODES.CONFIG);
+      } finally {
+        Object.assign(process.env, { GITLAB_TOKEN, OPENAI_API_KEY });
+      }
+
+      expect(GitLabReviewer).not.toHaveBeenCalled();
+      expect(logger.error.mock.calls[0][0]).toContain('GITLAB_TOKEN');
+      expect(logger.error.mock.calls[1][0]).toContain('OPENAI_API_KEY');
+    });
+
+    it('should report an invalid repository config file', async () => {
+      const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'cli-')), '.ai-reviewer.yml');
+      fs.writeFileSync(file, 'severity_threshold: SOMETIMES\n');
+
+      const exitCode = await Cli.run(['config', 'check', '--repo-config', file], {});
+
+      expect(exitCode).toBe(EXIT_CODES.CONFIG);
+      const output = stdout.mock.calls[0][0];
+      expect(output).toContain('✅ Environment settings are valid');
+      expect(output).toContain('`severity_threshold` must be one of');
+    });
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * Tests for picking the code around each change
+ */
+
+const CodeContext = require('../src/utils/code-context');
+
+const SOURCE = [
+  'const limit = 10;',
+  '',
+  'class Cart {',
+  '  constructor(items) {',
+  '    this.items = items;',
+  '  }',
+  '',
+  '  total(discount) {',
+  '    const sum = this.items.reduce((acc, item) => acc + item.price, 0);',
+  '    if (sum > limit) {',
+  '      return sum - discount;',
+  '    }',
+  '    return sum;',
+  '  }',
+  '}',
+].join('\n');
+
+const DIFF = [
+  '@@ -10,3 +10,3 @@',
+  '     if (sum > limit) {',
+  '-      return sum;',
+  '+      return sum - discount;',
+  '     }',
+].join('\n');
+
+describe('CodeContext.build', () => {
+  it('should include the whole enclosing method with real line numbers', () => {
+    const context = CodeContext.build(SOURCE, DIFF, { maxTokens: 500 });
+
+    expect(context.split('\n')[0]).toBe('8:   total(discount) {');
+    expect(context).toContain('9:     const sum = this.items.reduce');
+    expect(context.split('\n').pop()).toBe('14:   }');
+    expect(context).not.toContain('constructor');
+  });
+
+  it('should fall back to the lines around the change when the block is over budget', () => {
+    const longMethod = SOURCE.replace(
+      '    const sum',
+      `${Array.from({ length: 40 }, (_, index) => `    step${index}();`).join('\n')}\n    const sum`,
+    );
+    const diff = DIFF.replace('@@ -10,3 +10,3 @@', '@@ -50,3 +50,3 @@');
+
+    const context = CodeContext.build(longMethod, diff, { maxTokens: 120 });
+
+    expect(context.split('\n')[0]).toBe('41:     step32();');
+    expect(context).not.toContain('total(discount)');
+  });
+
+  it('should use the deleted lines for the code before the change', () => {
+    const before = SOURCE.replace('return sum - discount;', 'return sum;');
+
+    expect(CodeContext.build(before, DIFF, { maxTokens: 500, side: 'old' })).toContain('11:       return sum;');
+    expect(CodeContext.build(before, '@@ -1,1 +1,2 @@\n const limit = 10;\n+const max = 5;', { maxTokens: 500, side: 'old' }))
+      .toBeNull();
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * Tests for GitLab suggestion blocks built from finding fixes
+ */
+
+jest.mock('../src/utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const CodeSuggestion = require('../src/utils/code-suggestion');
+
+describe('CodeSuggestion', () => {
+  // Lines 10-12 were added, line 13 is context
+  const addedLines = new Map([
+    [10, 'function total(items) {'],
+    [11, '  var sum = 0;'],
+    [12, '  items.forEach(i => sum += i);'],
+  ]);
+
+  const issue = (line, startLine, endLine, replacement) => ({ line, fix: { startLine, endLine, replacement } });
+
+  describe('build', () => {
+    it('should count the replaced lines from the commented line', () => {
+      const block = CodeSuggestion.build(
+        issue(11, 11, 12, '  const sum = items.reduce((a, b) => a + b, 0);'),
+        addedLines,
+      );
+
+      expect(block).toBe('```suggestion:-0+1\n  const sum = items.reduce((a, b) => a + b, 0);\n```');
+      expect(CodeSuggestion.build(issue(12, 10, 12, 'x'), addedLines)).toMatch(/^```suggestion:-2\+0\n/);
+    });
+
+    it('should delete the lines with an empty replacement', () => {
+      expect(CodeSuggestion.build(issue(11, 11, 11, ''), addedLines)).toBe('```suggestion:-0+0\n```');
+    });
+
+    it('should use a longer fence than the backticks in the code', () => {
+      const block = CodeSuggestion.build(issue(11, 11, 11, '  const doc = `a ```b``` c`;'), addedLines);
+
+      expect(block).toBe('````suggestion:-0+0\n  const doc = `a ```b``` c`;\n````');
+    });
+
+    it('should return null without a fix', () => {
+      expect(CodeSuggestion.build({ line: 11 }, addedLines)).toBeNull();
+    });
+  });
+
+  describe('validate', () => {
+    it('should reject fixes that do not replace exactly added lines', () => {
+      expect(CodeSuggestion.validate(issue(11, 12, 12, 'x'), addedLines))
+        .toBe('line 11 is outside the fix, lines 12-12');
+      expect(CodeSuggestion.validate(issue(12, 12, 13, 'x'), addedLines))
+        .toBe('line 13 is not an added line of the diff');
+      expect(CodeSuggestion.validate(issue(11, 11, 11, '  var sum = 0;'), addedLines))
+        .toBe('the replacement does not change the lines');
+    });
+  });
+});
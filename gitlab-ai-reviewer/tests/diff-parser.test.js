@@ -0,0 +1,116 @@
+/**
+ * Tests for splitting large diffs into chunks
+ */
+
+const DiffParser = require('../src/utils/diff-parser');
+
+/**
+ * A diff with two hunks, the second adding `count` lines
+ */
+function createLargeDiff(count) {
+  const added = Array.from({ length: count }, (_, index) => `+  const value${index} = compute(${index});`);
+  return [
+    '@@ -1,3 +1,4 @@',
+    ' function first() {',
+    '+  validate();',
+    '   return true;',
+    ' }',
+    `@@ -40,2 +41,${count + 2} @@`,
+    ' function second() {',
+    ...added,
+    ' }',
+  ].join('\n');
+}
+
+describe('DiffParser.chunkDiff', () => {
+  it('should keep a diff within the limit as a single chunk', () => {
+    const diff = createLargeDiff(3);
+
+    expect(DiffParser.chunkDiff(diff, 10000, 5)).toEqual([{ diff, context: null }]);
+  });
+
+  it('should split large hunks without changing the line numbers of added lines', () => {
+    const diff = createLargeDiff(200);
+    const chunks = DiffParser.chunkDiff(diff, 2000, 5);
+
+    expect(chunks.length).toBeGreaterThan(3);
+    for (const chunk of chunks) {
+      expect(chunk.diff.length).toBeLessThanOrEqual(2000);
+      expect(chunk.diff.startsWith('@@ ')).toBe(true);
+    }
+
+    const chunkedLines = chunks.flatMap(chunk => DiffParser.extractAddedLines(chunk.diff));
+    expect(chunkedLines).toEqual(DiffParser.extractAddedLines(diff));
+  });
+
+  it('should repeat the end of the previous chunk as context', () => {
+    const chunks = DiffParser.chunkDiff(createLargeDiff(200), 2000, 3);
+
+    expect(chunks[0].context).toBeNull();
+
+    const previousLines = DiffParser.extractAddedLines(chunks[0].diff).slice(-3);
+    expect(DiffParser.extractAddedLines(chunks[1].context)).toEqual(previousLines);
+  });
+});
+
+describe('DiffParser.parseGitDiff', () => {
+  it('should split git diff output into MR-style changes', () => {
+    const { changes } = DiffParser.parseGitDiff([
+      'diff --git a/src/old name.js b/src/new name.js',
+      'similarity index 90%',
+      'rename from src/old name.js',
+      'rename to src/new name.js',
+      'index 1111111..2222222 100644',
+      '--- a/src/old name.js',
+      '+++ b/src/new name.js',
+      '@@ -1,2 +1,2 @@',
+      '-const a = 1;',
+      '+const a = 2;',
+      ' module.exports = a;',
+      'diff --git a/src/added.js b/src/added.js',
+      'new file mode 100644',
+      'index 0000000..3333333',
+      '--- /dev/null',
+      '+++ b/src/added.js',
+      '@@ -0,0 +1 @@',
+      '+export const b = 1;',
+      'diff --git a/logo.png b/logo.png',
+      'Binary files a/logo.png and b/logo.png differ',
+      '',
+    ].join('\n'));
+
+    expect(changes.map(change => [change.old_path, change.new_path, change.renamed_file, change.new_file])).toEqual([
+      ['src/old name.js', 'src/new name.js', true, false],
+      ['src/added.js', 'src/added.js', false, true],
+      ['logo.png', 'logo.png', false, false],
+    ]);
+    expect(changes[0].diff).toBe('@@ -1,2 +1,2 @@\n-const a = 1;\n+const a = 2;\n module.exports = a;\n');
+    expect(changes[2].diff).toBe('');
+  });
+});
+
+describe('DiffParser.mapOldLine', () => {
+  const diff = [
+    '@@ -2,3 +2,4 @@',
+    ' const a = 1;',
+    '-const b = 2;',
+    '+const b = 3;',
+    '+const c = 4;',
+    ' const d = 5;',
+    '@@ -10,0 +12,2 @@',
+    '+// inserted',
+    '+// twice',
+  ].join('\n');
+
+  it('should move lines by the lines added and removed above them', () => {
+    expect(DiffParser.mapOldLine(diff, 1)).toBe(1);
+    expect(DiffParser.mapOldLine(diff, 2)).toBe(2);
+    expect(DiffParser.mapOldLine(diff, 4)).toBe(5);
+    expect(DiffParser.mapOldLine(diff, 10)).toBe(11);
+    expect(DiffParser.mapOldLine(diff, 11)).toBe(14);
+  });
+
+  it('should return null for removed or rewritten lines', () => {
+    expect(DiffParser.mapOldLine(diff, 3)).toBeNull();
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Tests for follow-up replies in bot finding threads
+ */
+
+jest.mock('../src/utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const FollowUpHandler = require('../src/commands/follow-up');
+const FindingMarker = require('../src/utils/finding-marker');
+const ReviewState = require('../src/utils/review-state');
+const DiffParser = require('../src/utils/diff-parser');
+
+const FINDING_ID = 'abcdef1234';
+
+const createReplyEvent = (note, overrides = {}) => ({
+  object_kind: 'note',
+  project: { id: 1 },
+  merge_request: { iid: 5 },
+  object_attributes: {
+    id: 200,
+    note,
+    type: 'DiffNote',
+    noteable_type: 'MergeRequest',
+    discussion_id: 'disc1',
+    ...overrides,
+  },
+});
+
+const findingNote = {
+  id: 100,
+  body: `⚠️ **HIGH · SECURITY**\n\nUser input reaches the query unescaped.\n\n---\n${FindingMarker.build(FINDING_ID)}`,
+  author: { id: 1, username: 'ai-bot' },
+  position: { new_path: 'src/db.js', new_line: 12 },
+  resolved: false,
+};
+
+const replyNote = {
+  id: 200,
+  body: 'This is intentional, the value comes from a fixed enum.',
+  author: { id: 7, username: 'dev' },
+};
+
+describe('FollowUpHandler', () => {
+  let gitlabAPI;
+  let aiService;
+  let handler;
+
+  beforeEach(() => {
+    gitlabAPI = {
+      getMergeRequestDiscussion: jest.fn().mockResolvedValue({ id: 'disc1', notes: [findingNote, replyNote] }),
+      getMergeRequestDiscussions: jest.fn().mockResolvedValue([{ id: 'disc1', notes: [findingNote, replyNote] }]),
+      getMergeRequestChanges: jest.fn().mockResolvedValue({
+        changes: [{ new_path: 'src/db.js', diff: '@@ -1,2 +10,3 @@\n a\n+b\n+query(input)\n@@ -20,1 +30,2 @@\n x\n+y' }],
+      }),
+      getProjectMember: jest.fn().mockResolvedValue({ access_level: 30 }),
+      replyToDiscussion: jest.fn().mockResolvedValue({}),
+      findReviewStateComment: jest.fn().mockResolvedValue({
+        id: 42,
+        body: `## 🤖 AI Code Review\n${ReviewState.build({ headSha: 'head123', findings: {} })}`,
+      }),
+      updateMergeRequestComment: jest.fn().mockResolvedValue({}),
+      resolveDiscussion: jest.fn().mockResolvedValue({}),
+    };
+    aiService = {
+      answerFollowUp: jest.fn().mockResolvedValue({ accepted: false, reply: 'The finding still applies.' }),
+    };
+    handler = new FollowUpHandler(gitlabAPI, aiService);
+  });
+
+  describe('isCandidate', () => {
+    it('should accept human replies in diff threads', () => {
+      expect(FollowUpHandler.isCandidate(createReplyEvent('Why is this a problem?'))).toBe(true);
+    });
+
+    it('should skip bot notes, slash commands and non-diff notes', () => {
+      expect(FollowUpHandler.isCandidate(createReplyEvent('🤖 **AI Reviewer:** Sure.'))).toBe(false);
+      expect(FollowUpHandler.isCandidate(createReplyEvent('/ai-review rerun'))).toBe(false);
+      expect(FollowUpHandler.isCandidate(createReplyEvent('Thanks', { type: 'DiscussionNote' }))).toBe(false);
+    });
+  });
+
+  it('should send the finding, hunk and thread to the AI and reply in the thread', async () => {
+    const responded = await handler.respond(1, 5, { discussionId: 'disc1', noteId: 200 });
+
+    expect(responded).toBe(true);
+    const followUp = aiService.answerFollowUp.mock.calls[0][0];
+    expect(followUp.filename).toBe('src/db.js');
+    expect(followUp.finding).toContain('User input reaches the query unescaped.');
+    expect(followUp.finding).not.toContain('<!--');
+    expect(followUp.hunk).toBe('@@ -1,2 +10,3 @@\n a\n+b\n+query(input)');
+    expect(followUp.thread).toEqual([{ author: 'dev', body: replyNote.body }]);
+
+    expect(gitlabAPI.replyToDiscussion).toHaveBeenCalledWith(
+      1, 5, 'disc1', '🤖 **AI Reviewer:** The finding still applies.',
+    );
+    expect(gitlabAPI.resolveDiscussion).not.toHaveBeenCalled();
+  });
+
+  it('should resolve the thread and record the dismissal when the justification is accepted', async () => {
+    aiService.answerFollowUp.mockResolvedValue({ accepted: true, reply: 'Makes sense for a fixed enum.' });
+
+    await handler.respond(1, 5, { discussionId: 'disc1', noteId: 200 });
+
+    const updatedBody = gitlabAPI.updateMergeRequestComment.mock.calls[0][3];
+    expect(ReviewState.parse(updatedBody).ignored).toEqual([FINDING_ID]);
+    expect(gitlabAPI.resolveDiscussion).toHaveBeenCalledWith(1, 5, 'disc1');
+    expect(gitlabAPI.replyToDiscussion.mock.calls[0][3]).toContain('will be left out of future reviews');
+  });
+
+  it('should ignore threads that are not bot findings', async () => {
+    gitlabAPI.getMergeRequestDiscussion.mockResolvedValue({
+      id: 'disc1',
+      notes: [{ ...findingNote, body: 'Human review comment' }, replyNote],
+    });
+
+    expect(await handler.respond(1, 5, { discussionId: 'disc1', noteId: 200 })).toBe(false);
+    expect(aiService.answerFollowUp).not.toHaveBeenCalled();
+  });
+
+  it('should only answer the latest reply from an authorized user', async () => {
+    expect(await handler.respond(1, 5, { discussionId: 'disc1', noteId: 150 })).toBe(false);
+
+    gitlabAPI.getProjectMember.mockResolvedValue(null);
+    expect(await handler.respond(1, 5, { discussionId: 'disc1', noteId: 200 })).toBe(false);
+
+    expect(aiService.answerFollowUp).not.toHaveBeenCalled();
+    expect(gitlabAPI.replyToDiscussion).not.toHaveBeenCalled();
+  });
+});
+
+describe('DiffParser.extractHunk', () => {
+  it('should fall back to the whole diff when no hunk contains the line', () => {
+    const diff = '@@ -1,1 +1,2 @@\n a\n+b';
+    expect(DiffParser.extractHunk(diff, 50)).toBe(diff);
+  });
+});
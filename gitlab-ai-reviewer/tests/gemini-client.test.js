@@ -0,0 +1,121 @@
+/**
+ * Tests for the Gemini provider, run against a local stub server
+ */
+
+jest.mock('../src/utils/logger', () => global.testUtils.createLoggerMock());
+
+const config = require('../src/config/config');
+const AIService = require('../src/services/ai-service');
+const GeminiClient = require('../src/services/gemini-client');
+const { ProviderQuotaError, ContentBlockedError } = require('../src/utils/errors');
+
+describe('Gemini provider', () => {
+  let stub;
+  let baseURL;
+  let requests;
+  let nextResponse;
+
+  const originalAI = { ...config.ai, google: { ...config.ai.google } };
+
+  beforeAll(async () => {
+    stub = await global.testUtils.startStubServer(request => {
+      requests.push(request);
+      return nextResponse();
+    });
+    baseURL = stub.baseURL;
+  });
+
+  afterAll(() => stub.close());
+
+  beforeEach(() => {
+    requests = [];
+    Object.assign(config.ai, { provider: 'google', structuredOutput: true });
+    Object.assign(config.ai.google, {
+      apiKey: 'test-google-key',
+      baseURL,
+      model: 'gemini-test',
+      safetySettings: { DANGEROUS_CONTENT: 'BLOCK_NONE' },
+    });
+  });
+
+  afterEach(() => {
+    Object.assign(config.ai, originalAI);
+  });
+
+  const createClient = () => new GeminiClient({ apiKey: 'test-google-key', baseURL });
+
+  it('should send a generateContent request in JSON mode and map the answer into a review', async () => {
+    nextResponse = () => ({
+      status: 200,
+      data: {
+        candidates: [{
+          content: { role: 'model', parts: [{ text: '{"summary": "Looks fine", "issues": []}' }] },
+          finishReason: 'STOP',
+        }],
+        usageMetadata: { promptTokenCount: 80, candidatesTokenCount: 12, totalTokenCount: 92 },
+      },
+    });
+
+    const service = new AIService();
+    const review = await service.reviewCode('src/app.js', 'javascript', '+const a = 1;');
+
+    const [request] = requests;
+    expect(request.url).toBe('/v1beta/models/gemini-test:generateContent');
+    expect(request.headers['x-goog-api-key']).toBe('test-google-key');
+    expect(request.body.systemInstruction.parts[0].text).toContain('expert code reviewer');
+    expect(request.body.contents).toEqual([{ role: 'user', parts: [{ text: expect.stringContaining('src/app.js') }] }]);
+    expect(request.body.generationConfig).toEqual(expect.objectContaining({
+      responseMimeType: 'application/json',
+      maxOutputTokens: config.ai.google.maxTokens,
+    }));
+    expect(request.body.safetySettings).toContainEqual({
+      category: 'HARM_CATEGORY_DANGEROUS_CONTENT',
+      threshold: 'BLOCK_NONE',
+    });
+    expect(request.body.safetySettings).toContainEqual({
+      category: 'HARM_CATEGORY_HARASSMENT',
+      threshold: 'BLOCK_ONLY_HIGH',
+    });
+
+    expect(review).toEqual(expect.objectContaining({ provider: 'google', model: 'gemini-test', summary: 'Looks fine' }));
+  });
+
+  it('should map quota errors to ProviderQuotaError with the suggested retry delay', async () => {
+    nextResponse = () => ({
+      status: 429,
+      data: {
+        error: {
+          code: 429,
+          status: 'RESOURCE_EXHAUSTED',
+          message: 'Quota exceeded for requests per minute',
+          details: [{ '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay: '17s' }],
+        },
+      },
+    });
+
+    const error = await createClient().chat.completions.create({ model: 'gemini-test', messages: [] }).catch(e => e);
+
+    expect(error).toBeInstanceOf(ProviderQuotaError);
+    expect(error.status).toBe(429);
+    expect(error.headers['retry-after']).toBe('17');
+    expect(error.message).toBe('Gemini quota exceeded: Quota exceeded for requests per minute');
+  });
+
+  it('should raise ContentBlockedError for blocked prompts and responses', async () => {
+    nextResponse = () => ({ status: 200, data: { promptFeedback: { blockReason: 'SAFETY' } } });
+    await expect(createClient().chat.completions.create({ model: 'gemini-test', messages: [] }))
+      .rejects.toThrow(new ContentBlockedError('Gemini', 'prompt blocked (SAFETY)'));
+
+    nextResponse = () => ({
+      status: 200,
+      data: {
+        candidates: [{
+          finishReason: 'SAFETY',
+          safetyRatings: [{ category: 'HARM_CATEGORY_DANGEROUS_CONTENT', probability: 'HIGH', blocked: true }],
+        }],
+      },
+    });
+    await expect(createClient().chat.completions.create({ model: 'gemini-test', messages: [] }))
+      .rejects.toThrow('Gemini blocked the content: response blocked (SAFETY, DANGEROUS_CONTENT)');
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * Tests for GitLab API pagination and bot note lookup
+ */
+
+jest.mock('../src/utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const GitLabAPI = require('../src/services/gitlab-api');
+const ReviewState = require('../src/utils/review-state');
+
+const BOT = { id: 99, username: 'ai-reviewer' };
+
+describe('GitLabAPI', () => {
+  let api;
+  let adapter;
+
+  // Serve GET requests from { path: [page1, page2, ...] }
+  const serve = routes => {
+    adapter = jest.fn().mockImplementation(requestConfig => {
+      const pages = routes[requestConfig.url];
+      const page = requestConfig.params?.page || 1;
+      const data = Array.isArray(pages) ? pages[page - 1] : pages;
+      const headers = Array.isArray(pages) && page < pages.length ? { 'x-next-page': String(page + 1) } : {};
+      return Promise.resolve({ status: 200, statusText: 'OK', data, headers, config: requestConfig });
+    });
+    api.client.defaults.adapter = adapter;
+  };
+
+  const note = (id, body, overrides = {}) => ({ id, body, system: false, type: null, author: BOT, ...overrides });
+
+  beforeEach(() => {
+    api = new GitLabAPI();
+  });
+
+  describe('getMergeRequestComments', () => {
+    it('should follow x-next-page until the last page', async () => {
+      serve({ '/projects/1/merge_requests/5/notes': [[note(3, 'c')], [note(2, 'b')], [note(1, 'a')]] });
+
+      const comments = await api.getMergeRequestComments(1, 5);
+
+      expect(comments.map(comment => comment.id)).toEqual([3, 2, 1]);
+      expect(adapter).toHaveBeenCalledTimes(3);
+      expect(adapter.mock.calls[0][0].params).toEqual(expect.objectContaining({ per_page: 100, page: 1 }));
+    });
+  });
+
+  describe('getMergeRequestDiscussions', () => {
+    it('should return the discussions of every page', async () => {
+      serve({ '/projects/1/merge_requests/5/discussions': [[{ id: 'a' }, { id: 'b' }], [{ id: 'c' }]] });
+
+      const discussions = await api.getMergeRequestDiscussions(1, 5);
+
+      expect(discussions.map(discussion => discussion.id)).toEqual(['a', 'b', 'c']);
+      expect(adapter.mock.calls[1][0].params).toEqual({ per_page: 100, page: 2 });
+    });
+  });
+
+  describe('findReviewStateComment', () => {
+    const stateBody = `## 🤖 AI Code Review\n${ReviewState.build({ headSha: 'sha1', findings: {} })}`;
+
+    it('should find the bot note with the state marker past newer notes quoting the header', async () => {
+      serve({
+        '/user': BOT,
+        '/projects/1/merge_requests/5/notes': [
+          [
+            note(4, '> ## 🤖 AI Code Review\nWhy was this flagged?', { author: { id: 7 } }),
+            note(3, '## ❌ AI Code Review Failed'),
+          ],
+          [note(2, stateBody), note(1, '## 🤖 AI Code Review\nolder')],
+        ],
+      });
+
+      const comment = await api.findReviewStateComment(1, 5);
+
+      expect(comment.id).toBe(2);
+    });
+
+    it('should ignore state markers in notes by other users', async () => {
+      serve({
+        '/user': BOT,
+        '/projects/1/merge_requests/5/notes': [[note(1, stateBody, { author: { id: 7 } })]],
+      });
+
+      await expect(api.findReviewStateComment(1, 5)).resolves.toBeNull();
+    });
+  });
+});
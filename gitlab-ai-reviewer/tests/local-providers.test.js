@@ -0,0 +1,186 @@
+/**
+ * Tests for the self-hosted Ollama and OpenAI-compatible providers, run against a local stub server
+ */
+
+jest.mock('../src/utils/logger', () => global.testUtils.createLoggerMock());
+
+const config = require('../src/config/config');
+const AIService = require('../src/services/ai-service');
+const OllamaClient = require('../src/services/ollama-client');
+
+const REVIEW = {
+  summary: 'One issue',
+  issues: [{
+    file: 'src/app.js',
+    type: 'BUG',
+    severity: 'HIGH',
+    line: 3,
+    description: 'Missing await',
+    suggestion: 'Await the promise',
+    example: '',
+  }],
+};
+
+describe('Local providers', () => {
+  let stub;
+  let baseURL;
+  let requests;
+  let nextResponse;
+
+  const originalAI = {
+    ...config.ai,
+    ollama: { ...config.ai.ollama },
+    'openai-compatible': { ...config.ai['openai-compatible'] },
+  };
+
+  beforeAll(async () => {
+    stub = await global.testUtils.startStubServer(request => {
+      requests.push(request);
+      return nextResponse();
+    });
+    baseURL = stub.baseURL;
+  });
+
+  afterAll(() => stub.close());
+
+  beforeEach(() => {
+    requests = [];
+    config.ai.structuredOutput = true;
+  });
+
+  afterEach(() => {
+    Object.assign(config.ai, originalAI);
+  });
+
+  describe('ollama', () => {
+    beforeEach(() => {
+      config.ai.provider = 'ollama';
+      Object.assign(config.ai.ollama, { baseURL, model: 'qwen-test', contextWindow: 32768 });
+    });
+
+    it('should call /api/chat with the configured context window and JSON mode', async () => {
+      nextResponse = () => ({
+        status: 200,
+        data: {
+          model: 'qwen-test',
+          message: { role: 'assistant', content: JSON.stringify(REVIEW) },
+          done_reason: 'stop',
+          prompt_eval_count: 200,
+          eval_count: 50,
+        },
+      });
+
+      const service = new AIService();
+      const review = await service.reviewCode('src/app.js', 'javascript', '+save()');
+
+      expect(requests).toHaveLength(1);
+      const [request] = requests;
+      expect(request.url).toBe('/api/chat');
+      expect(request.headers.authorization).toBeUndefined();
+      expect(request.body).toEqual(expect.objectContaining({
+        model: 'qwen-test',
+        stream: false,
+        format: 'json',
+        options: expect.objectContaining({ num_ctx: 32768, num_predict: config.ai.ollama.maxTokens }),
+      }));
+      expect(request.body.messages[0]).toEqual({ role: 'system', content: expect.stringContaining('expert code reviewer') });
+
+      expect(review).toEqual(expect.objectContaining({ provider: 'ollama', model: 'qwen-test', format: 'json' }));
+      expect(review.issues).toEqual([expect.objectContaining({ type: 'BUG', line: 3 })]);
+    });
+
+    it('should surface server errors such as a missing model', async () => {
+      nextResponse = () => ({ status: 404, data: { error: 'model "qwen-test" not found, try pulling it first' } });
+
+      const client = new OllamaClient({ baseURL });
+
+      await expect(client.chat.completions.create({ model: 'qwen-test', messages: [] }))
+        .rejects.toMatchObject({
+          message: 'Ollama error 404: model "qwen-test" not found, try pulling it first',
+          response: expect.objectContaining({ status: 404 }),
+        });
+    });
+
+    it('should report token usage from the eval counts', () => {
+      const completion = OllamaClient.toChatCompletion({
+        message: { content: 'ok' },
+        prompt_eval_count: 10,
+        eval_count: 5,
+      });
+
+      expect(completion.usage).toEqual({ prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 });
+    });
+  });
+
+  describe('openai-compatible', () => {
+    beforeEach(() => {
+      config.ai.provider = 'openai-compatible';
+      Object.assign(config.ai['openai-compatible'], {
+        baseURL: `${baseURL}/v1`,
+        apiKey: undefined,
+        model: 'local-coder',
+        responseFormat: 'json_object',
+      });
+      nextResponse = () => ({
+        status: 200,
+        data: {
+          id: 'cmpl-1',
+          object: 'chat.completion',
+          model: 'local-coder',
+          choices: [{ index: 0, message: { role: 'assistant', content: JSON.stringify(REVIEW) }, finish_reason: 'stop' }],
+          usage: { prompt_tokens: 200, completion_tokens: 50, total_tokens: 250 },
+        },
+      });
+    });
+
+    it('should call the configured endpoint without an API key', async () => {
+      const service = new AIService();
+      const review = await service.reviewCode('src/app.js', 'javascript', '+save()');
+
+      expect(requests).toHaveLength(1);
+      expect(requests[0].url).toBe('/v1/chat/completions');
+      expect(requests[0].body).toEqual(expect.objectContaining({
+        model: 'local-coder',
+        response_format: { type: 'json_object' },
+      }));
+      expect(review).toEqual(expect.objectContaining({ provider: 'openai-compatible', format: 'json' }));
+    });
+
+    it('should leave out response_format for servers that do not support it', async () => {
+      config.ai['openai-compatible'].responseFormat = 'none';
+
+      const service = new AIService();
+      await service.reviewCode('src/app.js', 'javascript', '+save()');
+
+      expect(requests[0].body.response_format).toBeUndefined();
+    });
+  });
+
+  describe('validateConfig', () => {
+    const originalEnv = { ...process.env };
+
+    beforeEach(() => {
+      process.env.GITLAB_TOKEN = 'test-token';
+      delete process.env.OPENAI_COMPATIBLE_BASE_URL;
+    });
+
+    afterEach(() => {
+      process.env = { ...originalEnv };
+    });
+
+    it('should not require an API key for Ollama', () => {
+      config.ai.provider = 'ollama';
+
+      expect(() => config.validateConfig()).not.toThrow();
+    });
+
+    it('should require a base URL for an OpenAI-compatible server', () => {
+      config.ai.provider = 'openai-compatible';
+
+      expect(() => config.validateConfig()).toThrow('OPENAI_COMPATIBLE_BASE_URL');
+
+      process.env.OPENAI_COMPATIBLE_BASE_URL = 'http://localhost:8000/v1';
+      expect(() => config.validateConfig()).not.toThrow();
+    });
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Tests for reviewing a local git repository without GitLab
+ */
+
+jest.mock('../src/services/ai-service');
+jest.mock('../src/utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { simpleGit } = require('simple-git');
+const LocalReviewer = require('../src/local-reviewer');
+const AIService = require('../src/services/ai-service');
+
+describe('LocalReviewer', () => {
+  let repoPath;
+  let git;
+  let mockAIService;
+
+  beforeEach(async () => {
+    repoPath = fs.mkdtempSync(path.join(os.tmpdir(), 'local-review-'));
+    git = simpleGit(repoPath);
+    await git.init(['-b', 'main']);
+    await git.addConfig('user.email', 'dev@example.com');
+    await git.addConfig('user.name', 'Dev');
+
+    fs.writeFileSync(path.join(repoPath, 'app.js'), 'function total(items) {\n  return items.length;\n}\n');
+    await git.add('.');
+    await git.commit('Initial commit');
+
+    await git.checkoutLocalBranch('feature');
+    fs.writeFileSync(path.join(repoPath, 'app.js'), 'function total(items) {\n  return items.reduce((a, b) => a + b);\n}\n');
+    await git.commit('Sum the items', ['app.js']);
+
+    mockAIService = {
+      reviewCode: jest.fn().mockResolvedValue({
+        summary: 'One issue',
+        issues: [{ type: 'BUG', severity: 'HIGH', line: 2, description: 'reduce without an initial value throws on []' }],
+        rawReview: '{}',
+      }),
+      reviewCrossFile: jest.fn(),
+    };
+    AIService.mockImplementation(() => mockAIService);
+  });
+
+  afterEach(() => {
+    fs.rmSync(repoPath, { recursive: true, force: true });
+  });
+
+  it('should review the branch against its base without GitLab', async () => {
+    const reviewer = new LocalReviewer(repoPath);
+    const result = await reviewer.review({ base: 'main' });
+
+    const [filename, language, diff, context] = mockAIService.reviewCode.mock.calls[0];
+    expect([filename, language]).toEqual(['app.js', 'javascript']);
+    expect(diff).toContain('+  return items.reduce((a, b) => a + b);');
+    expect(context.commitMessages).toEqual(['Sum the items']);
+    expect(context.fileContext.after).toContain('2:   return items.reduce');
+
+    expect(reviewer.toJson(result).files).toEqual([expect.objectContaining({
+      filename: 'app.js',
+      status: 'reviewed',
+      issues: [expect.objectContaining({ severity: 'HIGH', line: 2 })],
+    })]);
+    expect(await reviewer.renderMarkdown(result)).toContain('### 📝 app.js');
+  });
+
+  it('should review only the staged changes', async () => {
+    fs.writeFileSync(path.join(repoPath, 'util.js'), 'module.exports = x => x * 2;\n');
+    fs.writeFileSync(path.join(repoPath, 'app.js'), 'function total() {}\n');
+    await git.add('util.js');
+
+    const result = await new LocalReviewer(repoPath).review({ staged: true });
+
+    expect(result.target).toBe('staged changes');
+    expect(mockAIService.reviewCode.mock.calls.map(call => call[0])).toEqual(['util.js']);
+    expect(mockAIService.reviewCode.mock.calls[0][3].fileContext.after).toBe('1: module.exports = x => x * 2;');
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * Tests for the merge request digest sent to the cross-file review
+ */
+
+const MergeRequestDigest = require('../src/utils/merge-request-digest');
+
+const FILES = [
+  {
+    filename: 'src/api.js',
+    changeType: 'modified',
+    additions: 2,
+    deletions: 1,
+    diff: [
+      '@@ -1,4 +1,5 @@',
+      '-async function fetchUser(id) {',
+      '+async function fetchUser(id, options) {',
+      '   const response = await http.get(`/users/${id}`);',
+      '+  if (options.raw) return response;',
+      '   return response.data;',
+    ].join('\n'),
+  },
+  {
+    filename: 'src/client.js',
+    changeType: 'added',
+    additions: 1,
+    deletions: 0,
+    diff: '@@ -0,0 +1,1 @@\n+module.exports = { load: id => fetchUser(id) };',
+  },
+];
+
+describe('MergeRequestDigest.build', () => {
+  it('should list changed declarations and exports with the hunks of each file', () => {
+    const digest = MergeRequestDigest.build(FILES, 5000);
+
+    expect(digest).toContain('### src/api.js (modified, +2 -1)\nChanged declarations:\n' +
+      '- async function fetchUser(id) {\n+ async function fetchUser(id, options) {');
+    expect(digest).toContain('### src/client.js (added, +1 -0)\nChanged declarations:\n+ module.exports');
+    expect(digest).toContain('```diff\n@@ -1,4 +1,5 @@');
+  });
+
+  it('should keep only the outline when the hunks do not fit', () => {
+    const digest = MergeRequestDigest.build(FILES, 400);
+
+    expect(digest).toContain('### src/client.js');
+    expect(digest).not.toContain('```diff');
+    expect(digest.length).toBeLessThanOrEqual(400);
+  });
+});
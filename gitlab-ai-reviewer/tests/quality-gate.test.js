@@ -0,0 +1,46 @@
+/**
+ * Tests for the CI quality gate policy
+ */
+
+const QualityGate = require('../src/utils/quality-gate');
+
+const reviews = [
+  {
+    filename: 'src/auth.js',
+    issues: [
+      { type: 'SECURITY', severity: 'HIGH', description: 'Token logged' },
+      { type: 'BUG', severity: 'HIGH', description: 'Missing await' },
+    ],
+  },
+  { filename: 'src/util.js', issues: [{ type: 'STYLE', severity: 'LOW', description: 'Naming' }] },
+];
+
+describe('QualityGate', () => {
+  it('should have no rules by default', () => {
+    expect(QualityGate.hasRules({ failOnSeverity: null, maxHighIssues: null, failOnTypes: [] })).toBe(false);
+    expect(QualityGate.hasRules({ failOnSeverity: null, maxHighIssues: 0, failOnTypes: [] })).toBe(true);
+  });
+
+  it('should report every broken rule', () => {
+    const gate = QualityGate.evaluate(reviews, [], {
+      failOnSeverity: 'CRITICAL',
+      maxHighIssues: 1,
+      failOnTypes: ['SECURITY'],
+    });
+
+    expect(gate).toEqual({
+      passed: false,
+      failures: ['2 HIGH finding(s), more than the 1 allowed', '1 SECURITY finding(s)'],
+    });
+  });
+
+  it('should count cross-file findings by severity and category', () => {
+    const crossFile = [{ files: ['a.js', 'b.js'], category: 'MISSING_UPDATE', severity: 'CRITICAL', description: 'x' }];
+
+    const gate = QualityGate.evaluate([], crossFile, { failOnSeverity: 'HIGH', failOnTypes: ['MISSING_UPDATE'] });
+
+    expect(gate.failures).toEqual(['1 HIGH or higher finding(s)', '1 MISSING_UPDATE finding(s)']);
+    expect(QualityGate.describe(gate)).toBe(
+      'AI review failed the quality gate: 1 HIGH or higher finding(s), 1 MISSING_UPDATE finding(s)');
+  });
+});
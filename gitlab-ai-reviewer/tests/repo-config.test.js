@@ -0,0 +1,133 @@
+/**
+ * Tests for per-repository configuration
+ */
+
+jest.mock('../src/utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const RepoConfig = require('../src/config/repo-config');
+const config = require('../src/config/config');
+
+describe('RepoConfig', () => {
+  describe('parse', () => {
+    it('should merge a valid file over the global review settings', () => {
+      const { settings, errors } = RepoConfig.parse([
+        'skip_files:',
+        '  - "*.pb.go"',
+        '  - vendor/*',
+        'languages: [go]',
+        'checks:',
+        '  style: false',
+        'severity_threshold: medium',
+        'model: gpt-4o-mini',
+        'instructions: |',
+        '  Errors must always be wrapped with context.',
+      ].join('\n'));
+
+      expect(errors).toEqual([]);
+      expect(settings.skipFiles).toEqual(['*.pb.go', 'vendor/*']);
+      expect(settings.supportedLanguages).toEqual(['go']);
+      expect(settings.enableCodeStyleChecks).toBe(false);
+      expect(settings.enableSecurityChecks).toBe(config.review.enableSecurityChecks);
+      expect(settings.severityThreshold).toBe('MEDIUM');
+      expect(settings.model).toBe('gpt-4o-mini');
+      expect(settings.customInstructions).toBe('Errors must always be wrapped with context.');
+      expect(settings.maxDiffSize).toBe(config.review.maxDiffSize);
+    });
+
+    it('should treat an empty file as no overrides', () => {
+      const { settings, errors } = RepoConfig.parse('');
+
+      expect(errors).toEqual([]);
+      expect(settings.skipFiles).toEqual(config.review.skipFiles);
+      expect(settings.model).toBeNull();
+    });
+
+    it('should report YAML syntax errors with a line number', () => {
+      const { settings, errors } = RepoConfig.parse('languages: [go\nmodel: x');
+
+      expect(errors[0]).toMatch(/^YAML syntax error: .*\(line \d+\)/);
+      expect(settings.supportedLanguages).toEqual(config.review.supportedLanguages);
+    });
+
+    it('should collect every validation error and fall back to global settings', () => {
+      const { settings, errors } = RepoConfig.parse([
+        'languages: go',
+        'checks:',
+        '  security: yes please',
+        '  typos: true',
+        'severity_threshold: SEVERE',
+        'reviewers: [alice]',
+      ].join('\n'));
+
+      expect(errors).toEqual([
+        expect.stringContaining('Unknown setting `reviewers`'),
+        '`languages` must be a list of non-empty strings',
+        '`checks.security` must be true or false',
+        expect.stringContaining('Unknown check `typos`'),
+        expect.stringContaining('`severity_threshold` must be one of'),
+      ]);
+      expect(settings.supportedLanguages).toEqual(config.review.supportedLanguages);
+    });
+
+    it('should override quality gate rules and keep the global status settings', () => {
+      const { settings, errors } = RepoConfig.parse([
+        'quality_gate:',
+        '  fail_on_severity: high',
+        '  max_high_issues: 3',
+        '  fail_on_types: [security]',
+      ].join('\n'));
+
+      expect(errors).toEqual([]);
+      expect(settings.qualityGate).toEqual(expect.objectContaining({
+        failOnSeverity: 'HIGH',
+        maxHighIssues: 3,
+        failOnTypes: ['SECURITY'],
+        statusName: config.qualityGate.statusName,
+      }));
+    });
+
+    it('should reject invalid quality gate rules', () => {
+      const { errors } = RepoConfig.parse('quality_gate:\n  max_high_issues: -1\n  block: true');
+
+      expect(errors).toEqual([
+        expect.stringContaining('Unknown quality gate rule `block`'),
+        expect.stringContaining('`quality_gate.max_high_issues` must be a whole number'),
+      ]);
+    });
+  });
+
+  describe('load', () => {
+    it('should read the config file from the given ref', async () => {
+      const gitlabAPI = { getFileContent: jest.fn().mockResolvedValue('model: gpt-4o\n') };
+
+      const { settings } = await RepoConfig.load(gitlabAPI, 1, 'main');
+
+      expect(gitlabAPI.getFileContent).toHaveBeenCalledWith(1, '.ai-reviewer.yml', 'main');
+      expect(settings.model).toBe('gpt-4o');
+    });
+
+    it('should use global settings when the file cannot be fetched', async () => {
+      const gitlabAPI = { getFileContent: jest.fn().mockRejectedValue(new Error('500')) };
+
+      const { settings, errors } = await RepoConfig.load(gitlabAPI, 1, 'main');
+
+      expect(errors).toEqual([]);
+      expect(settings.skipFiles).toEqual(config.review.skipFiles);
+    });
+  });
+
+  describe('meetsThreshold', () => {
+    it('should compare severities by rank', () => {
+      expect(RepoConfig.meetsThreshold({ severity: 'HIGH' }, 'MEDIUM')).toBe(true);
+      expect(RepoConfig.meetsThreshold({ severity: 'LOW' }, 'MEDIUM')).toBe(false);
+      expect(RepoConfig.meetsThreshold({ severity: 'UNKNOWN' }, 'HIGH')).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * Tests for retries, circuit breaking and rate limiting
+ */
+
+jest.mock('../src/utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const config = require('../src/config/config');
+const Retry = require('../src/utils/retry');
+const CircuitBreaker = require('../src/utils/circuit-breaker');
+const RateLimiter = require('../src/utils/rate-limiter');
+const GitLabAPI = require('../src/services/gitlab-api');
+const { CircuitOpenError } = require('../src/utils/errors');
+
+const httpError = (status, headers = {}) => Object.assign(new Error(`HTTP ${status}`), {
+  response: { status, headers },
+});
+
+describe('Retry', () => {
+  const fastOptions = { baseDelay: 1, maxDelay: 5000 };
+
+  it('should retry transient failures and return the eventual result', async () => {
+    const fn = jest.fn()
+      .mockRejectedValueOnce(httpError(502))
+      .mockRejectedValueOnce(Object.assign(new Error('reset'), { code: 'ECONNRESET' }))
+      .mockResolvedValue('ok');
+
+    await expect(Retry.run(fn, { ...fastOptions, maxRetries: 3 })).resolves.toBe('ok');
+    expect(fn).toHaveBeenCalledTimes(3);
+  });
+
+  it('should not retry client errors or exceed maxRetries', async () => {
+    const badRequest = jest.fn().mockRejectedValue(httpError(400));
+    await expect(Retry.run(badRequest, fastOptions)).rejects.toThrow('HTTP 400');
+    expect(badRequest).toHaveBeenCalledTimes(1);
+
+    const unavailable = jest.fn().mockRejectedValue({ status: 503, message: 'down' });
+    await expect(Retry.run(unavailable, { ...fastOptions, maxRetries: 2 })).rejects.toEqual(
+      expect.objectContaining({ status: 503 }),
+    );
+    expect(unavailable).toHaveBeenCalledTimes(3);
+  });
+
+  it('should honour Retry-After and GitLab RateLimit-Reset headers', () => {
+    expect(Retry.getDelay(httpError(429, { 'Retry-After': '2' }), 1, fastOptions)).toBe(2000);
+
+    const resetAt = Math.ceil(Date.now() / 1000) + 1;
+    const headers = { 'ratelimit-remaining': '0', 'ratelimit-reset': String(resetAt) };
+    const delay = Retry.getDelay(httpError(429, headers), 1, fastOptions);
+    expect(delay).toBeGreaterThan(0);
+    expect(delay).toBeLessThanOrEqual(2000);
+
+    // Waiting longer than maxDelay fails instead of stalling the review
+    expect(Retry.getDelay(httpError(429, { 'retry-after': '3600' }), 1, fastOptions)).toBeNull();
+  });
+
+  it('should back off exponentially with jitter', () => {
+    const delay = Retry.getDelay(httpError(503), 3, { baseDelay: 100, maxDelay: 10000 });
+    expect(delay).toBeGreaterThanOrEqual(200);
+    expect(delay).toBeLessThanOrEqual(400);
+  });
+});
+
+describe('CircuitBreaker', () => {
+  it('should open after repeated outages and fail fast', async () => {
+    const breaker = new CircuitBreaker('test', { failureThreshold: 2, resetTimeout: 60000 });
+    const failing = jest.fn().mockRejectedValue(httpError(500));
+
+    await expect(breaker.exec(failing)).rejects.toThrow('HTTP 500');
+    await expect(breaker.exec(failing)).rejects.toThrow('HTTP 500');
+    await expect(breaker.exec(failing)).rejects.toBeInstanceOf(CircuitOpenError);
+    expect(failing).toHaveBeenCalledTimes(2);
+  });
+
+  it('should not count rate limits or client errors as outages', async () => {
+    const breaker = new CircuitBreaker('test', { failureThreshold: 1, resetTimeout: 60000 });
+
+    await expect(breaker.exec(() => Promise.reject(httpError(429)))).rejects.toThrow('HTTP 429');
+    await expect(breaker.exec(() => Promise.resolve('ok'))).resolves.toBe('ok');
+  });
+
+  it('should let one trial through after the reset timeout and close on success', async () => {
+    const breaker = new CircuitBreaker('test', { failureThreshold: 1, resetTimeout: 0 });
+
+    await expect(breaker.exec(() => Promise.reject(httpError(503)))).rejects.toThrow('HTTP 503');
+    expect(breaker.state).toBe('open');
+
+    await expect(breaker.exec(() => Promise.resolve('recovered'))).resolves.toBe('recovered');
+    expect(breaker.state).toBe('closed');
+  });
+
+  it('should stay half-open when the trial request is aborted', async () => {
+    const breaker = new CircuitBreaker('test', { failureThreshold: 1, resetTimeout: 0 });
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(breaker.exec(() => Promise.reject(httpError(503)))).rejects.toThrow('HTTP 503');
+    await expect(breaker.exec(() => Promise.reject(controller.signal.reason))).rejects.toThrow('aborted');
+    expect(breaker.state).toBe('half-open');
+
+    // The next request is the new trial, and an outage opens the circuit again
+    await expect(breaker.exec(() => Promise.reject(httpError(503)))).rejects.toThrow('HTTP 503');
+    expect(breaker.state).toBe('open');
+  });
+});
+
+describe('RateLimiter', () => {
+  it('should space requests to the configured rate', async () => {
+    const limiter = new RateLimiter(1200);
+    const startedAt = Date.now();
+
+    await limiter.acquire();
+    await limiter.acquire();
+    await limiter.acquire();
+
+    // Two 50ms gaps after the first request
+    expect(Date.now() - startedAt).toBeGreaterThanOrEqual(95);
+  });
+});
+
+describe('GitLabAPI retries', () => {
+  const originalRetry = { ...config.retry };
+
+  beforeEach(() => {
+    Object.assign(config.retry, { maxRetries: 2, baseDelay: 1 });
+  });
+
+  afterAll(() => {
+    Object.assign(config.retry, originalRetry);
+  });
+
+  const respond = (requestConfig, status, data = {}) => {
+    const response = { status, statusText: String(status), data, headers: {}, config: requestConfig };
+    if (status >= 400) {
+      return Promise.reject(Object.assign(new Error(`HTTP ${status}`), { config: requestConfig, response }));
+    }
+    return Promise.resolve(response);
+  };
+
+  it('should retry GET requests after a server error', async () => {
+    const api = new GitLabAPI();
+    const adapter = jest.fn()
+      .mockImplementationOnce(requestConfig => respond(requestConfig, 502))
+      .mockImplementation(requestConfig => respond(requestConfig, 200, { iid: 5 }));
+    api.client.defaults.adapter = adapter;
+
+    await expect(api.getMergeRequest(1, 5)).resolves.toEqual({ iid: 5 });
+    expect(adapter).toHaveBeenCalledTimes(2);
+  });
+
+  it('should not retry writes after a server error', async () => {
+    const api = new GitLabAPI();
+    const adapter = jest.fn().mockImplementation(requestConfig => respond(requestConfig, 502));
+    api.client.defaults.adapter = adapter;
+
+    await expect(api.postMergeRequestComment(1, 5, 'hello')).rejects.toThrow('HTTP 502');
+    expect(adapter).toHaveBeenCalledTimes(1);
+  });
+});
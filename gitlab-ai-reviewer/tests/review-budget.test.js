@@ -0,0 +1,113 @@
+/**
+ * Tests for usage pricing and review budgets
+ */
+
+jest.mock('../src/utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const config = require('../src/config/config');
+const Pricing = require('../src/utils/pricing');
+const ReviewBudget = require('../src/utils/review-budget');
+const { SpendStore, MemorySpendStore, RedisSpendStore } = require('../src/utils/spend-store');
+const { logger } = require('../src/utils/logger');
+
+const NO_LIMITS = {
+  reviewMaxTokens: 0,
+  reviewMaxCost: 0,
+  projectDailyMaxTokens: 0,
+  projectDailyMaxCost: 0,
+};
+
+describe('Pricing', () => {
+  it('should price usage with the first model found in the price table', () => {
+    const usage = Pricing.measure('azure', ['reviewer-deployment', 'gpt-4o'], {
+      prompt_tokens: 10000,
+      completion_tokens: 1000,
+      total_tokens: 11000,
+    });
+
+    expect(usage).toEqual({
+      promptTokens: 10000,
+      completionTokens: 1000,
+      totalTokens: 11000,
+      cost: 0.035,
+      unpriced: [],
+    });
+  });
+
+  it('should treat self-hosted models as free and flag unknown models', () => {
+    expect(Pricing.measure('ollama', ['qwen2.5-coder:7b'], { prompt_tokens: 500 }).cost).toBe(0);
+
+    const unknown = Pricing.measure('openrouter', ['acme/unknown-model'], { prompt_tokens: 500, completion_tokens: 20 });
+    expect(unknown).toEqual(expect.objectContaining({ totalTokens: 520, cost: 0, unpriced: ['acme/unknown-model'] }));
+    expect(Pricing.format(unknown)).toBe('520 tokens (500 in / 20 out), ~$0.0000 (no price for acme/unknown-model)');
+  });
+
+  it('should use prices configured for additional models', () => {
+    config.budget.prices['acme/custom'] = { input: 1, output: 2 };
+
+    expect(Pricing.measure('openrouter', ['acme/custom'], { prompt_tokens: 1e6, completion_tokens: 1e6 }).cost).toBe(3);
+
+    delete config.budget.prices['acme/custom'];
+  });
+});
+
+describe('ReviewBudget', () => {
+  const usage = { promptTokens: 800, completionTokens: 200, totalTokens: 1000, cost: 0.25, unpriced: [] };
+
+  it('should allow reviews while no limit is set', async () => {
+    const budget = new ReviewBudget('1', { limits: NO_LIMITS, store: new MemorySpendStore() });
+    await budget.record(usage);
+
+    expect(await budget.getExceededReason()).toBeNull();
+    expect(budget.usage.totalTokens).toBe(1000);
+  });
+
+  it('should stop a review at its cost limit', async () => {
+    const budget = new ReviewBudget('1', { limits: { ...NO_LIMITS, reviewMaxCost: 0.5 }, store: new MemorySpendStore() });
+
+    await budget.record(usage);
+    expect(await budget.getExceededReason()).toBeNull();
+
+    await budget.record(usage);
+    expect(await budget.getExceededReason()).toBe('Review budget of $0.50 used up');
+  });
+
+  it('should share the daily limit between reviews of the same project', async () => {
+    const store = new MemorySpendStore();
+    const limits = { ...NO_LIMITS, projectDailyMaxTokens: 1500 };
+
+    const first = new ReviewBudget('1', { limits, store });
+    await first.record(usage);
+    await first.record(usage);
+
+    const second = new ReviewBudget('1', { limits, store });
+    const otherProject = new ReviewBudget('2', { limits, store });
+
+    expect(await second.getExceededReason()).toBe('Daily token budget of 1,500 for this project used up');
+    expect(await otherProject.getExceededReason()).toBeNull();
+  });
+});
+
+describe('SpendStore', () => {
+  it('should keep daily totals in Redis when a URL is configured', () => {
+    const store = SpendStore.create({ ...NO_LIMITS, projectDailyMaxCost: 10, redisUrl: 'redis://localhost:6379' });
+
+    expect(store).toBeInstanceOf(RedisSpendStore);
+    expect(logger.warn).not.toHaveBeenCalled();
+  });
+
+  it('should warn that a daily budget only covers this process without Redis', () => {
+    expect(SpendStore.create({ ...NO_LIMITS, redisUrl: null })).toBeInstanceOf(MemorySpendStore);
+    expect(logger.warn).not.toHaveBeenCalled();
+
+    expect(SpendStore.create({ ...NO_LIMITS, projectDailyMaxCost: 10, redisUrl: null })).toBeInstanceOf(MemorySpendStore);
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('BUDGET_REDIS_URL'));
+  });
+});
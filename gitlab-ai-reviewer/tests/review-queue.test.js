@@ -0,0 +1,231 @@
+/**
+ * Tests for the review job queue
+ */
+
+jest.mock('../src/utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const ReviewQueue = require('../src/queue/review-queue');
+const MemoryQueueBackend = require('../src/queue/memory-backend');
+const { logger } = require('../src/utils/logger');
+
+// Resolve once every queued job has finished
+function waitForIdle(queue) {
+  return new Promise((resolve) => {
+    const check = () => {
+      if (queue.active === 0 && !queue.draining && queue.backend.size() === 0) {
+        resolve();
+      } else {
+        setTimeout(check, 5);
+      }
+    };
+    check();
+  });
+}
+
+// Resolve once the signal is aborted, including when it already was
+function untilAborted(signal) {
+  return new Promise((resolve) => {
+    if (signal.aborted) return resolve();
+    signal.addEventListener('abort', resolve);
+  });
+}
+
+describe('ReviewQueue', () => {
+  let queue;
+
+  afterEach(async () => {
+    await queue.stop();
+  });
+
+  it('should process queued jobs with the processor', async () => {
+    const processor = jest.fn().mockResolvedValue();
+    queue = new ReviewQueue(new MemoryQueueBackend(), processor);
+    queue.start();
+
+    const result = await queue.enqueue({ projectId: 1, mergeRequestIid: 2, headSha: 'abc' });
+    await waitForIdle(queue);
+
+    expect(result).toEqual({ queued: true, key: '1:2:abc' });
+    expect(processor).toHaveBeenCalledWith(expect.objectContaining({
+      projectId: 1,
+      mergeRequestIid: 2,
+      headSha: 'abc',
+    }), expect.any(AbortSignal));
+  });
+
+  it('should ignore duplicate jobs for the same head SHA', async () => {
+    const processor = jest.fn().mockResolvedValue();
+    queue = new ReviewQueue(new MemoryQueueBackend(), processor);
+    queue.start();
+
+    await queue.enqueue({ projectId: 1, mergeRequestIid: 2, headSha: 'abc' });
+    const duplicate = await queue.enqueue({ projectId: 1, mergeRequestIid: 2, headSha: 'abc' });
+    await queue.enqueue({ projectId: 1, mergeRequestIid: 2, headSha: 'def' });
+    await waitForIdle(queue);
+
+    expect(duplicate.queued).toBe(false);
+    expect(processor).toHaveBeenCalledTimes(2);
+  });
+
+  it('should not run more jobs than the configured concurrency', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    const processor = jest.fn(async () => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      running--;
+    });
+    queue = new ReviewQueue(new MemoryQueueBackend(), processor, { concurrency: 2 });
+    queue.start();
+
+    for (let i = 0; i < 5; i++) {
+      await queue.enqueue({ projectId: 1, mergeRequestIid: i, headSha: 'abc' });
+    }
+    await waitForIdle(queue);
+
+    expect(processor).toHaveBeenCalledTimes(5);
+    expect(maxRunning).toBe(2);
+  });
+
+  it('should keep processing after a job fails', async () => {
+    const processor = jest.fn()
+      .mockRejectedValueOnce(new Error('boom'))
+      .mockResolvedValue();
+    queue = new ReviewQueue(new MemoryQueueBackend(), processor, { concurrency: 1 });
+    queue.start();
+
+    await queue.enqueue({ projectId: 1, mergeRequestIid: 1, headSha: 'a' });
+    await queue.enqueue({ projectId: 1, mergeRequestIid: 2, headSha: 'b' });
+    await waitForIdle(queue);
+
+    expect(processor).toHaveBeenCalledTimes(2);
+  });
+
+  it('should cancel a running review when a newer head SHA is queued', async () => {
+    const signals = [];
+    const processor = jest.fn((job, signal) => {
+      signals.push(signal);
+      return job.headSha === 'new' ? Promise.resolve() : untilAborted(signal);
+    });
+    queue = new ReviewQueue(new MemoryQueueBackend(), processor, { concurrency: 2 });
+    queue.start();
+
+    await queue.enqueue({ projectId: 1, mergeRequestIid: 2, headSha: 'old' });
+    await queue.enqueue({ projectId: 1, mergeRequestIid: 2, headSha: 'new' });
+    await waitForIdle(queue);
+
+    expect(signals[0].aborted).toBe(true);
+    expect(signals[1].aborted).toBe(false);
+  });
+
+  it('should skip queued jobs superseded by a newer push', async () => {
+    let releaseBlocker;
+    const processor = jest.fn((job) => {
+      if (job.mergeRequestIid === 99) {
+        return new Promise((resolve) => { releaseBlocker = resolve; });
+      }
+      return Promise.resolve();
+    });
+    queue = new ReviewQueue(new MemoryQueueBackend(), processor, { concurrency: 1 });
+    queue.start();
+
+    await queue.enqueue({ projectId: 1, mergeRequestIid: 99, headSha: 'x' });
+    await queue.enqueue({ projectId: 1, mergeRequestIid: 2, headSha: 'old' });
+    await queue.enqueue({ projectId: 1, mergeRequestIid: 2, headSha: 'new' });
+    releaseBlocker();
+    await waitForIdle(queue);
+
+    const reviewedShas = processor.mock.calls.map(([job]) => job.headSha);
+    expect(reviewedShas).toEqual(['x', 'new']);
+  });
+
+  it('should accept a head SHA again once its review has finished', async () => {
+    const processor = jest.fn().mockResolvedValue();
+    queue = new ReviewQueue(new MemoryQueueBackend(), processor);
+    queue.start();
+
+    await queue.enqueue({ projectId: 1, mergeRequestIid: 2, headSha: 'a' });
+    await waitForIdle(queue);
+    await queue.enqueue({ projectId: 1, mergeRequestIid: 2, headSha: 'b' });
+    await waitForIdle(queue);
+    const again = await queue.enqueue({ projectId: 1, mergeRequestIid: 2, headSha: 'a' });
+    await waitForIdle(queue);
+
+    expect(again.queued).toBe(true);
+    expect(processor.mock.calls.map(([job]) => job.headSha)).toEqual(['a', 'b', 'a']);
+  });
+
+  it('should cancel a review running on another instance when a newer push is queued', async () => {
+    const backend = new MemoryQueueBackend();
+    const signals = [];
+    const processor = jest.fn((job, signal) => {
+      signals.push(signal);
+      if (job.headSha === 'new') return Promise.resolve();
+      return untilAborted(signal);
+    });
+    queue = new ReviewQueue(backend, processor, { pollInterval: 5 });
+    const otherInstance = new ReviewQueue(backend, jest.fn());
+    queue.start();
+
+    await queue.enqueue({ projectId: 1, mergeRequestIid: 2, headSha: 'old' });
+    await otherInstance.enqueue({ projectId: 1, mergeRequestIid: 2, headSha: 'new' });
+    await new Promise(resolve => setTimeout(resolve, 20));
+    await waitForIdle(queue);
+
+    expect(signals[0].aborted).toBe(true);
+    expect(processor.mock.calls.map(([job]) => job.headSha)).toEqual(['old', 'new']);
+  });
+
+  it('should let running jobs finish before stop resolves', async () => {
+    let finished = false;
+    let started;
+    const running = new Promise((resolve) => { started = resolve; });
+    const processor = jest.fn(async () => {
+      started();
+      await new Promise(resolve => setTimeout(resolve, 20));
+      finished = true;
+    });
+    queue = new ReviewQueue(new MemoryQueueBackend(), processor, { concurrency: 1 });
+    queue.start();
+
+    await queue.enqueue({ projectId: 1, mergeRequestIid: 1, headSha: 'a' });
+    await queue.enqueue({ projectId: 1, mergeRequestIid: 2, headSha: 'b' });
+    await running;
+    await queue.stop();
+
+    expect(finished).toBe(true);
+    expect(processor).toHaveBeenCalledTimes(1);
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('Dropping 1 queued review job(s)'));
+  });
+
+  it('should cancel jobs still running after the shutdown timeout', async () => {
+    let started;
+    const running = new Promise((resolve) => { started = resolve; });
+    const processor = jest.fn((job, signal) => {
+      started(signal);
+      return untilAborted(signal);
+    });
+    queue = new ReviewQueue(new MemoryQueueBackend(), processor, { shutdownTimeout: 10 });
+    queue.start();
+
+    await queue.enqueue({ projectId: 1, mergeRequestIid: 1, headSha: 'a' });
+    const signal = await running;
+    await queue.stop();
+
+    expect(signal.aborted).toBe(true);
+  });
+
+  it('should reject unknown backends', () => {
+    queue = new ReviewQueue(new MemoryQueueBackend(), jest.fn());
+    expect(() => ReviewQueue.create(jest.fn(), { backend: 'kafka' }))
+      .toThrow('Unsupported queue backend: kafka');
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * Tests for the Code Quality and SARIF reports
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ReviewReport = require('../src/utils/review-report');
+
+const reviews = [
+  {
+    filename: 'src/auth.js',
+    issues: [
+      { type: 'SECURITY', severity: 'CRITICAL', line: 12, description: 'Token logged', suggestion: 'Remove the log' },
+      { type: 'Best Practice', severity: 'low', line: null, description: 'Prefer const' },
+    ],
+  },
+  { filename: 'src/util.js', issues: [] },
+];
+
+const crossFile = [
+  { files: ['src/api.js', 'src/client.js'], category: 'MISSING_UPDATE', severity: 'HIGH', description: 'Caller not updated' },
+];
+
+describe('ReviewReport', () => {
+  const findings = ReviewReport.collectFindings(reviews, crossFile);
+
+  it('should build CodeClimate issues with fingerprints, paths and lines', () => {
+    const report = ReviewReport.toCodeQuality(findings);
+
+    expect(report).toHaveLength(3);
+    expect(report[0]).toEqual({
+      type: 'issue',
+      check_name: 'ai-review/SECURITY',
+      description: 'Token logged',
+      categories: ['Security'],
+      severity: 'critical',
+      fingerprint: expect.stringMatching(/^[0-9a-f]{32}$/),
+      location: { path: 'src/auth.js', lines: { begin: 12, end: 12 } },
+      content: { body: 'Remove the log' },
+    });
+    expect(report[1]).toEqual(expect.objectContaining({ check_name: 'ai-review/BEST_PRACTICE', severity: 'info' }));
+    expect(report[2].location.path).toBe('src/api.js');
+    expect(report[2].description).toBe('Caller not updated (files: src/api.js, src/client.js)');
+  });
+
+  it('should keep fingerprints unique and stable when lines move', () => {
+    const moved = ReviewReport.collectFindings([{
+      filename: 'src/auth.js',
+      issues: [{ ...reviews[0].issues[0], line: 40 }, { ...reviews[0].issues[0], line: 80 }],
+    }]);
+
+    expect(moved[0].fingerprint).toBe(findings[0].fingerprint);
+    expect(moved[1].fingerprint).not.toBe(moved[0].fingerprint);
+  });
+
+  it('should build a SARIF 2.1.0 log with rules and regions', () => {
+    const sarif = ReviewReport.toSarif(findings);
+    const run = sarif.runs[0];
+
+    expect(sarif.version).toBe('2.1.0');
+    expect(run.tool.driver.rules.map(rule => rule.id)).toEqual(['SECURITY', 'BEST_PRACTICE', 'MISSING_UPDATE']);
+    expect(run.results[0]).toEqual(expect.objectContaining({
+      ruleId: 'SECURITY',
+      ruleIndex: 0,
+      level: 'error',
+      message: { text: 'Token logged\n\nSuggestion: Remove the log' },
+      locations: [{ physicalLocation: { artifactLocation: { uri: 'src/auth.js' }, region: { startLine: 12 } } }],
+    }));
+    expect(run.results[1].locations[0].physicalLocation.region).toBeUndefined();
+  });
+
+  it('should only write the reports that have a path', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-review-'));
+    const codeQuality = path.join(dir, 'reports', 'gl-code-quality-report.json');
+
+    try {
+      expect(ReviewReport.write(findings, { codeQuality, sarif: '' })).toEqual([codeQuality]);
+      expect(JSON.parse(fs.readFileSync(codeQuality, 'utf-8'))).toHaveLength(3);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * Tests for ordering and running file reviews in parallel
+ */
+
+const ReviewScheduler = require('../src/utils/review-scheduler');
+
+describe('ReviewScheduler.prioritize', () => {
+  it('should put sensitive and large files first and tests last', () => {
+    const files = [
+      { filename: 'tests/auth.test.js', changeType: 'modified', additions: 40, deletions: 0 },
+      { filename: 'src/utils/format.js', changeType: 'modified', additions: 5, deletions: 1 },
+      { filename: 'src/auth/session.js', changeType: 'modified', additions: 3, deletions: 0 },
+      { filename: 'src/report.js', changeType: 'added', additions: 200, deletions: 0 },
+    ];
+
+    expect(ReviewScheduler.prioritize(files).map(file => file.filename)).toEqual([
+      'src/auth/session.js',
+      'tests/auth.test.js',
+      'src/report.js',
+      'src/utils/format.js',
+    ]);
+  });
+});
+
+describe('ReviewScheduler.map', () => {
+  const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  it('should keep item order and never exceed the concurrency', async () => {
+    let running = 0;
+    let maxRunning = 0;
+
+    const results = await ReviewScheduler.map([30, 10, 20, 5], 2, async (ms, index) => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await wait(ms);
+      running--;
+      return index;
+    });
+
+    expect(results).toEqual([0, 1, 2, 3]);
+    expect(maxRunning).toBe(2);
+  });
+
+  it('should stop starting items after an error and rethrow it', async () => {
+    const worker = jest.fn(async item => {
+      await wait(item === 'a' ? 20 : 5);
+      if (item === 'b') throw new Error('cancelled');
+      return item;
+    });
+
+    await expect(ReviewScheduler.map(['a', 'b', 'c', 'd'], 2, worker)).rejects.toThrow('cancelled');
+    expect(worker).toHaveBeenCalledTimes(2);
+  });
+});
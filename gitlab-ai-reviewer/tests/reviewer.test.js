@@ -2,10 +2,6 @@
  * Tests for GitLab AI Reviewer
  */
 
-const GitLabReviewer = require('../src/reviewer');
-const GitLabAPI = require('../src/services/gitlab-api');
-const AIService = require('../src/services/ai-service');
-
 // Mock the dependencies
 jest.mock('../src/services/gitlab-api');
 jest.mock('../src/services/ai-service');
@@ -18,6 +14,13 @@ jest.mock('../src/utils/logger', () => ({
   },
 }));
 
+const GitLabReviewer = require('../src/reviewer');
+const GitLabAPI = require('../src/services/gitlab-api');
+const AIService = require('../src/services/ai-service');
+const FindingMarker = require('../src/utils/finding-marker');
+const ReviewState = require('../src/utils/review-state');
+const config = require('../src/config/config');
+
 describe('GitLabReviewer', () => {
   let reviewer;
   let mockGitLabAPI;
@@ -34,11 +37,18 @@ describe('GitLabReviewer', () => {
       getMergeRequestCommits: jest.fn(),
       postMergeRequestComment: jest.fn(),
       findExistingBotComment: jest.fn(),
+      findReviewStateComment: jest.fn(),
       updateMergeRequestComment: jest.fn(),
+      getMergeRequestDiscussions: jest.fn().mockResolvedValue([]),
+      createMergeRequestDiscussion: jest.fn(),
+      compareCommits: jest.fn(),
+      getFileContent: jest.fn().mockResolvedValue(null),
+      setCommitStatus: jest.fn(),
     };
     
     mockAIService = {
       reviewCode: jest.fn(),
+      reviewCrossFile: jest.fn(),
       generateSummaryComment: jest.fn(),
     };
 
@@ -95,7 +105,7 @@ describe('GitLabReviewer', () => {
       mockGitLabAPI.getMergeRequest.mockResolvedValue(mockMergeRequest);
       mockGitLabAPI.getMergeRequestChanges.mockResolvedValue(mockChanges);
       mockGitLabAPI.getMergeRequestCommits.mockResolvedValue(mockCommits);
-      mockGitLabAPI.findExistingBotComment.mockResolvedValue(null);
+      mockGitLabAPI.findReviewStateComment.mockResolvedValue(null);
       mockGitLabAPI.postMergeRequestComment.mockResolvedValue({ id: 789 });
       mockAIService.reviewCode.mockResolvedValue(mockReview);
 
@@ -179,7 +189,7 @@ describe('GitLabReviewer', () => {
       mockGitLabAPI.getMergeRequest.mockResolvedValue(mockMergeRequest);
       mockGitLabAPI.getMergeRequestChanges.mockResolvedValue(mockChanges);
       mockGitLabAPI.getMergeRequestCommits.mockResolvedValue([]);
-      mockGitLabAPI.findExistingBotComment.mockResolvedValue(mockExistingComment);
+      mockGitLabAPI.findReviewStateComment.mockResolvedValue(mockExistingComment);
       mockGitLabAPI.updateMergeRequestComment.mockResolvedValue({ id: 999 });
       mockAIService.reviewCode.mockResolvedValue(mockReview);
 
@@ -193,6 +203,74 @@ describe('GitLabReviewer', () => {
       );
     });
 
+    it('should apply the repository config and report invalid files', async () => {
+      const mockChanges = {
+        changes: [
+          {
+            new_path: 'src/test.js',
+            diff: '@@ -1,3 +1,4 @@\n function test() {\n+  return true;\n }',
+          },
+        ],
+      };
+
+      mockGitLabAPI.getMergeRequest.mockResolvedValue({
+        title: 'Test MR',
+        author: { name: 'Test User' },
+        target_branch: 'develop',
+      });
+      mockGitLabAPI.getMergeRequestChanges.mockResolvedValue(mockChanges);
+      mockGitLabAPI.getMergeRequestCommits.mockResolvedValue([]);
+      mockGitLabAPI.findReviewStateComment.mockResolvedValue(null);
+      mockGitLabAPI.getFileContent.mockResolvedValue('severity_threshold: SEVERE\n');
+      mockAIService.reviewCode.mockResolvedValue({ summary: 'Clean', issues: [] });
+
+      await reviewer.reviewMergeRequest(projectId, mergeRequestIid);
+
+      expect(mockGitLabAPI.getFileContent).toHaveBeenCalledWith(projectId, '.ai-reviewer.yml', 'develop');
+      expect(mockGitLabAPI.postMergeRequestComment).toHaveBeenCalledWith(
+        projectId,
+        mergeRequestIid,
+        expect.stringContaining('`severity_threshold` must be one of'),
+      );
+      // The review still runs with the global settings
+      expect(mockAIService.reviewCode).toHaveBeenCalled();
+    });
+
+    it('should drop issues below the repository severity threshold', async () => {
+      mockGitLabAPI.getMergeRequest.mockResolvedValue({
+        title: 'Test MR',
+        author: { name: 'Test User' },
+        target_branch: 'main',
+      });
+      mockGitLabAPI.getMergeRequestChanges.mockResolvedValue({
+        changes: [global.testUtils.createMockFileChange()],
+      });
+      mockGitLabAPI.getMergeRequestCommits.mockResolvedValue([]);
+      mockGitLabAPI.findReviewStateComment.mockResolvedValue(null);
+      mockGitLabAPI.getFileContent.mockResolvedValue('severity_threshold: high\nmodel: gpt-4o\n');
+      mockAIService.reviewCode.mockResolvedValue({
+        summary: 'Two issues',
+        issues: [
+          global.testUtils.createMockIssue({ severity: 'LOW', description: 'Minor nit' }),
+          global.testUtils.createMockIssue({ severity: 'CRITICAL', description: 'Major problem' }),
+        ],
+      });
+
+      await reviewer.reviewMergeRequest(projectId, mergeRequestIid);
+
+      expect(mockAIService.reviewCode).toHaveBeenCalledWith(
+        'src/test.js',
+        'javascript',
+        expect.any(String),
+        expect.objectContaining({
+          reviewConfig: expect.objectContaining({ severityThreshold: 'HIGH', model: 'gpt-4o' }),
+        }),
+      );
+      const body = mockGitLabAPI.postMergeRequestComment.mock.calls[0][2];
+      expect(body).toContain('Major problem');
+      expect(body).not.toContain('Minor nit');
+    });
+
     it('should handle AI service errors gracefully', async () => {
       const mockMergeRequest = {
         title: 'Test MR',
@@ -212,7 +290,7 @@ describe('GitLabReviewer', () => {
       mockGitLabAPI.getMergeRequest.mockResolvedValue(mockMergeRequest);
       mockGitLabAPI.getMergeRequestChanges.mockResolvedValue(mockChanges);
       mockGitLabAPI.getMergeRequestCommits.mockResolvedValue([]);
-      mockGitLabAPI.findExistingBotComment.mockResolvedValue(null);
+      mockGitLabAPI.findReviewStateComment.mockResolvedValue(null);
       mockGitLabAPI.postMergeRequestComment.mockResolvedValue({ id: 789 });
       mockAIService.reviewCode.mockRejectedValue(new Error('AI service unavailable'));
 
@@ -225,6 +303,589 @@ describe('GitLabReviewer', () => {
         expect.stringContaining('Error during review')
       );
     });
+
+    it('should refresh the failure note instead of touching the summary note', async () => {
+      mockGitLabAPI.getMergeRequest.mockRejectedValue(new Error('GitLab is down'));
+      mockGitLabAPI.findExistingBotComment.mockResolvedValue({ id: 321, body: '## ❌ AI Code Review Failed' });
+
+      await expect(reviewer.reviewMergeRequest(projectId, mergeRequestIid)).rejects.toThrow('GitLab is down');
+
+      expect(mockGitLabAPI.findExistingBotComment).toHaveBeenCalledWith(
+        projectId,
+        mergeRequestIid,
+        '❌ AI Code Review Failed',
+      );
+      expect(mockGitLabAPI.updateMergeRequestComment).toHaveBeenCalledWith(
+        projectId,
+        mergeRequestIid,
+        321,
+        expect.stringContaining('GitLab is down'),
+      );
+      expect(mockGitLabAPI.postMergeRequestComment).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('superseded reviews', () => {
+    const projectId = '123';
+    const mergeRequestIid = '456';
+    const mockMergeRequest = {
+      title: 'Test MR',
+      author: { name: 'Test User' },
+      sha: 'sha1',
+    };
+
+    beforeEach(() => {
+      mockGitLabAPI.getMergeRequestChanges.mockResolvedValue({
+        changes: [global.testUtils.createMockFileChange()],
+      });
+      mockGitLabAPI.getMergeRequestCommits.mockResolvedValue([]);
+      mockGitLabAPI.findReviewStateComment.mockResolvedValue(null);
+      mockAIService.reviewCode.mockResolvedValue({ summary: 'Clean', issues: [] });
+    });
+
+    it('should not post results when the MR head moved during the review', async () => {
+      mockGitLabAPI.getMergeRequest
+        .mockResolvedValueOnce(mockMergeRequest)
+        .mockResolvedValueOnce({ ...mockMergeRequest, sha: 'sha2' });
+
+      await reviewer.reviewMergeRequest(projectId, mergeRequestIid);
+
+      expect(mockAIService.reviewCode).toHaveBeenCalled();
+      expect(mockGitLabAPI.postMergeRequestComment).not.toHaveBeenCalled();
+    });
+
+    it('should stop without an error comment when the review is cancelled', async () => {
+      const controller = new AbortController();
+      mockGitLabAPI.getMergeRequest.mockResolvedValue(mockMergeRequest);
+      mockAIService.reviewCode.mockImplementation(() => {
+        controller.abort();
+        return Promise.reject(new Error('Request was aborted.'));
+      });
+
+      await reviewer.reviewMergeRequest(projectId, mergeRequestIid, { signal: controller.signal });
+
+      expect(mockAIService.reviewCode).toHaveBeenCalledWith(
+        'src/test.js',
+        'javascript',
+        expect.any(String),
+        expect.objectContaining({ signal: controller.signal }),
+      );
+      expect(mockGitLabAPI.postMergeRequestComment).not.toHaveBeenCalled();
+    });
+
+    it('should skip the review when the expected head is no longer current', async () => {
+      mockGitLabAPI.getMergeRequest.mockResolvedValue({ ...mockMergeRequest, sha: 'sha2' });
+
+      await reviewer.reviewMergeRequest(projectId, mergeRequestIid, { expectedHeadSha: 'sha1' });
+
+      expect(mockAIService.reviewCode).not.toHaveBeenCalled();
+      expect(mockGitLabAPI.postMergeRequestComment).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('budgets', () => {
+    const originalBudget = { ...config.budget };
+
+    beforeEach(() => {
+      mockGitLabAPI.getMergeRequest.mockResolvedValue({ title: 'Test MR', author: { name: 'Test User' }, sha: 'sha1' });
+      mockGitLabAPI.getMergeRequestChanges.mockResolvedValue({
+        changes: [
+          global.testUtils.createMockFileChange(),
+          global.testUtils.createMockFileChange({ old_path: 'src/other.js', new_path: 'src/other.js' }),
+        ],
+      });
+      mockGitLabAPI.getMergeRequestCommits.mockResolvedValue([]);
+      mockGitLabAPI.findReviewStateComment.mockResolvedValue(null);
+      mockAIService.reviewCode.mockResolvedValue({
+        summary: 'Clean',
+        issues: [],
+        usage: { promptTokens: 1000, completionTokens: 200, totalTokens: 1200, cost: 0.0045, unpriced: [] },
+      });
+    });
+
+    afterEach(() => {
+      Object.assign(config.budget, originalBudget);
+      config.review.fileConcurrency = 0;
+    });
+
+    it('should skip the remaining files once the review budget is used up', async () => {
+      config.budget.reviewMaxTokens = 1000;
+      config.review.fileConcurrency = 1;
+
+      await reviewer.reviewMergeRequest('123', '456');
+
+      expect(mockAIService.reviewCode).toHaveBeenCalledTimes(1);
+      const comment = mockGitLabAPI.postMergeRequestComment.mock.calls[0][2];
+      expect(comment).toContain('### ⏭️ src/other.js');
+      expect(comment).toContain('*Skipped: Review token budget of 1,000 used up');
+      expect(comment).toContain('*AI usage: 1,200 tokens (1,000 in / 200 out), ~$0.0045*');
+    });
+  });
+
+  describe('reviewFile', () => {
+    const largeDiff = [
+      '@@ -1,1 +1,301 @@',
+      ' start',
+      ...Array.from({ length: 300 }, (_, index) => `+  const value${index} = compute(${index});`),
+    ].join('\n');
+
+    it('should review large diffs in chunks and merge their findings', async () => {
+      const duplicate = { type: 'BUG', severity: 'HIGH', line: 150, description: 'Unchecked result' };
+      mockAIService.reviewCode.mockImplementation((filename, language, diff, context) => Promise.resolve({
+        summary: `Part ${context.chunk.part}`,
+        issues: context.chunk.part === 1
+          ? [duplicate]
+          : [{ ...duplicate, description: 'Result is not checked' }, { type: 'STYLE', severity: 'LOW', line: 290, description: 'Naming' }],
+        usage: { promptTokens: 100, completionTokens: 10, totalTokens: 110, cost: 0.001, unpriced: [] },
+      }));
+
+      const review = await reviewer.reviewFile(
+        { filename: 'src/big.js', language: 'javascript', diff: largeDiff },
+        { reviewConfig: { maxDiffSize: 6000 } },
+      );
+
+      const calls = mockAIService.reviewCode.mock.calls;
+      expect(calls.length).toBeGreaterThan(1);
+      expect(calls[1][3].chunk).toEqual(expect.objectContaining({ part: 2, total: calls.length, context: expect.any(String) }));
+
+      expect(review.issues.map(issue => issue.line)).toEqual(expect.arrayContaining([150, 290]));
+      expect(review.issues.filter(issue => issue.line === 150)).toHaveLength(1);
+      expect(review.usage.totalTokens).toBe(110 * calls.length);
+    });
+  });
+
+  describe('file context', () => {
+    it('should send the code around the change, read at the MR head', async () => {
+      mockGitLabAPI.getFileContent.mockResolvedValue('function test() {\n  console.log("test");\n  return true;\n}\n');
+      mockAIService.reviewCode.mockResolvedValue({ summary: 'Clean', issues: [] });
+
+      await reviewer.reviewFile(
+        { filename: 'src/test.js', language: 'javascript', diff: global.testUtils.createMockFileChange().diff },
+        { projectId: '123', headSha: 'head-sha', baseSha: 'base-sha', reviewConfig: { maxDiffSize: 10000 } },
+      );
+
+      expect(mockGitLabAPI.getFileContent).toHaveBeenCalledWith('123', 'src/test.js', 'head-sha');
+      expect(mockAIService.reviewCode.mock.calls[0][3].fileContext).toEqual({
+        after: '1: function test() {\n2:   console.log("test");\n3:   return true;\n4: }',
+        before: null,
+      });
+    });
+  });
+
+  describe('parallel file reviews', () => {
+    it('should review risky files first but list files in diff order', async () => {
+      mockGitLabAPI.getMergeRequest.mockResolvedValue({ title: 'Test MR', author: { name: 'Test User' }, sha: 'sha1' });
+      mockGitLabAPI.getMergeRequestChanges.mockResolvedValue({
+        changes: [
+          global.testUtils.createMockFileChange({ old_path: 'src/format.js', new_path: 'src/format.js' }),
+          global.testUtils.createMockFileChange({ old_path: 'src/auth.js', new_path: 'src/auth.js' }),
+        ],
+      });
+      mockGitLabAPI.getMergeRequestCommits.mockResolvedValue([]);
+      mockGitLabAPI.findReviewStateComment.mockResolvedValue(null);
+      mockAIService.reviewCode.mockResolvedValue({ summary: 'Clean', issues: [] });
+
+      await reviewer.reviewMergeRequest('123', '456');
+
+      expect(mockAIService.reviewCode.mock.calls.map(call => call[0])).toEqual(['src/auth.js', 'src/format.js']);
+      const comment = mockGitLabAPI.postMergeRequestComment.mock.calls[0][2];
+      expect(comment.indexOf('### ✅ src/format.js')).toBeLessThan(comment.indexOf('### ✅ src/auth.js'));
+    });
+  });
+
+  describe('cross-file review', () => {
+    beforeEach(() => {
+      mockGitLabAPI.getMergeRequest.mockResolvedValue({ title: 'Test MR', author: { name: 'Test User' }, sha: 'sha1' });
+      mockGitLabAPI.getMergeRequestChanges.mockResolvedValue({
+        changes: [
+          global.testUtils.createMockFileChange({ old_path: 'src/api.js', new_path: 'src/api.js' }),
+          global.testUtils.createMockFileChange({ old_path: 'src/client.js', new_path: 'src/client.js' }),
+        ],
+      });
+      mockGitLabAPI.getMergeRequestCommits.mockResolvedValue([]);
+      mockGitLabAPI.findReviewStateComment.mockResolvedValue(null);
+      mockAIService.reviewCode.mockResolvedValue({ summary: 'Clean', issues: [] });
+    });
+
+    it('should report findings spanning files in their own section', async () => {
+      mockAIService.reviewCrossFile.mockResolvedValue({
+        summary: 'The client was not updated',
+        issues: [{
+          files: ['src/api.js', 'src/client.js'],
+          category: 'INCONSISTENCY',
+          severity: 'HIGH',
+          description: 'test() now returns a promise',
+          suggestion: 'Await it in client.js',
+        }],
+      });
+
+      await reviewer.reviewMergeRequest('123', '456');
+
+      const [digest, filenames, context] = mockAIService.reviewCrossFile.mock.calls[0];
+      expect(digest).toContain('### src/api.js (modified, +1 -0)');
+      expect(filenames).toEqual(['src/api.js', 'src/client.js']);
+      expect(context.title).toBe('Test MR');
+
+      const comment = mockGitLabAPI.postMergeRequestComment.mock.calls[0][2];
+      expect(comment).toContain('- **Cross-file Issues:** 🔗 1');
+      expect(comment).toContain('## 🔗 Cross-file Findings');
+      expect(comment).toContain('⚠️ **HIGH · INCONSISTENCY**\n*Files:* `src/api.js`, `src/client.js`');
+    });
+
+    it('should still post the file reviews when the cross-file review fails', async () => {
+      mockAIService.reviewCrossFile.mockRejectedValue(new Error('Could not parse the cross-file review'));
+
+      await reviewer.reviewMergeRequest('123', '456');
+
+      const comment = mockGitLabAPI.postMergeRequestComment.mock.calls[0][2];
+      expect(comment).toContain('### ✅ src/client.js');
+      expect(comment).not.toContain('Cross-file Findings');
+    });
+  });
+
+  describe('quality gate', () => {
+    const originalGate = { ...config.qualityGate };
+    const highIssue = { type: 'BUG', severity: 'HIGH', line: 2, description: 'Missing await' };
+
+    beforeEach(() => {
+      config.qualityGate.failOnSeverity = 'HIGH';
+      mockGitLabAPI.getMergeRequest.mockResolvedValue({
+        title: 'Test MR',
+        author: { name: 'Test User' },
+        sha: 'sha1',
+        web_url: 'https://gitlab.example.com/group/app/-/merge_requests/456',
+      });
+      mockGitLabAPI.getMergeRequestChanges.mockResolvedValue({ changes: [global.testUtils.createMockFileChange()] });
+      mockGitLabAPI.getMergeRequestCommits.mockResolvedValue([]);
+      mockGitLabAPI.findReviewStateComment.mockResolvedValue(null);
+    });
+
+    afterEach(() => {
+      Object.assign(config.qualityGate, originalGate);
+    });
+
+    it('should fail the gate and publish a failed commit status on the head', async () => {
+      mockAIService.reviewCode.mockResolvedValue({ summary: 'Issues', issues: [highIssue] });
+
+      const result = await reviewer.reviewMergeRequest('123', '456');
+
+      expect(result.gate).toEqual({ passed: false, failures: ['1 HIGH or higher finding(s)'] });
+      expect(mockGitLabAPI.setCommitStatus).toHaveBeenCalledWith('123', 'sha1', expect.objectContaining({
+        state: 'failed',
+        name: 'ai-code-review',
+        targetUrl: 'https://gitlab.example.com/group/app/-/merge_requests/456',
+      }));
+      const comment = mockGitLabAPI.postMergeRequestComment.mock.calls[0][2];
+      expect(comment).toContain('🚦 **Quality gate:** ❌ failed: 1 HIGH or higher finding(s)');
+    });
+
+    it('should judge the stored findings again when the head was already reviewed', async () => {
+      mockGitLabAPI.findReviewStateComment.mockResolvedValue({
+        id: 999,
+        body: `## 🤖 AI Code Review\n${ReviewState.build(ReviewState.fromReviews('sha1', [
+          { filename: 'src/test.js', issues: [{ ...highIssue, findingId: 'bbbb222222' }] },
+        ]))}`,
+      });
+
+      const result = await reviewer.reviewMergeRequest('123', '456');
+
+      expect(mockAIService.reviewCode).not.toHaveBeenCalled();
+      expect(result.gate.passed).toBe(false);
+      expect(mockGitLabAPI.setCommitStatus).not.toHaveBeenCalled();
+    });
+
+    it('should return the comment of a dry run without posting anything', async () => {
+      mockAIService.reviewCode.mockResolvedValue({ summary: 'Issues', issues: [{ ...highIssue, line: 1 }] });
+
+      const result = await reviewer.reviewMergeRequest('123', '456', { dryRun: true });
+
+      expect(result.comment).toContain('Missing await');
+      expect(result.comment).toContain('❌ failed: 1 HIGH or higher finding(s)');
+      expect(mockGitLabAPI.postMergeRequestComment).not.toHaveBeenCalled();
+      expect(mockGitLabAPI.createMergeRequestDiscussion).not.toHaveBeenCalled();
+      expect(mockGitLabAPI.setCommitStatus).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('incremental review', () => {
+    const projectId = '123';
+    const mergeRequestIid = '456';
+    const mockMergeRequest = {
+      title: 'Test MR',
+      author: { name: 'Test User' },
+      description: 'Test description',
+      sha: 'newsha',
+    };
+    const mockChanges = {
+      changes: [
+        {
+          new_path: 'src/a.js',
+          old_path: 'src/a.js',
+          diff: '@@ -1,2 +1,3 @@\n const a = 1;\n+const b = 2;\n module.exports = a;',
+        },
+        {
+          new_path: 'src/b.js',
+          old_path: 'src/b.js',
+          diff: '@@ -1,2 +1,3 @@\n const x = 1;\n+const y = 2;\n module.exports = x;',
+        },
+      ],
+    };
+    const previousIssue = global.testUtils.createMockIssue({
+      findingId: 'aaaa111111',
+      line: 2,
+      description: 'Old finding in b.js',
+    });
+
+    beforeEach(() => {
+      mockGitLabAPI.getMergeRequest.mockResolvedValue(mockMergeRequest);
+      mockGitLabAPI.getMergeRequestChanges.mockResolvedValue(mockChanges);
+      mockGitLabAPI.getMergeRequestCommits.mockResolvedValue([]);
+      mockGitLabAPI.findReviewStateComment.mockResolvedValue({
+        id: 999,
+        body: `## 🤖 AI Code Review\n${ReviewState.build({
+          headSha: 'oldsha',
+          findings: { 'src/b.js': [previousIssue] },
+        })}`,
+      });
+    });
+
+    it('should only review files changed since the last reviewed SHA', async () => {
+      mockGitLabAPI.compareCommits.mockResolvedValue({
+        diffs: [{ new_path: 'src/a.js', diff: '@@ -1,2 +1,3 @@\n const a = 1;\n+const b = 2;\n module.exports = a;' }],
+      });
+      mockAIService.reviewCode.mockResolvedValue({
+        summary: 'One issue',
+        issues: [global.testUtils.createMockIssue({ line: 2, description: 'New finding in a.js' })],
+      });
+
+      await reviewer.reviewMergeRequest(projectId, mergeRequestIid);
+
+      expect(mockGitLabAPI.compareCommits).toHaveBeenCalledWith(projectId, 'oldsha', 'newsha');
+      expect(mockAIService.reviewCode).toHaveBeenCalledTimes(1);
+      expect(mockAIService.reviewCode).toHaveBeenCalledWith(
+        'src/a.js',
+        'javascript',
+        expect.stringContaining('const b = 2'),
+        expect.any(Object)
+      );
+
+      const body = mockGitLabAPI.updateMergeRequestComment.mock.calls[0][3];
+      expect(body).toContain('New since last review');
+      expect(body).toContain('New finding in a.js');
+      expect(body).toContain('Still open');
+      expect(body).toContain('Old finding in b.js');
+      expect(ReviewState.parse(body).headSha).toBe('newsha');
+    });
+
+    it('should keep findings dismissed while the review was running ignored', async () => {
+      const stateNote = await mockGitLabAPI.findReviewStateComment();
+      mockGitLabAPI.findReviewStateComment
+        .mockResolvedValueOnce(stateNote)
+        .mockResolvedValueOnce({
+          ...stateNote,
+          body: ReviewState.replace(stateNote.body, {
+            ...ReviewState.parse(stateNote.body),
+            ignored: ['aaaa111111'],
+          }),
+        });
+      mockGitLabAPI.compareCommits.mockResolvedValue({
+        diffs: [{ new_path: 'src/a.js', diff: '@@ -1,2 +1,3 @@\n const a = 1;\n+const b = 2;\n module.exports = a;' }],
+      });
+      mockAIService.reviewCode.mockResolvedValue({ summary: 'Clean', issues: [] });
+
+      await reviewer.reviewMergeRequest(projectId, mergeRequestIid);
+
+      const body = mockGitLabAPI.updateMergeRequestComment.mock.calls[0][3];
+      expect(ReviewState.parse(body).ignored).toEqual(['aaaa111111']);
+      expect(body).not.toContain('Old finding in b.js');
+    });
+
+    it('should move carried over findings to their new line', async () => {
+      mockGitLabAPI.compareCommits.mockResolvedValue({
+        diffs: [{ new_path: 'src/b.js', diff: '@@ -0,0 +1,2 @@\n+\'use strict\';\n+' }],
+      });
+      mockAIService.reviewCode.mockResolvedValue({ summary: 'Clean', issues: [] });
+
+      await reviewer.reviewMergeRequest(projectId, mergeRequestIid);
+
+      const body = mockGitLabAPI.updateMergeRequestComment.mock.calls[0][3];
+      expect(ReviewState.parse(body).findings['src/b.js']).toEqual([
+        expect.objectContaining({ findingId: 'aaaa111111', line: 4 }),
+      ]);
+    });
+
+    it('should skip the review when the head SHA was already reviewed', async () => {
+      mockGitLabAPI.getMergeRequest.mockResolvedValue({ ...mockMergeRequest, sha: 'oldsha' });
+
+      await reviewer.reviewMergeRequest(projectId, mergeRequestIid);
+
+      expect(mockAIService.reviewCode).not.toHaveBeenCalled();
+      expect(mockGitLabAPI.updateMergeRequestComment).not.toHaveBeenCalled();
+    });
+
+    it('should fall back to a full review when the comparison fails', async () => {
+      mockGitLabAPI.compareCommits.mockRejectedValue(new Error('404 Not Found'));
+      mockAIService.reviewCode.mockResolvedValue({ summary: 'Clean', issues: [] });
+
+      await reviewer.reviewMergeRequest(projectId, mergeRequestIid);
+
+      expect(mockAIService.reviewCode).toHaveBeenCalledTimes(2);
+      const body = mockGitLabAPI.updateMergeRequestComment.mock.calls[0][3];
+      expect(body).not.toContain('Old finding in b.js');
+    });
+  });
+
+  describe('postInlineDiscussions', () => {
+    const projectId = '123';
+    const mergeRequestIid = '456';
+    const mergeRequest = {
+      title: 'Test MR',
+      diff_refs: {
+        base_sha: 'base123',
+        start_sha: 'start123',
+        head_sha: 'head123',
+      },
+    };
+    const parsedFiles = [
+      {
+        filename: 'src/test.js',
+        oldFilename: 'src/test.js',
+        language: 'javascript',
+        diff: '@@ -1,3 +1,4 @@\n function test() {\n+  console.log("test");\n   return true;\n }',
+      },
+    ];
+
+    it('should post issues on added lines as positioned discussions', async () => {
+      const reviews = [
+        {
+          filename: 'src/test.js',
+          issues: [global.testUtils.createMockIssue({ line: 2, description: 'Use a logger' })],
+        },
+      ];
+      mockGitLabAPI.createMergeRequestDiscussion.mockResolvedValue({ id: 'abc' });
+
+      await reviewer.postInlineDiscussions(projectId, mergeRequestIid, reviews, mergeRequest, parsedFiles);
+
+      expect(mockGitLabAPI.createMergeRequestDiscussion).toHaveBeenCalledWith(
+        projectId,
+        mergeRequestIid,
+        expect.stringContaining('Use a logger'),
+        expect.objectContaining({
+          position_type: 'text',
+          base_sha: 'base123',
+          start_sha: 'start123',
+          head_sha: 'head123',
+          new_path: 'src/test.js',
+          new_line: 2,
+        })
+      );
+      expect(reviews[0].issues[0].inline).toBe(true);
+
+      const comment = await reviewer.generateReviewComment(reviews, mergeRequest, parsedFiles);
+      expect(comment).toContain('1 posted as inline discussions');
+      expect(comment).not.toContain('Use a logger');
+    });
+
+    it('should offer a fix of added lines as a suggestion block', async () => {
+      const reviews = [
+        {
+          filename: 'src/test.js',
+          issues: [global.testUtils.createMockIssue({
+            line: 2,
+            example: 'logger.debug("test");',
+            fix: { startLine: 2, endLine: 2, replacement: '  logger.debug("test");' },
+          })],
+        },
+      ];
+      mockGitLabAPI.createMergeRequestDiscussion.mockResolvedValue({ id: 'abc' });
+
+      await reviewer.postInlineDiscussions(projectId, mergeRequestIid, reviews, mergeRequest, parsedFiles);
+
+      const body = mockGitLabAPI.createMergeRequestDiscussion.mock.calls[0][2];
+      expect(body).toContain('```suggestion:-0+0\n  logger.debug("test");\n```');
+      expect(body).not.toContain('*Example:*');
+    });
+
+    it('should not suggest fixes that reach beyond the added lines', async () => {
+      const reviews = [
+        {
+          filename: 'src/test.js',
+          issues: [global.testUtils.createMockIssue({
+            line: 2,
+            fix: { startLine: 2, endLine: 3, replacement: '  return false;' },
+          })],
+        },
+      ];
+      mockGitLabAPI.createMergeRequestDiscussion.mockResolvedValue({ id: 'abc' });
+
+      await reviewer.postInlineDiscussions(projectId, mergeRequestIid, reviews, mergeRequest, parsedFiles);
+
+      expect(mockGitLabAPI.createMergeRequestDiscussion.mock.calls[0][2]).not.toContain('suggestion:');
+      expect(reviews[0].issues[0].inline).toBe(true);
+    });
+
+    it('should keep issues on lines outside the diff in the summary', async () => {
+      const reviews = [
+        {
+          filename: 'src/test.js',
+          issues: [global.testUtils.createMockIssue({ line: 3, description: 'Unchanged line issue' })],
+        },
+      ];
+
+      await reviewer.postInlineDiscussions(projectId, mergeRequestIid, reviews, mergeRequest, parsedFiles);
+
+      expect(mockGitLabAPI.createMergeRequestDiscussion).not.toHaveBeenCalled();
+
+      const comment = await reviewer.generateReviewComment(reviews, mergeRequest, parsedFiles);
+      expect(comment).toContain('Unchanged line issue');
+    });
+
+    it('should fall back to the summary when the discussion cannot be created', async () => {
+      const reviews = [
+        {
+          filename: 'src/test.js',
+          issues: [global.testUtils.createMockIssue({ line: 2, description: 'Rejected position' })],
+        },
+      ];
+      mockGitLabAPI.createMergeRequestDiscussion.mockRejectedValue(new Error('400 Bad Request'));
+
+      await reviewer.postInlineDiscussions(projectId, mergeRequestIid, reviews, mergeRequest, parsedFiles);
+
+      expect(reviews[0].issues[0].inline).toBeUndefined();
+    });
+
+    it('should not repost findings that already have a discussion', async () => {
+      const issue = global.testUtils.createMockIssue({ line: 2, description: 'Use a logger' });
+      const reviews = [{ filename: 'src/test.js', issues: [issue] }];
+      const findingId = FindingMarker.createId('src/test.js', issue, '  console.log("test");');
+      mockGitLabAPI.getMergeRequestDiscussions.mockResolvedValue([
+        { notes: [{ body: `Old finding ${FindingMarker.build(findingId)}` }] },
+      ]);
+
+      await reviewer.postInlineDiscussions(projectId, mergeRequestIid, reviews, mergeRequest, parsedFiles);
+
+      expect(mockGitLabAPI.createMergeRequestDiscussion).not.toHaveBeenCalled();
+      expect(issue.inline).toBe(true);
+    });
+
+    it('should keep finding IDs when the finding moves or is worded differently', () => {
+      const [first] = FindingMarker.assignIds(
+        'src/test.js',
+        [global.testUtils.createMockIssue({ line: 2, description: 'Use a logger' })],
+        new Map([[2, '  console.log("test");']]),
+      );
+      const [moved, sameCode] = FindingMarker.assignIds(
+        'src/test.js',
+        [
+          global.testUtils.createMockIssue({ line: 7, description: 'Prefer the project logger' }),
+          global.testUtils.createMockIssue({ line: 7, description: 'Remove debug output' }),
+        ],
+        new Map([[7, 'console.log("test");']]),
+      );
+
+      expect(moved.findingId).toBe(first.findingId);
+      expect(sameCode.findingId).not.toBe(moved.findingId);
+    });
   });
 
   describe('generateReviewComment', () => {
@@ -254,6 +915,41 @@ describe('GitLabReviewer', () => {
       expect(comment).toContain('AI Code Review');
     });
 
+    it('should name the provider and model used, marking fallbacks', async () => {
+      const reviews = [
+        { filename: 'src/a.js', issues: [], provider: 'openai', model: 'gpt-4o' },
+        { filename: 'src/b.js', issues: [], provider: 'deepseek', model: 'deepseek-coder' },
+      ];
+
+      const comment = await reviewer.generateReviewComment(reviews, { title: 'Test MR' }, []);
+
+      expect(comment).toContain('*Powered by OPENAI gpt-4o, DEEPSEEK deepseek-coder (fallback, 1 file(s))*');
+    });
+
+    it('should tell quota errors apart from blocked content', async () => {
+      const reviews = [
+        { filename: 'src/a.js', error: true, errorType: 'quota', errorMessage: 'Gemini quota exceeded: limit', issues: [] },
+        { filename: 'src/b.js', error: true, errorType: 'blocked', errorMessage: 'Gemini blocked the content: SAFETY', issues: [] },
+      ];
+
+      const comment = await reviewer.generateReviewComment(reviews, { title: 'Test MR' }, []);
+
+      expect(comment).toContain('*AI provider quota exceeded, try again later: Gemini quota exceeded: limit*');
+      expect(comment).toContain('*Blocked by the AI provider\'s content filters: Gemini blocked the content: SAFETY*');
+    });
+
+    it('should not report success when files failed to review', async () => {
+      const reviews = [
+        { filename: 'src/test.js', issues: [] },
+        { filename: 'src/broken.js', error: true, errorMessage: 'Could not parse the AI review', issues: [] },
+      ];
+
+      const comment = await reviewer.generateReviewComment(reviews, { title: 'Test MR' }, []);
+
+      expect(comment).not.toContain('Great work!');
+      expect(comment).toContain('1 file(s) could not be reviewed');
+    });
+
     it('should generate comment with issues grouped by severity', async () => {
       const reviews = [
         {
@@ -293,7 +989,7 @@ describe('GitLabReviewer', () => {
       expect(comment).toContain('💡 LOW Issues');
       expect(comment).toContain('SQL injection vulnerability');
       expect(comment).toContain('Missing semicolon');
-      expect(comment).toContain('Security Issues: 🔒 1');
+      expect(comment).toContain('- **Security Issues:** 🔒 1');
     });
   });
 });
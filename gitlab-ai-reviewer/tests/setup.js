@@ -3,9 +3,12 @@
  * Runs before each test file
  */
 
+const http = require('http');
+
 // Set test environment variables
 process.env.NODE_ENV = 'test';
 process.env.GITLAB_TOKEN = 'test-token';
+process.env.AI_PROVIDER = 'openai';
 process.env.OPENAI_API_KEY = 'test-openai-key';
 process.env.GITLAB_URL = 'https://gitlab.example.com';
 process.env.LOG_LEVEL = 'error'; // Reduce log noise during tests
@@ -58,6 +61,45 @@ global.testUtils = {
     ...overrides,
   }),
 
+  // For `jest.mock('../src/utils/logger', () => global.testUtils.createLoggerMock())`
+  createLoggerMock: () => ({
+    logger: {
+      info: jest.fn(),
+      error: jest.fn(),
+      warn: jest.fn(),
+      debug: jest.fn(),
+    },
+  }),
+
+  /**
+   * Start a local HTTP server standing in for an AI provider's API. Each request is
+   * passed to respond({ method, url, headers, body }), which returns { status, data }.
+   * Resolves to { baseURL, close }.
+   */
+  startStubServer: async (respond) => {
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const isJson = (req.headers['content-type'] || '').includes('json');
+        const { status = 200, data } = respond({
+          method: req.method,
+          url: req.url,
+          headers: req.headers,
+          body: isJson ? JSON.parse(body) : new URLSearchParams(body),
+        });
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+      baseURL: `http://127.0.0.1:${server.address().port}`,
+      close: () => new Promise(resolve => server.close(resolve)),
+    };
+  },
+
   createMockIssue: (overrides = {}) => ({
     type: 'STYLE',
     severity: 'MEDIUM',
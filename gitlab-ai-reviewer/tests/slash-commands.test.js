@@ -0,0 +1,147 @@
+/**
+ * Tests for slash commands in merge request notes
+ */
+
+jest.mock('../src/utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const SlashCommandHandler = require('../src/commands/slash-commands');
+const FindingMarker = require('../src/utils/finding-marker');
+const ReviewState = require('../src/utils/review-state');
+
+const createNoteEvent = (note, overrides = {}) => ({
+  object_kind: 'note',
+  project: { id: 1 },
+  user: { id: 7, username: 'dev' },
+  merge_request: { iid: 5, last_commit: { id: 'head123' } },
+  object_attributes: {
+    id: 100,
+    note,
+    noteable_type: 'MergeRequest',
+    discussion_id: 'disc1',
+    author_id: 7,
+  },
+  ...overrides,
+});
+
+describe('SlashCommandHandler', () => {
+  let gitlabAPI;
+  let enqueueReview;
+  let handler;
+
+  beforeEach(() => {
+    gitlabAPI = {
+      getProjectMember: jest.fn().mockResolvedValue({ access_level: 30 }),
+      replyToDiscussion: jest.fn().mockResolvedValue({}),
+      postMergeRequestComment: jest.fn().mockResolvedValue({}),
+      getMergeRequestChanges: jest.fn(),
+      findReviewStateComment: jest.fn(),
+      updateMergeRequestComment: jest.fn().mockResolvedValue({}),
+      getMergeRequestDiscussions: jest.fn().mockResolvedValue([]),
+      resolveDiscussion: jest.fn().mockResolvedValue({}),
+    };
+    enqueueReview = jest.fn().mockResolvedValue({ queued: true });
+    handler = new SlashCommandHandler(gitlabAPI, enqueueReview);
+  });
+
+  describe('parse', () => {
+    it('should parse the command name and arguments', () => {
+      expect(SlashCommandHandler.parse('/ai-review file src/app.js')).toEqual({
+        name: 'file',
+        args: ['src/app.js'],
+      });
+      expect(SlashCommandHandler.parse('Looks odd.\n/ai-review  RERUN')).toEqual({ name: 'rerun', args: [] });
+      expect(SlashCommandHandler.parse('/ai-review')).toEqual({ name: 'help', args: [] });
+    });
+
+    it('should ignore notes without a command', () => {
+      expect(SlashCommandHandler.parse('LGTM')).toBeNull();
+      expect(SlashCommandHandler.parse('/ai-reviewer rerun')).toBeNull();
+    });
+  });
+
+  it('should ignore notes on issues and notes without commands', async () => {
+    expect(await handler.handleNote(createNoteEvent('LGTM'))).toBe(false);
+    expect(await handler.handleNote(createNoteEvent('/ai-review rerun', {
+      merge_request: undefined,
+      object_attributes: { note: '/ai-review rerun', noteable_type: 'Issue' },
+    }))).toBe(false);
+    expect(gitlabAPI.replyToDiscussion).not.toHaveBeenCalled();
+  });
+
+  it('should queue a forced re-review and reply in the thread', async () => {
+    const handled = await handler.handleNote(createNoteEvent('/ai-review rerun'));
+
+    expect(handled).toBe(true);
+    expect(gitlabAPI.getProjectMember).toHaveBeenCalledWith(1, 7);
+    expect(enqueueReview).toHaveBeenCalledWith({
+      projectId: 1,
+      mergeRequestIid: 5,
+      headSha: 'head123',
+      variant: 'note-100',
+      options: { force: true },
+    });
+    expect(gitlabAPI.replyToDiscussion).toHaveBeenCalledWith(
+      1, 5, 'disc1', expect.stringContaining('Queued a full re-review'),
+    );
+  });
+
+  it('should refuse commands from users without Developer access', async () => {
+    gitlabAPI.getProjectMember.mockResolvedValue({ access_level: 20 });
+
+    await handler.handleNote(createNoteEvent('/ai-review rerun'));
+
+    expect(enqueueReview).not.toHaveBeenCalled();
+    expect(gitlabAPI.replyToDiscussion).toHaveBeenCalledWith(
+      1, 5, 'disc1', expect.stringContaining('need at least Developer access'),
+    );
+  });
+
+  it('should only queue a file review for files changed in the MR', async () => {
+    gitlabAPI.getMergeRequestChanges.mockResolvedValue({ changes: [{ new_path: 'src/app.js' }] });
+
+    await handler.handleNote(createNoteEvent('/ai-review file src/app.js'));
+    await handler.handleNote(createNoteEvent('/ai-review file src/other.js'));
+
+    expect(enqueueReview).toHaveBeenCalledTimes(1);
+    expect(enqueueReview).toHaveBeenCalledWith(expect.objectContaining({
+      options: { force: true, files: ['src/app.js'] },
+    }));
+    expect(gitlabAPI.replyToDiscussion).toHaveBeenLastCalledWith(
+      1, 5, 'disc1', expect.stringContaining('is not changed in this merge request'),
+    );
+  });
+
+  it('should record ignored findings in the review state and resolve their discussion', async () => {
+    const summaryBody = `## 🤖 AI Code Review\n${ReviewState.build({ headSha: 'head123', findings: {} })}`;
+    gitlabAPI.findReviewStateComment.mockResolvedValue({ id: 42, body: summaryBody });
+    gitlabAPI.getMergeRequestDiscussions.mockResolvedValue([
+      { id: 'finding-disc', notes: [{ body: `Issue ${FindingMarker.build('abcdef1234')}`, resolved: false }] },
+    ]);
+
+    await handler.handleNote(createNoteEvent('/ai-review ignore abcdef1234'));
+
+    const updatedBody = gitlabAPI.updateMergeRequestComment.mock.calls[0][3];
+    expect(ReviewState.parse(updatedBody).ignored).toEqual(['abcdef1234']);
+    expect(gitlabAPI.resolveDiscussion).toHaveBeenCalledWith(1, 5, 'finding-disc');
+  });
+
+  it('should queue a focused review for known checks only', async () => {
+    await handler.handleNote(createNoteEvent('/ai-review focus security'));
+    await handler.handleNote(createNoteEvent('/ai-review focus typos'));
+
+    expect(enqueueReview).toHaveBeenCalledTimes(1);
+    expect(enqueueReview).toHaveBeenCalledWith(expect.objectContaining({
+      options: { force: true, focus: 'security' },
+    }));
+    expect(gitlabAPI.replyToDiscussion).toHaveBeenLastCalledWith(
+      1, 5, 'disc1', expect.stringContaining('Please choose one of'),
+    );
+  });
+});
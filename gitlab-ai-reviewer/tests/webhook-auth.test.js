@@ -0,0 +1,183 @@
+/**
+ * Tests for webhook authentication
+ */
+
+jest.mock('../src/utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const express = require('express');
+const request = require('supertest');
+const { webhookAuth, safeCompare } = require('../src/middleware/webhook-auth');
+const { logger } = require('../src/utils/logger');
+
+// Projects known to GitLab, by ID, for checking that a project's ID and path belong together
+const projects = {
+  7: { id: 7, path_with_namespace: 'group/other' },
+  9: { id: 9, path_with_namespace: 'platform/api' },
+};
+const lookupProject = jest.fn(async id => {
+  if (!projects[id]) throw new Error('404 Project Not Found');
+  return projects[id];
+});
+
+function createApp(webhookConfig) {
+  const app = express();
+  app.use(express.json());
+  app.post('/webhook', webhookAuth(webhookConfig, { lookupProject }), (req, res) => {
+    res.status(200).json({ ok: true });
+  });
+  return app;
+}
+
+const projectEvent = (project) => ({
+  object_kind: 'merge_request',
+  project,
+});
+
+describe('webhookAuth', () => {
+  it('should accept requests with the global secret', async () => {
+    const app = createApp({ secret: 'global-secret', projectSecrets: {}, allowedProjects: [] });
+
+    await request(app)
+      .post('/webhook')
+      .set('X-Gitlab-Token', 'global-secret')
+      .send(projectEvent({ id: 1, path_with_namespace: 'group/app' }))
+      .expect(200);
+  });
+
+  it('should reject missing or wrong tokens with 401 and log the source IP', async () => {
+    const app = createApp({ secret: 'global-secret', projectSecrets: {}, allowedProjects: [] });
+
+    await request(app)
+      .post('/webhook')
+      .send(projectEvent({ id: 1 }))
+      .expect(401);
+
+    await request(app)
+      .post('/webhook')
+      .set('X-Gitlab-Token', 'wrong')
+      .send(projectEvent({ id: 1 }))
+      .expect(401);
+
+    expect(logger.warn).toHaveBeenCalledWith(
+      expect.stringContaining('Rejected webhook'),
+      expect.objectContaining({ ip: expect.any(String), projectId: 1 }),
+    );
+  });
+
+  it('should prefer per-project secrets by ID or path', async () => {
+    const app = createApp({
+      secret: 'global-secret',
+      projectSecrets: { 42: 'project-42', 'group/other': 'other-secret' },
+      allowedProjects: [],
+    });
+
+    await request(app)
+      .post('/webhook')
+      .set('X-Gitlab-Token', 'project-42')
+      .send(projectEvent({ id: 42, path_with_namespace: 'group/app' }))
+      .expect(200);
+
+    await request(app)
+      .post('/webhook')
+      .set('X-Gitlab-Token', 'global-secret')
+      .send(projectEvent({ id: 42, path_with_namespace: 'group/app' }))
+      .expect(401);
+
+    await request(app)
+      .post('/webhook')
+      .set('X-Gitlab-Token', 'other-secret')
+      .send(projectEvent({ id: 7, path_with_namespace: 'group/other' }))
+      .expect(200);
+  });
+
+  it('should reject projects outside the allowlist with 403', async () => {
+    const app = createApp({
+      secret: 'global-secret',
+      projectSecrets: {},
+      allowedProjects: ['42', 'platform/*'],
+    });
+
+    await request(app)
+      .post('/webhook')
+      .set('X-Gitlab-Token', 'global-secret')
+      .send(projectEvent({ id: 42, path_with_namespace: 'group/app' }))
+      .expect(200);
+
+    await request(app)
+      .post('/webhook')
+      .set('X-Gitlab-Token', 'global-secret')
+      .send(projectEvent({ id: 9, path_with_namespace: 'platform/api' }))
+      .expect(200);
+
+    await request(app)
+      .post('/webhook')
+      .set('X-Gitlab-Token', 'global-secret')
+      .send(projectEvent({ id: 8, path_with_namespace: 'platform-tools/api' }))
+      .expect(403);
+  });
+
+  it('should reject a project ID that does not belong to the path a secret or allowlist entry matched', async () => {
+    const app = createApp({
+      secret: 'global-secret',
+      projectSecrets: { 'group/other': 'other-secret' },
+      allowedProjects: ['42', 'platform/*'],
+    });
+
+    await request(app)
+      .post('/webhook')
+      .set('X-Gitlab-Token', 'other-secret')
+      .send(projectEvent({ id: 42, path_with_namespace: 'group/other' }))
+      .expect(401);
+
+    await request(app)
+      .post('/webhook')
+      .set('X-Gitlab-Token', 'global-secret')
+      .send(projectEvent({ id: 7, path_with_namespace: 'platform/api' }))
+      .expect(403);
+
+    await request(app)
+      .post('/webhook')
+      .set('X-Gitlab-Token', 'global-secret')
+      .send(projectEvent({ id: 404, path_with_namespace: 'platform/api' }))
+      .expect(403);
+
+    expect(lookupProject).toHaveBeenCalledWith(42);
+    expect(logger.warn).toHaveBeenCalledWith(
+      expect.stringContaining('does not match its path'),
+      expect.objectContaining({ projectId: 42, projectPath: 'group/other' }),
+    );
+  });
+
+  it('should reject every request when no secret is configured', async () => {
+    const app = createApp({ projectSecrets: {}, allowedProjects: [] });
+
+    await request(app)
+      .post('/webhook')
+      .send(projectEvent({ id: 1 }))
+      .expect(401, { error: 'Webhook secret not configured' });
+  });
+
+  it('should accept requests without a secret only when explicitly allowed', async () => {
+    const app = createApp({ projectSecrets: {}, allowedProjects: [], allowUnauthenticated: true });
+
+    await request(app)
+      .post('/webhook')
+      .send(projectEvent({ id: 1 }))
+      .expect(200);
+  });
+});
+
+describe('safeCompare', () => {
+  it('should compare strings of different lengths safely', () => {
+    expect(safeCompare('secret', 'secret')).toBe(true);
+    expect(safeCompare('secret', 'secret-but-longer')).toBe(false);
+    expect(safeCompare(undefined, 'secret')).toBe(false);
+  });
+});